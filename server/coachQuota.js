@@ -0,0 +1,89 @@
+/**
+ * Let's Keep Swimming - Coaching Quotas
+ *
+ * Daily request quotas for the AI coaching endpoints:
+ * - signed-in swimmers are counted by Firebase uid, wherever they connect from
+ * - anonymous requests are counted by IP, with a smaller allowance
+ *
+ * Days are UTC calendar days. Counts live in memory, so a restart hands
+ * everyone a fresh day; that is fine for a cost guard on a single instance.
+ */
+
+/**
+ * Create a quota tracker
+ * @param {Object} options - { userDailyLimit, anonDailyLimit } - 0 means unlimited
+ */
+function createCoachQuota({ userDailyLimit, anonDailyLimit }) {
+  let day = null;
+  let counts = new Map();
+
+  function currentDay() {
+    const today = new Date().toISOString().split('T')[0];
+    if (today !== day) {
+      // New day: everyone starts over
+      day = today;
+      counts = new Map();
+    }
+    return today;
+  }
+
+  function nextReset() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  }
+
+  /**
+   * Count one request against the caller's quota
+   * @param {Object} caller - { uid } for signed-in swimmers, { ip } otherwise
+   * @returns {Object} { allowed, scope, limit, remaining, resetAt, day }
+   *                   limit is null when the scope is unlimited
+   */
+  function consume(caller) {
+    const today = currentDay();
+
+    const scope = caller.uid ? 'user' : 'anonymous';
+    const key = caller.uid ? `uid:${caller.uid}` : `ip:${caller.ip}`;
+    const limit = caller.uid ? userDailyLimit : anonDailyLimit;
+    const resetAt = nextReset();
+
+    if (!limit) {
+      return { allowed: true, scope, limit: null, remaining: null, resetAt, day: today };
+    }
+
+    const used = counts.get(key) || 0;
+    if (used >= limit) {
+      return { allowed: false, scope, limit, remaining: 0, resetAt, day: today };
+    }
+
+    counts.set(key, used + 1);
+    return { allowed: true, scope, limit, remaining: limit - used - 1, resetAt, day: today };
+  }
+
+  /**
+   * Give back a request counted by consume() that turned out to be invalid
+   * @param {Object} caller - the same caller passed to consume()
+   * @param {string} countedOn - the day consume() counted it on
+   */
+  function refund(caller, countedOn) {
+    currentDay();
+    if (countedOn !== day) return; // Already wiped by the daily reset
+
+    const key = caller.uid ? `uid:${caller.uid}` : `ip:${caller.ip}`;
+    const used = counts.get(key) || 0;
+    if (used > 0) counts.set(key, used - 1);
+  }
+
+  function stats() {
+    currentDay();
+    return {
+      day,
+      user_daily_limit: userDailyLimit || null,
+      anon_daily_limit: anonDailyLimit || null,
+      callers_today: counts.size
+    };
+  }
+
+  return { consume, refund, stats };
+}
+
+module.exports = { createCoachQuota };
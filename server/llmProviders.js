@@ -0,0 +1,387 @@
+/**
+ * Let's Keep Swimming - LLM Providers
+ *
+ * One interface over the model backends the server can call:
+ * - anthropic: Claude via @anthropic-ai/sdk
+ * - openai:    any OpenAI-compatible /chat/completions endpoint
+ *              (OpenAI, a local llama.cpp server, Ollama, LM Studio, ...)
+ * - mock:      no network; answers with the caller's mock response
+ *
+ * Every provider exposes:
+ *   complete(request)         -> Promise<{ text, usage, model }>
+ *   stream(request, onText)   -> Promise<{ text, usage, model }>
+ *
+ * request = { system, messages, maxTokens, temperature, mock, signal }
+ *   mock   - function returning the object the mock provider should answer with
+ *   signal - optional AbortSignal (e.g. client disconnected)
+ *
+ * usage is normalized to { input_tokens, output_tokens } for every provider.
+ * Timeouts and retry with exponential backoff are handled here, so callers
+ * only ever see the final result or the final error.
+ */
+
+const DEFAULT_TIMEOUTS_MS = {
+  anthropic: 30000,
+  openai: 60000, // Local models can be slow to produce the first token
+  mock: 5000
+};
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const MOCK_CHUNK_DELAY_MS = 80;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Build an error carrying the HTTP status and whether a retry could help
+ */
+function providerError(message, status = null, retryable = false) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = retryable;
+  return error;
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * Run fn(signal) with a timeout. The signal aborts on timeout or when the
+ * caller's own signal aborts; timeouts are retryable, caller aborts are not.
+ */
+async function withTimeout(timeoutMs, fn, callerSignal) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onCallerAbort = () => controller.abort();
+  if (callerSignal) {
+    callerSignal.addEventListener('abort', onCallerAbort);
+  }
+
+  try {
+    return await fn(controller.signal);
+  } catch (error) {
+    if (timedOut) {
+      throw providerError(`Timed out after ${timeoutMs}ms`, null, true);
+    }
+    if (callerSignal && callerSignal.aborted) {
+      throw providerError('Request aborted', null, false);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (callerSignal) {
+      callerSignal.removeEventListener('abort', onCallerAbort);
+    }
+  }
+}
+
+/**
+ * Run one streaming attempt and make any failure after the first token final,
+ * timeouts included - a retry would replay output the caller has already seen
+ */
+async function streamAttempt(hasStarted, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    if (hasStarted()) error.retryable = false;
+    throw error;
+  }
+}
+
+/**
+ * Retry fn with exponential backoff while its errors are retryable
+ */
+async function withRetry(fn, maxRetries, label) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (!error.retryable || attempt >= maxRetries) {
+        throw error;
+      }
+      const wait = RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+      console.warn(`   ↻ ${label} attempt ${attempt + 1} failed (${error.message}), retrying in ${wait}ms`);
+      await delay(wait);
+    }
+  }
+}
+
+// ============================================================================
+// ANTHROPIC
+// ============================================================================
+
+function createAnthropicProvider({ apiKey, model, timeoutMs, maxRetries }) {
+  const Anthropic = require('@anthropic-ai/sdk');
+  const client = new Anthropic({ apiKey, maxRetries: 0 }); // Retries are handled here
+
+  function toProviderError(error) {
+    if (error.retryable !== undefined) return error;
+    const connectionError = error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError';
+    return providerError(error.message, error.status || null, connectionError || isRetryableStatus(error.status));
+  }
+
+  function buildParams(request) {
+    return {
+      model,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      system: request.system,
+      messages: request.messages
+    };
+  }
+
+  function toResult(message) {
+    return {
+      text: message.content.map(block => block.text || '').join(''),
+      usage: {
+        input_tokens: message.usage ? message.usage.input_tokens : 0,
+        output_tokens: message.usage ? message.usage.output_tokens : 0
+      },
+      model: message.model || model
+    };
+  }
+
+  async function complete(request) {
+    return withRetry(() => withTimeout(timeoutMs, async signal => {
+      try {
+        const message = await client.messages.create(buildParams(request), { signal });
+        return toResult(message);
+      } catch (error) {
+        throw toProviderError(error);
+      }
+    }, request.signal), maxRetries, 'anthropic');
+  }
+
+  async function stream(request, onText) {
+    // Only retry before the first token - after that the caller has seen output
+    let started = false;
+
+    return withRetry(() => streamAttempt(() => started, () => withTimeout(timeoutMs, async signal => {
+      const messageStream = client.messages.stream(buildParams(request), { signal });
+      messageStream.on('text', delta => {
+        started = true;
+        onText(delta);
+      });
+
+      try {
+        return toResult(await messageStream.finalMessage());
+      } catch (error) {
+        throw toProviderError(error);
+      }
+    }, request.signal)), maxRetries, 'anthropic stream');
+  }
+
+  return { name: 'anthropic', model, timeoutMs, complete, stream };
+}
+
+// ============================================================================
+// OPENAI-COMPATIBLE (OpenAI, llama.cpp, Ollama, LM Studio, ...)
+// ============================================================================
+
+function createOpenAIProvider({ baseURL, apiKey, model, timeoutMs, maxRetries }) {
+  const endpoint = `${baseURL.replace(/\/+$/, '')}/chat/completions`;
+
+  function buildBody(request, streaming) {
+    const body = {
+      model,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      messages: [
+        { role: 'system', content: request.system },
+        ...request.messages
+      ]
+    };
+    if (streaming) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+    return body;
+  }
+
+  async function post(body, signal) {
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify(body),
+        signal
+      });
+    } catch (error) {
+      // Network failures (server down, connection reset) are worth a retry
+      throw providerError(error.message, null, error.name !== 'AbortError');
+    }
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw providerError(`HTTP ${response.status}: ${detail.slice(0, 200)}`, response.status, isRetryableStatus(response.status));
+    }
+
+    return response;
+  }
+
+  function toUsage(usage) {
+    return {
+      input_tokens: usage ? usage.prompt_tokens || 0 : 0,
+      output_tokens: usage ? usage.completion_tokens || 0 : 0
+    };
+  }
+
+  async function complete(request) {
+    return withRetry(() => withTimeout(timeoutMs, async signal => {
+      const response = await post(buildBody(request, false), signal);
+      const data = await response.json();
+      const choice = data.choices && data.choices[0];
+
+      return {
+        text: (choice && choice.message && choice.message.content) || '',
+        usage: toUsage(data.usage),
+        model: data.model || model
+      };
+    }, request.signal), maxRetries, 'openai');
+  }
+
+  async function stream(request, onText) {
+    let started = false;
+
+    return withRetry(() => streamAttempt(() => started, () => withTimeout(timeoutMs, async signal => {
+      const response = await post(buildBody(request, true), signal);
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let text = '';
+      let usage = null;
+      let responseModel = model;
+
+      try {
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+
+          for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') continue;
+
+            const chunk = JSON.parse(payload);
+            if (chunk.usage) usage = chunk.usage;
+            if (chunk.model) responseModel = chunk.model;
+
+            const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+            if (delta && delta.content) {
+              started = true;
+              text += delta.content;
+              onText(delta.content);
+            }
+          }
+        }
+      } catch (error) {
+        throw providerError(error.message, null, true);
+      }
+
+      return { text, usage: toUsage(usage), model: responseModel };
+    }, request.signal)), maxRetries, 'openai stream');
+  }
+
+  return { name: 'openai', model, timeoutMs, complete, stream };
+}
+
+// ============================================================================
+// MOCK
+// ============================================================================
+
+function createMockProvider({ timeoutMs }) {
+  const usage = { input_tokens: 0, output_tokens: 0 };
+
+  async function complete(request) {
+    return { text: JSON.stringify(request.mock()), usage, model: 'mock' };
+  }
+
+  async function stream(request, onText) {
+    const text = JSON.stringify(request.mock());
+
+    // Emit a few words at a time so streaming UIs can be exercised offline
+    const pieces = text.match(/(\S+\s*){1,3}/g) || [];
+    for (const piece of pieces) {
+      if (request.signal && request.signal.aborted) {
+        throw providerError('Request aborted', null, false);
+      }
+      onText(piece);
+      await delay(MOCK_CHUNK_DELAY_MS);
+    }
+
+    return { text, usage, model: 'mock' };
+  }
+
+  return { name: 'mock', model: 'mock', timeoutMs, complete, stream };
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * Create the provider selected by environment config
+ *
+ * LLM_PROVIDER     anthropic | openai | mock
+ *                  (defaults to mock when MOCK_MODE=true, otherwise anthropic)
+ * LLM_TIMEOUT_MS   per-request timeout (provider default if unset)
+ * LLM_MAX_RETRIES  retries for timeouts, 429 and 5xx (default 2)
+ *
+ * anthropic: ANTHROPIC_API_KEY, MODEL
+ * openai:    OPENAI_BASE_URL, OPENAI_API_KEY (optional for local servers), OPENAI_MODEL
+ */
+function createProviderFromEnv(env) {
+  const name = (env.LLM_PROVIDER || (env.MOCK_MODE === 'true' ? 'mock' : 'anthropic')).toLowerCase();
+  const timeoutMs = parseInt(env.LLM_TIMEOUT_MS, 10) || DEFAULT_TIMEOUTS_MS[name];
+  const maxRetries = env.LLM_MAX_RETRIES !== undefined ? parseInt(env.LLM_MAX_RETRIES, 10) : DEFAULT_MAX_RETRIES;
+
+  switch (name) {
+    case 'anthropic':
+      if (!env.ANTHROPIC_API_KEY) {
+        throw new Error('ANTHROPIC_API_KEY not found in .env file');
+      }
+      return createAnthropicProvider({
+        apiKey: env.ANTHROPIC_API_KEY,
+        model: env.MODEL || 'claude-3-5-sonnet-latest',
+        timeoutMs,
+        maxRetries
+      });
+
+    case 'openai':
+      return createOpenAIProvider({
+        baseURL: env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL || 'llama3.1',
+        timeoutMs,
+        maxRetries
+      });
+
+    case 'mock':
+      return createMockProvider({ timeoutMs });
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}" (expected anthropic, openai or mock)`);
+  }
+}
+
+module.exports = {
+  createProviderFromEnv,
+  createAnthropicProvider,
+  createOpenAIProvider,
+  createMockProvider
+};
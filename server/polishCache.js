@@ -0,0 +1,111 @@
+/**
+ * Let's Keep Swimming - Polish Cache
+ *
+ * File-backed cache of LLM polish responses, keyed by a hash of the rendered
+ * prompt (see buildPolishCacheKey in web/prompts.js). Identical requests get
+ * the same polish back instantly instead of a new paid model call.
+ *
+ * Entries expire after a TTL; the whole cache is a single JSON file that is
+ * loaded once at startup and rewritten on every change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * Create a polish cache
+ * @param {Object} options - { filePath, ttlMs, maxEntries }
+ *                           ttlMs of 0 disables the cache
+ */
+function createPolishCache({ filePath, ttlMs, maxEntries = DEFAULT_MAX_ENTRIES }) {
+  const enabled = ttlMs > 0;
+  let entries = enabled ? load() : {};
+  let hits = 0;
+  let misses = 0;
+
+  function load() {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️  Polish cache unreadable, starting empty:', error.message);
+      }
+      return {};
+    }
+  }
+
+  function persist() {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Write then rename so a crash never leaves a half-written file
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(entries));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      console.warn('⚠️  Failed to write polish cache:', error.message);
+    }
+  }
+
+  function isExpired(entry) {
+    return Date.now() - entry.cached_at > ttlMs;
+  }
+
+  /**
+   * Drop expired entries, then the oldest ones beyond maxEntries
+   */
+  function prune() {
+    const live = Object.entries(entries)
+      .filter(([, entry]) => !isExpired(entry))
+      .sort((a, b) => b[1].cached_at - a[1].cached_at)
+      .slice(0, maxEntries);
+    entries = Object.fromEntries(live);
+  }
+
+  /**
+   * Look up cached polish
+   * @returns {Object|null} The polish, or null on a miss
+   */
+  function get(key) {
+    if (!enabled) return null;
+
+    const entry = entries[key];
+    if (!entry || isExpired(entry)) {
+      misses++;
+      return null;
+    }
+
+    hits++;
+    return entry.polish;
+  }
+
+  /**
+   * Store polish for a plan fingerprint
+   */
+  function set(key, polish) {
+    if (!enabled) return;
+
+    entries[key] = { polish, cached_at: Date.now() };
+    prune();
+    persist();
+  }
+
+  function stats() {
+    return {
+      enabled,
+      entries: Object.keys(entries).length,
+      ttl_hours: ttlMs / (60 * 60 * 1000),
+      hits,
+      misses
+    };
+  }
+
+  if (enabled) {
+    prune();
+  }
+
+  return { get, set, stats };
+}
+
+module.exports = { createPolishCache };
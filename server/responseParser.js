@@ -0,0 +1,425 @@
+/**
+ * Let's Keep Swimming - Model Response Parsing
+ *
+ * Models don't always return bare JSON: they wrap it in ```json fences, add a
+ * sentence before or after, or drift from the requested limits. This module:
+ * - extracts the first balanced JSON object from the raw text
+ * - checks it against a declared schema (POLISH_SCHEMA, COACHING_SCHEMA, CHAT_SCHEMA)
+ * - repairs what can be repaired (truncates long text and lists, wraps a
+ *   single string in a list, drops empty entries)
+ * - re-asks the model once with the specific problems when it can't
+ *
+ * Callers still fall back to mock output if the re-ask fails too.
+ */
+
+// ============================================================================
+// SCHEMAS
+// ============================================================================
+
+/**
+ * Field specs:
+ *   type      'string' | 'number' | 'string[]' | 'object'
+ *   required  missing or empty is a violation (otherwise a default is used)
+ *   nullable  null is allowed (and is the default when missing)
+ *   maxWords  strings are truncated to this many words
+ *   minItems / maxItems  lists are truncated to maxItems
+ *   enum      allowed string values
+ *   fields    nested spec for 'object'
+ */
+const POLISH_SCHEMA = {
+  name: 'polish',
+  fields: {
+    why_this: { type: 'string', required: true, maxWords: 60 },
+    technique_focus: { type: 'string[]', required: true, maxItems: 3 },
+    event_prep_tip: { type: 'string', nullable: true },
+    flags: { type: 'string[]', maxItems: 4 }
+  }
+};
+
+const COACHING_SCHEMA = {
+  name: 'coaching',
+  fields: {
+    tomorrow_session: {
+      type: 'object',
+      required: true,
+      fields: {
+        type: { type: 'string', required: true, enum: ['pool', 'open_water', 'rest'] },
+        duration_min: { type: 'number', required: true },
+        distance_m: { type: 'number', nullable: true },
+        structure: { type: 'string[]', required: true, minItems: 1 },
+        intensity: { type: 'string', required: true, enum: ['easy', 'moderate', 'hard'] },
+        technique_focus: { type: 'string[]', maxItems: 3 }
+      }
+    },
+    why_this: { type: 'string', required: true, maxWords: 60 },
+    flags: { type: 'string[]', maxItems: 4 },
+    event_prep_tip: { type: 'string', nullable: true }
+  }
+};
+
+const CHAT_SCHEMA = {
+  name: 'chat',
+  fields: {
+    reply: { type: 'string', required: true, maxWords: 120 },
+    action: {
+      type: 'object',
+      nullable: true,
+      fields: {
+        type: { type: 'string', required: true, enum: ['scale_distance', 'scale_time', 'change_type'] },
+        distance_m: { type: 'number', nullable: true },
+        minutes: { type: 'number', nullable: true },
+        session_type: { type: 'string', nullable: true, enum: ['pool', 'open_water'] }
+      }
+    }
+  }
+};
+
+/**
+ * Build an error carrying the list of problems found in the model output
+ */
+function responseError(message, violations = []) {
+  const error = new Error(message);
+  error.violations = violations;
+  return error;
+}
+
+// ============================================================================
+// JSON EXTRACTION
+// ============================================================================
+
+/**
+ * Scan one JSON value starting at `start`
+ * @returns {Object} { end, complete } - end is exclusive
+ */
+function scanJsonValue(text, start) {
+  const first = text[start];
+
+  if (first === '"') {
+    for (let i = start + 1; i < text.length; i++) {
+      if (text[i] === '\\') {
+        i++;
+      } else if (text[i] === '"') {
+        return { end: i + 1, complete: true };
+      }
+    }
+    return { end: text.length, complete: false };
+  }
+
+  if (first === '[' || first === '{') {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+        if (ch === '\\') i++;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === '[' || ch === '{') {
+        depth++;
+      } else if (ch === ']' || ch === '}') {
+        depth--;
+        if (depth === 0) return { end: i + 1, complete: true };
+      }
+    }
+    return { end: text.length, complete: false };
+  }
+
+  // Literals (null, numbers) are complete once something follows them
+  const literal = text.slice(start).match(/^[^,}\]\s]+/);
+  const end = start + (literal ? literal[0].length : 0);
+  return { end, complete: end < text.length };
+}
+
+/**
+ * Find a top-level field in partial model output (used while streaming)
+ * @returns {Object|null} { value, complete } - value is the partial string for
+ *                        incomplete strings, undefined for other incomplete values
+ */
+function extractStreamedField(text, field) {
+  const match = new RegExp(`"${field}"\\s*:\\s*`).exec(text);
+  if (!match) return null;
+
+  const start = match.index + match[0].length;
+  if (start >= text.length) return null;
+
+  const { end, complete } = scanJsonValue(text, start);
+  const raw = text.slice(start, end);
+
+  if (complete) {
+    try {
+      return { value: JSON.parse(raw), complete: true };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (raw[0] === '"') {
+    // Close the partial string so escapes decode; drop a dangling backslash
+    try {
+      return { value: JSON.parse(raw.replace(/\\$/, '') + '"'), complete: false };
+    } catch (e) {
+      return { value: raw.slice(1), complete: false };
+    }
+  }
+
+  return { value: undefined, complete: false };
+}
+
+/**
+ * Pull the first JSON object out of model output
+ * Handles ```json fences and prose before or after the object. Objects that
+ * don't parse (e.g. a brace inside the prose) are skipped.
+ * @returns {Object} The parsed object
+ */
+function extractJson(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw responseError('Empty response');
+  }
+
+  // Prefer the contents of a fenced block when there is one
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1] : text;
+
+  // A stray "{" in prose can look unbalanced, so only call the response
+  // truncated when no balanced object follows it
+  let truncated = false;
+  for (let start = body.indexOf('{'); start !== -1; start = body.indexOf('{', start + 1)) {
+    const { end, complete } = scanJsonValue(body, start);
+    if (!complete) {
+      truncated = true;
+      continue;
+    }
+    try {
+      return JSON.parse(body.slice(start, end));
+    } catch (e) {
+      // Not JSON after all - keep looking
+    }
+  }
+
+  throw responseError(truncated ? 'Response JSON is truncated' : 'No JSON object found in response');
+}
+
+// ============================================================================
+// SCHEMA VALIDATION AND REPAIR
+// ============================================================================
+
+/**
+ * Cut text to maxWords, ending on the last full sentence when that keeps
+ * at least half of the allowed words
+ */
+function truncateWords(text, maxWords) {
+  const words = text.split(/\s+/);
+  if (words.length <= maxWords) return text;
+
+  const cut = words.slice(0, maxWords).join(' ');
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+  if (sentenceEnd !== -1 && cut.slice(0, sentenceEnd + 1).split(/\s+/).length >= maxWords / 2) {
+    return cut.slice(0, sentenceEnd + 1);
+  }
+  return cut.replace(/[,;:\s]+$/, '') + '...';
+}
+
+function repairField(value, spec, path, repairs, violations) {
+  const missing = value === undefined || value === null || value === '';
+
+  if (missing) {
+    if (spec.required) {
+      violations.push(`"${path}" is required`);
+      return undefined;
+    }
+    if (spec.type === 'string[]') return [];
+    return null;
+  }
+
+  switch (spec.type) {
+    case 'string': {
+      if (typeof value !== 'string') {
+        violations.push(`"${path}" must be a string`);
+        return undefined;
+      }
+      let text = value.trim();
+      if (spec.enum && !spec.enum.includes(text)) {
+        violations.push(`"${path}" must be one of ${spec.enum.join(', ')}`);
+        return undefined;
+      }
+      if (spec.maxWords) {
+        const truncated = truncateWords(text, spec.maxWords);
+        if (truncated !== text) {
+          repairs.push(`${path} truncated to ${spec.maxWords} words`);
+          text = truncated;
+        }
+      }
+      if (!text && spec.required) {
+        violations.push(`"${path}" is required`);
+        return undefined;
+      }
+      return text || null;
+    }
+
+    case 'number': {
+      const number = typeof value === 'string' ? parseFloat(value) : value;
+      if (typeof number !== 'number' || !isFinite(number)) {
+        violations.push(`"${path}" must be a number`);
+        return undefined;
+      }
+      if (number !== value) repairs.push(`${path} converted to a number`);
+      return number;
+    }
+
+    case 'string[]': {
+      let list = value;
+      if (typeof list === 'string') {
+        repairs.push(`${path} wrapped in a list`);
+        list = [list];
+      }
+      if (!Array.isArray(list)) {
+        violations.push(`"${path}" must be an array of strings`);
+        return undefined;
+      }
+      list = list.filter(entry => typeof entry === 'string' && entry.trim()).map(entry => entry.trim());
+      if (spec.maxItems && list.length > spec.maxItems) {
+        repairs.push(`${path} cut from ${list.length} to ${spec.maxItems} items`);
+        list = list.slice(0, spec.maxItems);
+      }
+      if (spec.minItems && list.length < spec.minItems) {
+        violations.push(`"${path}" needs at least ${spec.minItems} item${spec.minItems === 1 ? '' : 's'}`);
+        return undefined;
+      }
+      return list;
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        violations.push(`"${path}" must be an object`);
+        return undefined;
+      }
+      return repairObject(value, spec.fields, path, repairs, violations);
+    }
+
+    default:
+      return value;
+  }
+}
+
+function repairObject(raw, fields, prefix, repairs, violations) {
+  const result = {};
+  Object.entries(fields).forEach(([key, spec]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = repairField(raw[key], spec, path, repairs, violations);
+    if (value !== undefined) result[key] = value;
+  });
+  return result;
+}
+
+/**
+ * Check a parsed object against a schema, repairing what it can
+ * Fields not in the schema are dropped.
+ * @returns {Object} { value, repairs, violations } - value is only usable
+ *                   when violations is empty
+ */
+function validateAgainstSchema(raw, schema) {
+  const repairs = [];
+  const violations = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, repairs, violations: ['Response must be a JSON object'] };
+  }
+
+  const value = repairObject(raw, schema.fields, '', repairs, violations);
+  return { value, repairs, violations };
+}
+
+/**
+ * Repair a single top-level field, e.g. one that just finished streaming
+ * @returns {*} The repaired value, or the raw value if it has violations
+ *              (the final parse deals with those)
+ */
+function repairSchemaField(schema, key, value) {
+  const spec = schema.fields[key];
+  if (!spec) return value;
+
+  const violations = [];
+  const repaired = repairField(value, spec, key, [], violations);
+  return violations.length > 0 ? value : repaired;
+}
+
+/**
+ * Extract and validate model output in one step
+ * Throws (with error.violations) if the output can't be used
+ * @returns {Object} { value, repairs }
+ */
+function parseModelResponse(text, schema) {
+  const raw = extractJson(text);
+  const { value, repairs, violations } = validateAgainstSchema(raw, schema);
+
+  if (violations.length > 0) {
+    throw responseError(`Invalid ${schema.name} response: ${violations.join('; ')}`, violations);
+  }
+
+  return { value, repairs };
+}
+
+// ============================================================================
+// CORRECTIVE RE-ASK
+// ============================================================================
+
+/**
+ * Follow-up message telling the model what was wrong with its last answer
+ */
+function buildCorrectionMessage(error) {
+  const problems = error.violations && error.violations.length > 0
+    ? error.violations.map(v => `- ${v}`).join('\n')
+    : `- ${error.message}`;
+
+  return `Your previous reply could not be used:
+${problems}
+
+Reply again with ONLY the corrected JSON object - no markdown fences and no text before or after it.`;
+}
+
+/**
+ * Parse a reply, and if it isn't usable ask the model once more
+ * @param {Object} llm - provider from llmProviders.js
+ * @param {Object} request - the provider request that produced responseText
+ * @param {string} responseText - the model's first reply
+ * @param {Object} schema - POLISH_SCHEMA, COACHING_SCHEMA or CHAT_SCHEMA
+ * @returns {Promise<Object>} { value, repairs, reasked }
+ */
+async function parseWithReask(llm, request, responseText, schema) {
+  try {
+    return { ...parseModelResponse(responseText, schema), reasked: false };
+  } catch (firstError) {
+    console.warn(`   ⚠️  Unusable ${schema.name} response (${firstError.message}), re-asking once`);
+
+    // Providers reject empty assistant turns, so only echo a non-empty reply
+    const previousReply = responseText && responseText.trim()
+      ? [{ role: 'assistant', content: responseText }]
+      : [];
+
+    const retry = await llm.complete({
+      ...request,
+      messages: [
+        ...request.messages,
+        ...previousReply,
+        { role: 'user', content: buildCorrectionMessage(firstError) }
+      ]
+    });
+
+    return { ...parseModelResponse(retry.text, schema), reasked: true };
+  }
+}
+
+module.exports = {
+  POLISH_SCHEMA,
+  COACHING_SCHEMA,
+  CHAT_SCHEMA,
+  scanJsonValue,
+  extractStreamedField,
+  extractJson,
+  validateAgainstSchema,
+  repairSchemaField,
+  parseModelResponse,
+  buildCorrectionMessage,
+  parseWithReask
+};
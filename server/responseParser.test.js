@@ -0,0 +1,87 @@
+/**
+ * Let's Keep Swimming - Response parser tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  POLISH_SCHEMA,
+  extractJson,
+  parseModelResponse,
+  parseWithReask
+} = require('./responseParser');
+
+/**
+ * Provider stand-in that answers every complete() with the next reply
+ */
+function scriptedLlm(replies) {
+  const requests = [];
+  return {
+    requests,
+    async complete(request) {
+      requests.push(request);
+      return { text: replies.shift() };
+    }
+  };
+}
+
+const REQUEST = { system: 'Polish this session', messages: [{ role: 'user', content: 'Session...' }], maxTokens: 400 };
+
+// ============================================================================
+// JSON EXTRACTION AND REPAIR (user-008)
+// ============================================================================
+
+test('JSON is found inside fences and chatter', () => {
+  const text = 'Sure! Here you go:\n```json\n{"why_this": "Easy aerobic work {mostly}.", "technique_focus": ["long strokes"]}\n```\nEnjoy.';
+  assert.deepEqual(extractJson(text), { why_this: 'Easy aerobic work {mostly}.', technique_focus: ['long strokes'] });
+});
+
+test('small shape problems are repaired, not rejected', () => {
+  const { value, repairs } = parseModelResponse(
+    '{"why_this": "Steady build.", "technique_focus": "high elbows", "flags": ["a", "b", "c", "d", "e"]}',
+    POLISH_SCHEMA
+  );
+
+  assert.deepEqual(value.technique_focus, ['high elbows']);
+  assert.equal(value.flags.length, 4);
+  assert.equal(value.event_prep_tip, null);
+  assert.ok(repairs.length >= 2, repairs.join('; '));
+});
+
+test('a rest-day polish with no technique cues is accepted', () => {
+  const { value } = parseModelResponse(
+    '{"why_this": "Rest lets the last three sessions sink in.", "technique_focus": [], "event_prep_tip": null}',
+    POLISH_SCHEMA
+  );
+
+  assert.deepEqual(value.technique_focus, []);
+});
+
+test('a polish without technique_focus at all is still invalid', () => {
+  assert.throws(
+    () => parseModelResponse('{"why_this": "Rest day."}', POLISH_SCHEMA),
+    /technique_focus/
+  );
+});
+
+test('an unusable reply is re-asked once with what was wrong', async () => {
+  const llm = scriptedLlm(['{"why_this": "Build the base.", "technique_focus": ["catch"]}']);
+
+  const result = await parseWithReask(llm, REQUEST, 'I think you should swim.', POLISH_SCHEMA);
+
+  assert.equal(result.reasked, true);
+  assert.deepEqual(result.value.technique_focus, ['catch']);
+  assert.equal(llm.requests.length, 1);
+  const correction = llm.requests[0].messages.at(-1);
+  assert.equal(correction.role, 'user');
+  assert.match(correction.content, /could not be used/);
+});
+
+test('a rest-day polish is not re-asked', async () => {
+  const llm = scriptedLlm([]);
+
+  const result = await parseWithReask(llm, REQUEST, '{"why_this": "Take the day off.", "technique_focus": []}', POLISH_SCHEMA);
+
+  assert.equal(result.reasked, false);
+  assert.equal(llm.requests.length, 0);
+});
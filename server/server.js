@@ -2,9 +2,10 @@
  * Let's Keep Swimming - Server
  *
  * This server provides AI coaching recommendations for swim training.
- * It can run in two modes:
- * - MOCK_MODE: Returns dummy data (no API key needed, free)
- * - LIVE MODE: Calls Claude AI for real coaching (requires API key, ~$0.01 per request)
+ * Model calls go through a pluggable provider (see llmProviders.js):
+ * - mock: Returns dummy data (no API key needed, free) - also MOCK_MODE=true
+ * - anthropic: Calls Claude AI for real coaching (requires API key, ~$0.01 per request)
+ * - openai: Any OpenAI-compatible endpoint, including a local llama.cpp/Ollama server
  *
  * NEW: Polish-only mode where LLM only provides explanations for pre-determined workouts.
  */
@@ -14,26 +15,53 @@ const express = require('express');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
-const Anthropic = require('@anthropic-ai/sdk');
+const CoachPlanner = require('../web/coach/planner.js');
+const CoachTemplates = require('../web/coach/templates.js');
+const Prompts = require('../web/prompts.js');
+const Effort = require('../web/effort.js');
+const { createPolishCache } = require('./polishCache');
+const { createProviderFromEnv } = require('./llmProviders');
+const { createUsageStore } = require('./usageStore');
+const { createCoachQuota } = require('./coachQuota');
+const { POLISH_SCHEMA, COACHING_SCHEMA, CHAT_SCHEMA, extractStreamedField, repairSchemaField, parseWithReask } = require('./responseParser');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const MOCK_MODE = process.env.MOCK_MODE === 'true';
-const MODEL = process.env.MODEL || 'claude-3-5-sonnet-latest';
-
-// Initialize Anthropic client (only needed in live mode)
-let anthropic = null;
-if (!MOCK_MODE) {
-  if (!process.env.ANTHROPIC_API_KEY) {
-    console.error('⚠️  ERROR: ANTHROPIC_API_KEY not found in .env file');
-    console.error('   Either add your API key or set MOCK_MODE=true');
-    process.exit(1);
-  }
-  anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY
-  });
+
+// Render (and most hosts) put one proxy in front of the app: trust its
+// X-Forwarded-For so req.ip is the swimmer's address, not the proxy's.
+// Without this every anonymous swimmer shares one rate limit and quota bucket.
+app.set('trust proxy', 1);
+
+// Initialize the LLM provider (selected by LLM_PROVIDER / MOCK_MODE)
+let llm;
+try {
+  llm = createProviderFromEnv(process.env);
+} catch (error) {
+  console.error(`⚠️  ERROR: ${error.message}`);
+  console.error('   Fix the LLM settings in .env or set MOCK_MODE=true');
+  process.exit(1);
 }
 
+// Polish cache: identical plans reuse an earlier polish instead of a new paid call
+const POLISH_CACHE_TTL_HOURS = parseFloat(process.env.POLISH_CACHE_TTL_HOURS || '24');
+const polishCache = createPolishCache({
+  filePath: path.resolve(process.env.POLISH_CACHE_FILE || path.join(__dirname, 'data', 'polish-cache.json')),
+  ttlMs: POLISH_CACHE_TTL_HOURS * 60 * 60 * 1000
+});
+
+// Usage accounting: tokens, cost and fallbacks per AI request, with an
+// optional monthly budget after which coaching falls back to mock polish
+const MONTHLY_BUDGET_USD = parseFloat(process.env.MONTHLY_BUDGET_USD || '0');
+const usageStore = createUsageStore({
+  filePath: path.resolve(process.env.USAGE_LOG_FILE || path.join(__dirname, 'data', 'usage.jsonl')),
+  monthlyBudgetUsd: MONTHLY_BUDGET_USD,
+  costOverride: process.env.LLM_COST_INPUT_PER_MTOK
+    ? { input: parseFloat(process.env.LLM_COST_INPUT_PER_MTOK), output: parseFloat(process.env.LLM_COST_OUTPUT_PER_MTOK || '0') }
+    : null
+});
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
 // ============================================================================
 // FIREBASE ADMIN SDK INITIALIZATION (for Social Features)
 // ============================================================================
@@ -79,6 +107,18 @@ function initializeFirebase() {
 // Try to initialize Firebase
 initializeFirebase();
 
+/**
+ * Read the Firebase ID token from the Authorization header
+ * @returns {string|null} The token, or null if none was sent
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  return authHeader.split('Bearer ')[1];
+}
+
 /**
  * Middleware to verify Firebase auth token
  */
@@ -87,13 +127,11 @@ async function verifyFirebaseToken(req, res, next) {
     return res.status(503).json({ error: 'Social features not available - Firebase not configured' });
   }
 
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  const token = getBearerToken(req);
+  if (!token) {
     return res.status(401).json({ error: 'Unauthorized - No token provided' });
   }
 
-  const token = authHeader.split('Bearer ')[1];
-
   try {
     const decodedToken = await admin.auth().verifyIdToken(token);
     req.user = decodedToken;
@@ -104,6 +142,29 @@ async function verifyFirebaseToken(req, res, next) {
   }
 }
 
+/**
+ * Middleware for endpoints that work signed in or not (coaching)
+ * A valid token sets req.user; no token (or no Firebase on this server)
+ * leaves req.user null. A token that fails verification is still a 401 so
+ * the client can refresh it rather than silently losing its quota.
+ */
+async function optionalFirebaseToken(req, res, next) {
+  req.user = null;
+
+  const token = getBearerToken(req);
+  if (!token || !firebaseEnabled) {
+    return next();
+  }
+
+  try {
+    req.user = await admin.auth().verifyIdToken(token);
+    next();
+  } catch (error) {
+    console.error('Token verification failed:', error.message);
+    return res.status(401).json({ error: 'Unauthorized - Invalid token' });
+  }
+}
+
 // Middleware
 const allowedOrigins = [
   'http://localhost:3000',
@@ -127,19 +188,77 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  credentials: true
+  credentials: true,
+  // Let the coach tab read its remaining quota
+  exposedHeaders: ['X-Quota-Scope', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset']
 }));
 app.use(express.json({ limit: '1mb' }));
 
 // Rate limiting for expensive AI endpoints (prevents API cost abuse)
+// Signed-in swimmers get their own bucket, so friends behind one NAT don't
+// share one (requires optionalFirebaseToken to run first)
 const coachRateLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 20, // 20 requests per 15 minutes per IP
+  max: 20, // 20 requests per 15 minutes per IP or signed-in user
+  keyGenerator: req => req.user ? `uid:${req.user.uid}` : req.ip,
   message: { error: 'Too many coaching requests. Please try again later.' },
   standardHeaders: true,
   legacyHeaders: false,
 });
 
+// Daily coaching quotas: per Firebase uid when signed in, per IP otherwise
+const coachQuota = createCoachQuota({
+  userDailyLimit: parseInt(process.env.COACH_DAILY_QUOTA_USER || '50', 10),
+  anonDailyLimit: parseInt(process.env.COACH_DAILY_QUOTA_ANON || '20', 10)
+});
+
+/**
+ * Middleware: count the request against the caller's daily quota and report
+ * what is left in X-Quota-* headers. Requests rejected as invalid (400) are
+ * given back, so a malformed payload never uses up the swimmer's day.
+ */
+function coachQuotaLimiter(req, res, next) {
+  const caller = req.user ? { uid: req.user.uid } : { ip: req.ip };
+  const quota = coachQuota.consume(caller);
+
+  res.set('X-Quota-Scope', quota.scope);
+  res.set('X-Quota-Reset', String(Math.floor(quota.resetAt.getTime() / 1000)));
+  if (quota.limit !== null) {
+    res.set('X-Quota-Limit', String(quota.limit));
+    res.set('X-Quota-Remaining', String(quota.remaining));
+  }
+
+  if (!quota.allowed) {
+    console.log(`🚫 Daily coaching quota reached (${quota.scope}${req.user ? ` ${req.user.uid}` : ''})`);
+    return res.status(429).json({
+      error: 'Daily coaching quota reached',
+      scope: quota.scope,
+      limit: quota.limit,
+      reset_at: quota.resetAt.toISOString(),
+      hint: quota.scope === 'anonymous' ? 'Sign in for a larger daily allowance.' : undefined
+    });
+  }
+
+  if (quota.limit !== null) {
+    res.on('finish', () => {
+      if (res.statusCode === 400) coachQuota.refund(caller, quota.day);
+    });
+  }
+
+  next();
+}
+
+// Middleware chain for every endpoint that can call the model
+const coachLimits = [optionalFirebaseToken, coachRateLimiter, coachQuotaLimiter];
+
+// /api/adapt only calls the model to re-polish; plain adaptation runs the
+// planner alone, so it gets the burst limit but not the daily quota
+const adaptLimits = [
+  optionalFirebaseToken,
+  coachRateLimiter,
+  (req, res, next) => req.body && req.body.repolish ? coachQuotaLimiter(req, res, next) : next()
+];
+
 // General rate limiter for all API endpoints
 const generalRateLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
@@ -166,48 +285,121 @@ app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     service: 'Let\'s Keep Swimming API',
-    mode: MOCK_MODE ? 'mock' : 'live',
-    version: '2.0.0'
+    mode: llm.name === 'mock' ? 'mock' : 'live',
+    provider: llm.name,
+    model: llm.model,
+    version: '2.0.0',
+    polish_cache: polishCache.stats(),
+    budget: usageStore.budget(),
+    quotas: coachQuota.stats()
   });
 });
 
+/**
+ * Require the admin token (ADMIN_TOKEN) as a Bearer token
+ * Admin endpoints are disabled when no token is configured.
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({
+      error: 'Admin endpoints disabled',
+      message: 'Set ADMIN_TOKEN in .env to enable them.'
+    });
+  }
+
+  const authHeader = req.headers.authorization;
+  if (authHeader !== `Bearer ${ADMIN_TOKEN}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+/**
+ * GET /api/admin/usage?days=30&months=12
+ * Daily and monthly token/cost aggregates plus the budget status
+ */
+app.get('/api/admin/usage', requireAdmin, (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 366);
+  const months = Math.min(Math.max(parseInt(req.query.months, 10) || 12, 1), 13);
+
+  res.json(usageStore.summary({ days, months }));
+});
+
 // ============================================================================
-// POLISH-ONLY MODE (NEW)
-// The LLM only provides explanations for pre-determined workouts
+// DETERMINISTIC PLANNING
+// Runs the shared web/coach planner on the server so API clients get the
+// same plans as the web app without any LLM involvement
 // ============================================================================
 
 /**
- * System prompt for polish-only LLM calls
+ * POST /api/plan
+ * Generate tomorrow's session plan from profile and recent sessions
+ *
+ * Request:
+ * {
+ *   profile: { eventDate, eventName, eventDistance_m, access, weeklyVolumeEstimate_m, sessionsPerWeek, ... },
+ *            seasonEvents: [{ id, name, date, distance, priority }]  // optional, B/C races before the key event
+ *   recent_sessions: [...],
+ *   target_type: "pool" | "open_water"   // optional
+ * }
+ *
+ * Response: { session_plan: { session, derived_from_template, phase, days_to_event, readiness, validation } }
  */
-const POLISH_SYSTEM_PROMPT = `You are a supportive swim coach assistant for Midmar Mile preparation.
+app.post('/api/plan', (req, res) => {
+  const { profile, recent_sessions, target_type } = req.body;
 
-CRITICAL RULES:
-1. You are providing POLISH ONLY - explanatory text for a pre-determined workout
-2. You MUST NOT suggest changes to distances, reps, sets, or structure
-3. You MUST NOT invent new exercises or modify the workout
-4. Your job is ONLY to explain WHY this session makes sense and provide technique cues
-5. Be encouraging but realistic - no medical advice
-6. Use cautious, non-medical language (say "consider rest" not "you may be injured")
-
-OUTPUT FORMAT:
-Return ONLY valid JSON with these fields:
-{
-  "why_this": "string (max 60 words) - explain why this session fits the athlete's current situation",
-  "technique_focus": ["array of max 3 short technique cues relevant to this workout"],
-  "event_prep_tip": "string - one practical tip related to event preparation (or null if not applicable)",
-  "flags": ["array of 0-4 cautionary notes if needed"]
-}
+  if (!profile || !profile.eventDate || isNaN(new Date(profile.eventDate))) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['profile.eventDate']
+    });
+  }
+
+  if (target_type && !['pool', 'open_water'].includes(target_type)) {
+    return res.status(400).json({
+      error: 'Invalid target_type',
+      allowed: ['pool', 'open_water']
+    });
+  }
+
+  const seasonEvents = profile.seasonEvents;
+  if (seasonEvents !== undefined && (!Array.isArray(seasonEvents) || !seasonEvents.every(e =>
+      e && typeof e === 'object' && typeof e.date === 'string' && !isNaN(new Date(e.date)) &&
+      (e.priority === undefined || CoachPlanner.EVENT_PRIORITIES.includes(e.priority))))) {
+    return res.status(400).json({
+      error: 'Invalid profile.seasonEvents',
+      expected: '[{ id, name, date, distance, priority }] with priority one of A, B, C'
+    });
+  }
 
-TONE GUIDELINES:
-- neutral: professional, informative
-- calm: gentle, reassuring, emphasize enjoyment
-- tough_love: direct, challenging, performance-focused
+  try {
+    const sessionPlan = CoachPlanner.generateSessionPlan(
+      profile,
+      Array.isArray(recent_sessions) ? recent_sessions : [],
+      target_type || null
+    );
+    console.log(`   ✅ Plan generated: ${sessionPlan.derived_from_template.template_id} (${sessionPlan.phase})`);
+    res.json({ session_plan: sessionPlan });
+  } catch (error) {
+    console.error('❌ Plan error:', error.message);
+    res.status(500).json({
+      error: 'Failed to generate plan',
+      message: error.message
+    });
+  }
+});
 
-DO NOT include any text outside the JSON object.`;
+// ============================================================================
+// POLISH-ONLY MODE (NEW)
+// The LLM only provides explanations for pre-determined workouts
+// ============================================================================
+
+// Polish prompt text lives in web/prompts.js so browser and server never drift
 
 /**
  * Generate mock polish response
- * Used when MOCK_MODE is enabled
+ * Used by the mock provider, and as the fallback when a model call fails
  */
 function generateMockPolish(sessionPlan, profile, recentSessions) {
   const { session, phase, days_to_event, readiness } = sessionPlan;
@@ -282,103 +474,307 @@ function generateMockPolish(sessionPlan, profile, recentSessions) {
 }
 
 /**
- * Format session structure for the polish prompt
+ * Build the user prompt for polish request
  */
-function formatSessionForPrompt(session) {
-  if (session.type === 'rest') {
-    return 'REST DAY - No swimming scheduled';
-  }
+function buildPolishUserMessage(sessionPlan, profile, recentSessions) {
+  const sessionDescription = Prompts.formatSessionForPrompt(sessionPlan.session);
+  return Prompts.buildUserPrompt(sessionPlan, profile, recentSessions, sessionDescription);
+}
+
+// ============================================================================
+// SESSION PLAN VALIDATION
+// Session plans are built in the browser, so the server treats them as
+// untrusted input and checks them against the planner's own rules
+// ============================================================================
+
+const PLAN_LIMITS = {
+  maxBlocks: 8,
+  maxItemsPerBlock: 12,
+  maxTextLength: 300,
+  maxLabelLength: 60,
+  maxRepDistanceM: 5000, // The planner splits reps past 1000m (or the template's own length) when scaling up
+  maxSessionDistanceM: 10000,
+  maxDurationMin: 300,
+  maxReps: 50,
+  maxRestSec: 600,
+  maxSendoffSec: 1800, // The planner drops longer send-offs, and any on reps over 800m
+  paceRangeSec: [40, 400], // Seconds per 100m, world record to very slow breaststroke
+  maxSplits: 200, // A 10km session in 50m laps
+  maxWeeklyLoad: 50000, // Minutes x RPE: 14 hours a week at RPE 10 is 8400
+  eventDistanceM: [100, 100000], // 100m dash to multi-day stage swims
+  maxAddons: 5,
+  maxReasons: 6,
+  maxRecentSessions: 20,
+  maxNotesLength: 500,
+  maxLegacySteps: 20, // Steps in a legacy tomorrow_session sent to /api/adapt
+  distanceToleranceM: 50 // Same tolerance as CoachPlanner.validatePlan
+};
+
+const SESSION_TYPES = ['pool', 'open_water', 'rest'];
+const INTENSITIES = ['easy', 'moderate', 'hard', 'rest'];
+const PHASES = ['BUILD', 'SHARPEN', 'TAPER'];
+const READINESS_STATUSES = ['READY', 'FATIGUED', 'NEEDS_REST'];
+const PACE_ZONE_IDS = ['recovery', 'endurance', 'threshold', 'race'];
+const MAIN_SET_VERDICTS = ['faded', 'even', 'negative_split'];
+const LOAD_ZONES = ['low', 'optimal', 'elevated', 'high'];
+const EVENT_CLASS_IDS = CoachPlanner.EVENT_CLASSES.map(c => c.id);
+const SEASON_ROLES = ['race', 'mini_taper', 'recovery'];
+const TONES = ['neutral', 'calm', 'tough_love'];
+
+function isShortString(value, maxLength = PLAN_LIMITS.maxTextLength) {
+  return typeof value === 'string' && value.length <= maxLength;
+}
+
+function isPace(value) {
+  return isNumberInRange(value, PLAN_LIMITS.paceRangeSec[0], PLAN_LIMITS.paceRangeSec[1]);
+}
 
-  let description = `${session.type.toUpperCase()} SESSION\n`;
-  description += `Duration: ${session.estimated_duration_min} minutes\n`;
+function isPaceRange(range) {
+  return !!range && typeof range === 'object' && isPace(range.min_sec) && isPace(range.max_sec);
+}
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
 
-  if (session.total_distance_m) {
-    description += `Total Distance: ${session.total_distance_m}m\n`;
+/**
+ * Validate the session structure blocks and return the summed distance
+ */
+function validateStructure(structure, fail) {
+  const path = 'session_plan.session.structure';
+  let structureDistance = 0;
+
+  if (!Array.isArray(structure) || structure.length > PLAN_LIMITS.maxBlocks) {
+    fail(path, `must be an array of at most ${PLAN_LIMITS.maxBlocks} blocks`);
+    return null;
   }
 
-  description += `Intensity: ${session.intensity}\n\n`;
-  description += `STRUCTURE (DO NOT MODIFY):\n`;
+  structure.forEach((block, b) => {
+    const blockPath = `${path}[${b}]`;
+
+    if (!block || !isShortString(block.label, PLAN_LIMITS.maxLabelLength)) {
+      fail(`${blockPath}.label`, `must be a string of at most ${PLAN_LIMITS.maxLabelLength} characters`);
+    }
+    if (!block || !Array.isArray(block.items) || block.items.length > PLAN_LIMITS.maxItemsPerBlock) {
+      fail(`${blockPath}.items`, `must be an array of at most ${PLAN_LIMITS.maxItemsPerBlock} items`);
+      return;
+    }
 
-  session.structure.forEach(block => {
-    description += `\n${block.label}:\n`;
-    block.items.forEach(item => {
-      description += `  - ${item.text}`;
-      if (item.distance_m) {
-        description += ` (${item.distance_m}m)`;
+    block.items.forEach((item, i) => {
+      const itemPath = `${blockPath}.items[${i}]`;
+
+      if (!item || !isShortString(item.text)) {
+        fail(`${itemPath}.text`, `must be a string of at most ${PLAN_LIMITS.maxTextLength} characters`);
+        return;
+      }
+      // One item can be most of a session (a long continuous swim or a big main set)
+      if (item.distance_m !== undefined && !isNumberInRange(item.distance_m, 0, PLAN_LIMITS.maxSessionDistanceM)) {
+        fail(`${itemPath}.distance_m`, `must be a number between 0 and ${PLAN_LIMITS.maxSessionDistanceM}`);
+      } else {
+        structureDistance += item.distance_m || 0;
+      }
+      if (item.reps !== undefined && !(Number.isInteger(item.reps) && item.reps > 0 && item.reps <= PLAN_LIMITS.maxReps)) {
+        fail(`${itemPath}.reps`, `must be an integer between 1 and ${PLAN_LIMITS.maxReps}`);
+      }
+      if (item.per_rep_m !== undefined && !isNumberInRange(item.per_rep_m, 1, PLAN_LIMITS.maxRepDistanceM)) {
+        fail(`${itemPath}.per_rep_m`, `must be a number between 1 and ${PLAN_LIMITS.maxRepDistanceM}`);
+      }
+      if (item.rest_sec !== undefined && !isNumberInRange(item.rest_sec, 0, PLAN_LIMITS.maxRestSec)) {
+        fail(`${itemPath}.rest_sec`, `must be a number between 0 and ${PLAN_LIMITS.maxRestSec}`);
+      }
+      if (item.sendoff_sec !== undefined && !isNumberInRange(item.sendoff_sec, 1, PLAN_LIMITS.maxSendoffSec)) {
+        fail(`${itemPath}.sendoff_sec`, `must be a number between 1 and ${PLAN_LIMITS.maxSendoffSec}`);
+      }
+      if (item.target_pace !== undefined && !(isPaceRange(item.target_pace) && PACE_ZONE_IDS.includes(item.target_pace.zone))) {
+        fail(`${itemPath}.target_pace`, 'must be { zone, min_sec, max_sec } with a known zone and paces per 100m');
       }
-      description += '\n';
     });
   });
 
-  if (session.open_water_addons && session.open_water_addons.length > 0) {
-    description += `\nOPEN WATER ADDITIONS:\n`;
-    session.open_water_addons.forEach(addon => {
-      description += `  - ${addon}\n`;
-    });
-  }
-
-  return description;
+  return structureDistance;
 }
 
 /**
- * Build the user prompt for polish request
+ * Validate an incoming polish request
+ * Re-runs the planner's checks (distance sums, caps, known templates) plus
+ * field types and sizes.
+ *
+ * @returns {Array} Violations as { field, message } - empty when valid
  */
-function buildPolishUserMessage(sessionPlan, profile, recentSessions) {
-  const { phase, days_to_event, readiness, derived_from_template, session } = sessionPlan;
+function validatePolishPayload(sessionPlan, profile, recentSessions) {
+  const violations = [];
+  const fail = (field, message) => violations.push({ field, message });
 
-  const sessionDescription = formatSessionForPrompt(session);
+  if (!sessionPlan || typeof sessionPlan !== 'object' || !sessionPlan.session || typeof sessionPlan.session !== 'object') {
+    fail('session_plan.session', 'must be an object');
+    return violations;
+  }
 
-  let prompt = `Please provide polish for this pre-determined workout session.
+  const { session, derived_from_template: derived, readiness } = sessionPlan;
 
-ATHLETE CONTEXT:
-- Days to event: ${days_to_event}
-- Training phase: ${phase}
-- Goal: ${profile.goal}${profile.targetTime ? ` (target: ${profile.targetTime})` : ''}
-- Preferred tone: ${profile.tone || 'neutral'}
-- Training readiness: ${readiness.status}${readiness.reasons.length > 0 ? ` (${readiness.reasons.join('; ')})` : ''}
+  // Session fields
+  if (!SESSION_TYPES.includes(session.type)) {
+    fail('session_plan.session.type', `must be one of ${SESSION_TYPES.join(', ')}`);
+  }
+  if (!INTENSITIES.includes(session.intensity)) {
+    fail('session_plan.session.intensity', `must be one of ${INTENSITIES.join(', ')}`);
+  }
+  if (session.total_distance_m !== null && !isNumberInRange(session.total_distance_m, 0, PLAN_LIMITS.maxSessionDistanceM)) {
+    fail('session_plan.session.total_distance_m', `must be null or a number between 0 and ${PLAN_LIMITS.maxSessionDistanceM}`);
+  }
+  if (!isNumberInRange(session.estimated_duration_min, 0, PLAN_LIMITS.maxDurationMin)) {
+    fail('session_plan.session.estimated_duration_min', `must be a number between 0 and ${PLAN_LIMITS.maxDurationMin}`);
+  }
 
-TEMPLATE SOURCE:
-- Based on: ${derived_from_template.source} program
-- Template: ${derived_from_template.template_name}
-${derived_from_template.scaling_notes ? `- Scaling: ${derived_from_template.scaling_notes}` : ''}
+  const breakdown = session.duration_breakdown;
+  if (breakdown !== undefined && (!breakdown || typeof breakdown !== 'object' ||
+      !isNumberInRange(breakdown.swim_min, 0, PLAN_LIMITS.maxDurationMin) ||
+      !isNumberInRange(breakdown.rest_min, 0, PLAN_LIMITS.maxDurationMin) ||
+      !Array.isArray(breakdown.block_min) || breakdown.block_min.length > PLAN_LIMITS.maxBlocks ||
+      !breakdown.block_min.every(minutes => isNumberInRange(minutes, 0, PLAN_LIMITS.maxDurationMin)))) {
+    fail('session_plan.session.duration_breakdown', 'must be { swim_min, rest_min, block_min[] } with minutes in range');
+  }
 
-RECENT TRAINING (last 5 sessions):
-`;
+  const structureDistance = validateStructure(session.structure, fail);
+  if (structureDistance !== null && typeof session.total_distance_m === 'number' &&
+      Math.abs(structureDistance - session.total_distance_m) > PLAN_LIMITS.distanceToleranceM) {
+    fail('session_plan.session.total_distance_m', `structure sums to ${structureDistance}m, expected ${session.total_distance_m}m`);
+  }
+
+  if (session.open_water_addons !== undefined && (!Array.isArray(session.open_water_addons) ||
+      session.open_water_addons.length > PLAN_LIMITS.maxAddons ||
+      !session.open_water_addons.every(addon => isShortString(addon)))) {
+    fail('session_plan.session.open_water_addons', `must be an array of at most ${PLAN_LIMITS.maxAddons} short strings`);
+  }
+  if (session.safety_note != null && !isShortString(session.safety_note)) {
+    fail('session_plan.session.safety_note', `must be a string of at most ${PLAN_LIMITS.maxTextLength} characters`);
+  }
 
-  if (!recentSessions || recentSessions.length === 0) {
-    prompt += 'No recent sessions logged.\n';
+  // Template provenance - the structure must still have the template's shape
+  if (!derived || typeof derived !== 'object') {
+    fail('session_plan.derived_from_template', 'must be an object');
   } else {
-    recentSessions.slice(0, 5).forEach(s => {
-      prompt += `- ${s.date}: ${s.type}, ${s.distance_m}m, ${s.time_min}min, RPE ${s.rpe}`;
-      if (s.notes) {
-        prompt += ` - "${s.notes}"`;
+    const template = CoachTemplates.getTemplateById(derived.template_id);
+    if (!template) {
+      fail('session_plan.derived_from_template.template_id', 'must be a known template id');
+    } else if (session.type !== 'rest' && Array.isArray(session.structure)) {
+      const expectedShape = template.structure.map(block => `${block.label}:${block.items.length}`).join('|');
+      const actualShape = session.structure.map(block => block && Array.isArray(block.items) ? `${block.label}:${block.items.length}` : '?').join('|');
+      if (actualShape !== expectedShape) {
+        fail('session_plan.session.structure', `does not match the blocks of template ${template.id}`);
+      }
+    }
+    ['source', 'template_name', 'scaling_notes'].forEach(field => {
+      if (derived[field] != null && !isShortString(derived[field])) {
+        fail(`session_plan.derived_from_template.${field}`, `must be a string of at most ${PLAN_LIMITS.maxTextLength} characters`);
       }
-      prompt += '\n';
     });
   }
 
-  prompt += `
-THE SESSION (structure is FINAL - do not suggest changes):
-${sessionDescription}
+  // Plan context
+  if (!PHASES.includes(sessionPlan.phase)) {
+    fail('session_plan.phase', `must be one of ${PHASES.join(', ')}`);
+  }
+  if (!Number.isInteger(sessionPlan.days_to_event)) {
+    fail('session_plan.days_to_event', 'must be an integer');
+  }
+  const event = sessionPlan.event;
+  if (event != null && (typeof event !== 'object' ||
+      !(event.name === null || isShortString(event.name, PLAN_LIMITS.maxLabelLength)) ||
+      !isNumberInRange(event.distance_m, PLAN_LIMITS.eventDistanceM[0], PLAN_LIMITS.eventDistanceM[1]) ||
+      !EVENT_CLASS_IDS.includes(event.class))) {
+    fail('session_plan.event', `must be null or { name, distance_m, class } with class one of ${EVENT_CLASS_IDS.join(', ')}`);
+  }
+  const seasonEvent = sessionPlan.season_event;
+  if (seasonEvent != null && (typeof seasonEvent !== 'object' ||
+      !(seasonEvent.name === null || isShortString(seasonEvent.name, PLAN_LIMITS.maxLabelLength)) ||
+      !/^\d{4}-\d{2}-\d{2}$/.test(seasonEvent.date) ||
+      !CoachPlanner.EVENT_PRIORITIES.includes(seasonEvent.priority) ||
+      !SEASON_ROLES.includes(seasonEvent.role))) {
+    fail('session_plan.season_event', `must be null or { name, date, priority, role } with role one of ${SEASON_ROLES.join(', ')}`);
+  }
+  if (!readiness || !READINESS_STATUSES.includes(readiness.status)) {
+    fail('session_plan.readiness.status', `must be one of ${READINESS_STATUSES.join(', ')}`);
+  }
+  if (!readiness || !Array.isArray(readiness.reasons) || readiness.reasons.length > PLAN_LIMITS.maxReasons ||
+      !readiness.reasons.every(reason => isShortString(reason))) {
+    fail('session_plan.readiness.reasons', `must be an array of at most ${PLAN_LIMITS.maxReasons} short strings`);
+  }
+  const paceZones = sessionPlan.pace_zones;
+  if (paceZones != null && (typeof paceZones !== 'object' || !isPace(paceZones.css_per_100_sec) ||
+      !isShortString(paceZones.tested_on, 10) || !paceZones.zones || typeof paceZones.zones !== 'object' ||
+      !Object.keys(paceZones.zones).every(zone => PACE_ZONE_IDS.includes(zone) && isPaceRange(paceZones.zones[zone])))) {
+    fail('session_plan.pace_zones', 'must be null or { css_per_100_sec, tested_on, zones } with paces per 100m');
+  }
+  const mainSet = sessionPlan.last_main_set;
+  if (mainSet != null && (typeof mainSet !== 'object' || !isShortString(mainSet.date, 10) ||
+      !isNumberInRange(mainSet.rep_distance_m, 1, PLAN_LIMITS.maxRepDistanceM) ||
+      !isNumberInRange(mainSet.reps, 1, PLAN_LIMITS.maxSplits) ||
+      ![mainSet.avg_pace_per_100_sec, mainSet.first_half_pace_sec, mainSet.second_half_pace_sec].every(isPace) ||
+      !isNumberInRange(mainSet.drift_pct, -100, 100) || !MAIN_SET_VERDICTS.includes(mainSet.verdict) ||
+      !(mainSet.zone === null || PACE_ZONE_IDS.includes(mainSet.zone)))) {
+    fail('session_plan.last_main_set', 'must be null or a main-set assessment from CoachPlanner.assessMainSet');
+  }
+  const load = sessionPlan.training_load;
+  if (load != null && (typeof load !== 'object' ||
+      !isNumberInRange(load.acute_load, 0, PLAN_LIMITS.maxWeeklyLoad) ||
+      !isNumberInRange(load.chronic_load, 0, PLAN_LIMITS.maxWeeklyLoad) ||
+      !(load.acwr === null || isNumberInRange(load.acwr, 0, 100)) ||
+      !(load.zone === null || LOAD_ZONES.includes(load.zone)) ||
+      !(load.monotony === null || isNumberInRange(load.monotony, 0, 100)) ||
+      !isNumberInRange(load.strain, 0, PLAN_LIMITS.maxWeeklyLoad * 100) ||
+      typeof load.established !== 'boolean')) {
+    fail('session_plan.training_load', 'must be null or a training load from CoachPlanner.calculateTrainingLoad');
+  }
 
-Please provide:
-1. why_this: Brief explanation (max 60 words) of why this session fits the athlete's current training phase and recent history
-2. technique_focus: Up to 3 technique cues relevant to this specific workout
-3. event_prep_tip: One practical tip for Midmar Mile preparation (or null if ${days_to_event} > 21)
-4. flags: Any cautionary notes (0-4 items) based on readiness status or session demands`;
+  // Profile and recent sessions end up in the prompt too
+  validatePromptContext(profile, recentSessions, fail);
 
-  // Add open water safety reminder if applicable
-  if (session.type === 'open_water') {
-    prompt += `
+  return violations;
+}
 
-NOTE: This is an open water session. Include a safety reminder in flags about swimming with a buddy or in supervised areas.`;
+/**
+ * Validate the profile and recent sessions that go into a polish prompt
+ * (shared by /api/coach and the /api/adapt re-polish). Notes longer than
+ * PLAN_LIMITS.maxNotesLength are truncated in place.
+ */
+function validatePromptContext(profile, recentSessions, fail) {
+  if (!profile || typeof profile !== 'object') {
+    fail('profile', 'must be an object');
+  } else {
+    if (profile.goal != null && !isShortString(profile.goal, 40)) {
+      fail('profile.goal', 'must be a string of at most 40 characters');
+    }
+    if (profile.targetTime != null && !isShortString(profile.targetTime, 20)) {
+      fail('profile.targetTime', 'must be a string of at most 20 characters');
+    }
+    if (profile.tone != null && !TONES.includes(profile.tone)) {
+      fail('profile.tone', `must be one of ${TONES.join(', ')}`);
+    }
   }
 
-  prompt += `
-
-Return ONLY the JSON object, no other text.`;
-
-  return prompt;
+  if (recentSessions !== undefined) {
+    if (!Array.isArray(recentSessions) || recentSessions.length > PLAN_LIMITS.maxRecentSessions) {
+      fail('recent_sessions', `must be an array of at most ${PLAN_LIMITS.maxRecentSessions} sessions`);
+    } else {
+      recentSessions.forEach((s, i) => {
+        // Cut long notes rather than reject them - sessions logged before the
+        // notes field had a limit can still carry more than the prompt takes
+        if (s && typeof s.notes === 'string' && s.notes.length > PLAN_LIMITS.maxNotesLength) {
+          s.notes = s.notes.slice(0, PLAN_LIMITS.maxNotesLength);
+        }
+        if (!s || typeof s !== 'object') {
+          fail(`recent_sessions[${i}]`, 'must be an object');
+        } else if (s.notes != null && typeof s.notes !== 'string') {
+          fail(`recent_sessions[${i}].notes`, 'must be a string');
+        } else if (s.rpe != null && Effort.toRpe(s.rpe) === null) {
+          fail(`recent_sessions[${i}].rpe`, `must be an RPE from ${Effort.RPE_MIN} to ${Effort.RPE_MAX}`);
+        } else if (s.effort != null && !Effort.EFFORT_LEVELS.includes(s.effort)) {
+          fail(`recent_sessions[${i}].effort`, `must be one of ${Effort.EFFORT_LEVELS.join(', ')}`);
+        }
+      });
+    }
+  }
 }
 
 /**
@@ -402,7 +798,7 @@ Return ONLY the JSON object, no other text.`;
  *   today: "YYYY-MM-DD"
  * }
  */
-app.post('/api/coach', coachRateLimiter, async (req, res) => {
+app.post('/api/coach', coachLimits, async (req, res) => {
   try {
     const requestBody = req.body;
 
@@ -410,9 +806,9 @@ app.post('/api/coach', coachRateLimiter, async (req, res) => {
     const isPolishOnly = !!requestBody.session_plan;
 
     if (isPolishOnly) {
-      return handlePolishRequest(req, res);
+      return await handlePolishRequest(req, res);
     } else {
-      return handleLegacyCoachRequest(req, res);
+      return await handleLegacyCoachRequest(req, res);
     }
 
   } catch (error) {
@@ -424,85 +820,592 @@ app.post('/api/coach', coachRateLimiter, async (req, res) => {
   }
 });
 
+/**
+ * Shared checks for plain and streaming polish requests
+ * @returns {Object} { error: { status, body } } when the request is rejected,
+ *                   otherwise { planWarnings }
+ */
+function checkPolishRequest(body) {
+  const { session_plan, profile, recent_sessions } = body;
+
+  if (!session_plan || !profile) {
+    return {
+      error: {
+        status: 400,
+        body: { error: 'Missing required fields', required: ['session_plan', 'profile'] }
+      }
+    };
+  }
+
+  // Reject anything the planner could not have produced before it reaches the model
+  const violations = validatePolishPayload(session_plan, profile, recent_sessions);
+  if (violations.length > 0) {
+    console.log(`\n🚫 Rejected polish request (${violations.length} violations)`);
+    return {
+      error: {
+        status: 400,
+        body: { error: 'Invalid session plan', violations }
+      }
+    };
+  }
+
+  // Guardrail warnings don't block polish (the swimmer may have chosen the
+  // distance) but are flagged back to the client
+  const metrics = CoachPlanner.calculateRecentMetrics(recent_sessions || []);
+  const { warnings } = CoachPlanner.validatePlan(session_plan, profile, metrics);
+
+  return { planWarnings: warnings };
+}
+
+/**
+ * Provider request for polishing a session plan
+ * Kept as one object so a corrective re-ask can resend it with the reply
+ */
+function buildPolishLlmRequest(sessionPlan, profile, recentSessions) {
+  return {
+    system: Prompts.buildPolishSystemPrompt(sessionPlan.event),
+    messages: [
+      { role: 'user', content: buildPolishUserMessage(sessionPlan, profile, recentSessions) }
+    ],
+    maxTokens: 512, // Polish responses are shorter
+    temperature: 0.3,
+    mock: () => generateMockPolish(sessionPlan, profile, recentSessions)
+  };
+}
+
+function logParsedResponse({ repairs, reasked }) {
+  console.log(`   ✅ Valid JSON parsed${reasked ? ' (after re-ask)' : ''}`);
+  if (repairs.length > 0) {
+    console.log(`   🔧 Repaired: ${repairs.join('; ')}`);
+  }
+}
+
+/**
+ * Server-side cache key: the rendered prompt's hash scoped to the model that
+ * wrote the polish. Mock polish is free, so it is never cached (returns null).
+ */
+function getPolishCacheKey(sessionPlan, profile, recentSessions) {
+  if (llm.name === 'mock') return null;
+  return `${llm.name}:${llm.model}:${Prompts.buildPolishCacheKey(sessionPlan, profile, recentSessions)}`;
+}
+
+function logPolishRequest(sessionPlan, planWarnings, label) {
+  console.log(`\n🏊 ${label} for ${sessionPlan.session.type} session`);
+  console.log(`   Phase: ${sessionPlan.phase}`);
+  console.log(`   Days to event: ${sessionPlan.days_to_event}`);
+  console.log(`   Provider: ${llm.name}`);
+  if (planWarnings.length > 0) {
+    console.log(`   ⚠️  Plan warnings: ${planWarnings.join('; ')}`);
+  }
+}
+
+/**
+ * Mock polish standing in for the model's, with the reason recorded
+ * @param {string} reason - 'budget_exceeded' | 'api_error' | 'invalid_response'
+ */
+function buildFallbackPolish(sessionPlan, profile, recentSessions, reason) {
+  return {
+    ...generateMockPolish(sessionPlan, profile, recentSessions),
+    is_fallback: true,
+    fallback_reason: reason
+  };
+}
+
 /**
  * Handle polish-only requests (new format)
  */
 async function handlePolishRequest(req, res) {
   const { session_plan, profile, recent_sessions } = req.body;
 
-  if (!session_plan || !profile) {
-    return res.status(400).json({
-      error: 'Missing required fields',
-      required: ['session_plan', 'profile']
-    });
+  const { error, planWarnings } = checkPolishRequest(req.body);
+  if (error) {
+    return res.status(error.status).json(error.body);
   }
 
-  console.log(`\n🏊 Polish request for ${session_plan.session.type} session`);
-  console.log(`   Phase: ${session_plan.phase}`);
-  console.log(`   Days to event: ${session_plan.days_to_event}`);
-  console.log(`   Mode: ${MOCK_MODE ? 'MOCK' : 'LIVE'}`);
+  logPolishRequest(session_plan, planWarnings, 'Polish request');
+  const withPlanWarnings = polish => planWarnings.length > 0 ? { ...polish, plan_warnings: planWarnings } : polish;
+  const meter = usageStore.begin('/api/coach', llm);
+
+  // Identical plans reuse an earlier polish
+  const cacheKey = getPolishCacheKey(session_plan, profile, recent_sessions);
+  const cachedPolish = cacheKey && polishCache.get(cacheKey);
+  if (cachedPolish) {
+    console.log(`   ♻️  Polish cache hit (${cacheKey})`);
+    meter.finish({ cached: true });
+    return res.json(withPlanWarnings({ ...cachedPolish, cached: true }));
+  }
 
-  // MOCK MODE: Return mock polish
-  if (MOCK_MODE) {
-    const mockPolish = generateMockPolish(session_plan, profile, recent_sessions);
-    console.log(`   ✅ Mock polish generated`);
-    return res.json(mockPolish);
+  if (usageStore.isOverBudget()) {
+    console.log(`   💸 Monthly budget reached, using mock polish`);
+    meter.finish({ fallbackReason: 'budget_exceeded' });
+    return res.json(withPlanWarnings(buildFallbackPolish(session_plan, profile, recent_sessions, 'budget_exceeded')));
   }
 
-  // LIVE MODE: Call Anthropic API for polish only
-  const userMessage = buildPolishUserMessage(session_plan, profile, recent_sessions);
+  // Call the LLM provider for polish only
+  const llmRequest = buildPolishLlmRequest(session_plan, profile, recent_sessions);
+  const meteredLlm = meter.track(llm);
 
-  console.log(`   📡 Calling Claude API for polish...`);
+  console.log(`   📡 Calling ${llm.name} (${llm.model}) for polish...`);
 
   try {
-    const message = await anthropic.messages.create({
-      model: MODEL,
-      max_tokens: 512, // Polish responses are shorter
-      temperature: 0.3,
-      system: POLISH_SYSTEM_PROMPT,
-      messages: [
-        { role: 'user', content: userMessage }
-      ]
-    });
+    const message = await meteredLlm.complete(llmRequest);
 
-    const responseText = message.content[0].text;
+    const responseText = message.text;
     console.log(`   📥 Received polish response (${responseText.length} chars)`);
 
-    // Parse JSON response
+    // Parse JSON response (one corrective re-ask if it's unusable)
     try {
-      const polishData = JSON.parse(responseText);
-
-      // Validate polish response has required fields
-      if (!polishData.why_this || !Array.isArray(polishData.technique_focus)) {
-        throw new Error('Missing required polish fields');
-      }
-
-      // Ensure flags is an array
-      if (!polishData.flags) {
-        polishData.flags = [];
+      const parsed = await parseWithReask(meteredLlm, llmRequest, responseText, POLISH_SCHEMA);
+      logParsedResponse(parsed);
+      if (cacheKey) {
+        polishCache.set(cacheKey, parsed.value);
       }
-
-      console.log(`   ✅ Valid polish JSON parsed`);
-      return res.json(polishData);
+      meter.finish();
+      return res.json(withPlanWarnings(parsed.value));
 
     } catch (parseError) {
-      console.error(`   ❌ JSON parse error:`, parseError.message);
+      console.error(`   ❌ Polish parse error:`, parseError.message);
       // Return mock polish as fallback
-      const fallbackPolish = generateMockPolish(session_plan, profile, recent_sessions);
-      fallbackPolish.is_fallback = true;
-      return res.json(fallbackPolish);
+      meter.finish({ fallbackReason: 'invalid_response' });
+      return res.json(withPlanWarnings(buildFallbackPolish(session_plan, profile, recent_sessions, 'invalid_response')));
     }
 
   } catch (apiError) {
     console.error(`   ❌ API error:`, apiError.message);
     // Return mock polish as fallback
-    const fallbackPolish = generateMockPolish(session_plan, profile, recent_sessions);
-    fallbackPolish.is_fallback = true;
+    meter.finish({ fallbackReason: 'api_error' });
+    const fallbackPolish = buildFallbackPolish(session_plan, profile, recent_sessions, 'api_error');
     fallbackPolish.api_error = apiError.message;
-    return res.json(fallbackPolish);
+    return res.json(withPlanWarnings(fallbackPolish));
+  }
+}
+
+// ============================================================================
+// STREAMING POLISH (Server-Sent Events)
+// Same polish as /api/coach, but fields are pushed to the client as the model
+// writes them so the coach tab can fill in progressively.
+//
+// Events:
+//   chunk  { field: 'why_this', text }  - why_this so far (replace, don't append)
+//   field  { field, value }             - a polish field is complete
+//   done   { ...polish }                - final polish, same shape as /api/coach
+//   error  { error }                    - stream failed; client falls back
+// ============================================================================
+
+const POLISH_FIELDS = ['why_this', 'technique_focus', 'event_prep_tip', 'flags'];
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * POST /api/coach/stream
+ * Streaming variant of the polish-only request. Same body as /api/coach
+ * (session_plan is required); the response is text/event-stream.
+ * POST rather than GET because session plans are too large for a query string.
+ */
+app.post('/api/coach/stream', coachLimits, async (req, res) => {
+  const { session_plan, profile, recent_sessions } = req.body;
+
+  const { error, planWarnings } = checkPolishRequest(req.body);
+  if (error) {
+    return res.status(error.status).json(error.body);
+  }
+
+  logPolishRequest(session_plan, planWarnings, 'Streaming polish request');
+  const withPlanWarnings = polish => planWarnings.length > 0 ? { ...polish, plan_warnings: planWarnings } : polish;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Stop the model call if the client goes away
+  let closed = false;
+  const abortController = new AbortController();
+  res.on('close', () => {
+    closed = true;
+    if (!res.writableEnded) abortController.abort();
+  });
+
+  const meter = usageStore.begin('/api/coach/stream', llm);
+
+  // Cached polish is sent as complete fields straight away
+  const cacheKey = getPolishCacheKey(session_plan, profile, recent_sessions);
+  const cachedPolish = cacheKey && polishCache.get(cacheKey);
+  if (cachedPolish) {
+    console.log(`   ♻️  Polish cache hit (${cacheKey})`);
+    meter.finish({ cached: true });
+    POLISH_FIELDS.forEach(field => sendEvent(res, 'field', { field, value: cachedPolish[field] }));
+    sendEvent(res, 'done', withPlanWarnings({ ...cachedPolish, cached: true }));
+    return res.end();
+  }
+
+  // Same for mock polish once the monthly budget is spent
+  if (usageStore.isOverBudget()) {
+    console.log(`   💸 Monthly budget reached, using mock polish`);
+    meter.finish({ fallbackReason: 'budget_exceeded' });
+    const fallbackPolish = buildFallbackPolish(session_plan, profile, recent_sessions, 'budget_exceeded');
+    POLISH_FIELDS.forEach(field => sendEvent(res, 'field', { field, value: fallbackPolish[field] }));
+    sendEvent(res, 'done', withPlanWarnings(fallbackPolish));
+    return res.end();
+  }
+
+  // Forward fields as the model completes them
+  console.log(`   📡 Streaming ${llm.name} (${llm.model}) polish...`);
+
+  let responseText = '';
+  let lastWhyThis = '';
+  const sentFields = new Set();
+
+  const onText = delta => {
+    responseText += delta;
+
+    POLISH_FIELDS.forEach(field => {
+      if (sentFields.has(field)) return;
+
+      const found = extractStreamedField(responseText, field);
+      if (!found) return;
+
+      if (found.complete) {
+        sentFields.add(field);
+        sendEvent(res, 'field', { field, value: repairSchemaField(POLISH_SCHEMA, field, found.value) });
+      } else if (field === 'why_this' && found.value && found.value !== lastWhyThis) {
+        lastWhyThis = found.value;
+        sendEvent(res, 'chunk', { field, text: found.value });
+      }
+    });
+  };
+
+  const llmRequest = buildPolishLlmRequest(session_plan, profile, recent_sessions);
+  const meteredLlm = meter.track(llm);
+
+  try {
+    await meteredLlm.stream({ ...llmRequest, signal: abortController.signal }, onText);
+    console.log(`   📥 Streamed polish response (${responseText.length} chars)`);
+
+    // A re-ask arrives whole; the done event carries the corrected fields
+    let polishData;
+    try {
+      const parsed = await parseWithReask(meteredLlm, { ...llmRequest, signal: abortController.signal }, responseText, POLISH_SCHEMA);
+      logParsedResponse(parsed);
+      polishData = parsed.value;
+      if (cacheKey) {
+        polishCache.set(cacheKey, polishData);
+      }
+      meter.finish();
+    } catch (parseError) {
+      if (closed) throw parseError;
+      console.error(`   ❌ Polish parse error:`, parseError.message);
+      meter.finish({ fallbackReason: 'invalid_response' });
+      polishData = buildFallbackPolish(session_plan, profile, recent_sessions, 'invalid_response');
+    }
+
+    sendEvent(res, 'done', withPlanWarnings(polishData));
+    res.end();
+
+  } catch (apiError) {
+    if (closed) {
+      console.log(`   ⏹️  Client disconnected, stream aborted`);
+      meter.finish({ fallbackReason: 'client_disconnected' });
+      return;
+    }
+    console.error(`   ❌ Stream error:`, apiError.message);
+    meter.finish({ fallbackReason: 'api_error' });
+    sendEvent(res, 'error', { error: apiError.message });
+    res.end();
+  }
+});
+
+// ============================================================================
+// COACH CHAT
+// Follow-up questions about a recommendation. The model answers in words and
+// may request ONE structural action; the shared planner applies it, so the
+// model never writes distances or sets itself.
+// ============================================================================
+
+const CHAT_LIMITS = {
+  maxMessageLength: 500,
+  maxHistoryMessages: 20,
+  maxHistoryLength: 2000,
+  historyTurnsSent: 10, // Most recent messages forwarded to the model
+  minDistanceM: 200,
+  minMinutes: 10
+};
+
+/**
+ * Check the chat-specific fields (the plan itself goes through checkPolishRequest)
+ * @returns {Array} violations in the same { field, message } shape
+ */
+function validateChatPayload(message, history) {
+  const violations = [];
+  const fail = (field, text) => violations.push({ field, message: text });
+
+  if (typeof message !== 'string' || !message.trim() || message.length > CHAT_LIMITS.maxMessageLength) {
+    fail('message', `must be a non-empty string of at most ${CHAT_LIMITS.maxMessageLength} characters`);
+  }
+
+  if (history !== undefined) {
+    if (!Array.isArray(history) || history.length > CHAT_LIMITS.maxHistoryMessages) {
+      fail('history', `must be an array of at most ${CHAT_LIMITS.maxHistoryMessages} messages`);
+    } else {
+      history.forEach((entry, i) => {
+        if (!entry || !['user', 'assistant'].includes(entry.role) ||
+            typeof entry.content !== 'string' || entry.content.length > CHAT_LIMITS.maxHistoryLength) {
+          fail(`history[${i}]`, `must be { role: user|assistant, content: string of at most ${CHAT_LIMITS.maxHistoryLength} characters }`);
+        }
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Turn stored history plus the new question into provider messages
+ * Earlier coach replies are re-encoded as JSON so the model keeps answering
+ * in the required format; roles are forced to alternate, starting with user.
+ */
+function buildChatMessages(history, message) {
+  const messages = [];
+
+  (history || []).slice(-CHAT_LIMITS.historyTurnsSent).forEach(entry => {
+    const expectedRole = messages.length % 2 === 0 ? 'user' : 'assistant';
+    if (entry.role !== expectedRole) return;
+
+    messages.push({
+      role: entry.role,
+      content: entry.role === 'assistant'
+        ? JSON.stringify({ reply: entry.content, action: null })
+        : entry.content
+    });
+  });
+
+  // The new question must follow an assistant turn
+  if (messages.length % 2 === 1) {
+    messages.pop();
+  }
+  messages.push({ role: 'user', content: message.trim() });
+
+  return messages;
+}
+
+/**
+ * Mock chat reply: simple intent matching on the question
+ */
+function generateMockChatReply(sessionPlan, message) {
+  const session = sessionPlan.session;
+  const text = message.toLowerCase();
+
+  if (session.type === 'rest') {
+    return {
+      reply: 'Tomorrow is a rest day on purpose - recovery is when the training you have done turns into fitness. A gentle walk or stretching is plenty.',
+      action: null
+    };
+  }
+
+  const minutes = text.match(/(\d+)\s*(?:min|mins|minutes)\b/);
+  if (minutes) {
+    return {
+      reply: `No problem - I have trimmed the session to fit about ${minutes[1]} minutes. Drills and warm-up get shorter first, so the main set stays intact.`,
+      action: { type: 'scale_time', minutes: parseInt(minutes[1], 10) }
+    };
+  }
+
+  const distance = text.match(/(\d+(?:\.\d+)?)\s*(km|k|m|metres|meters)\b/);
+  if (distance) {
+    const metres = ['km', 'k'].includes(distance[2]) ? parseFloat(distance[1]) * 1000 : parseFloat(distance[1]);
+    return {
+      reply: `Sure - I have rescaled the session to about ${Math.round(metres)}m, keeping the same balance of warm-up, main set and cool-down.`,
+      action: { type: 'scale_distance', distance_m: metres }
+    };
+  }
+
+  if (/open water|lake|dam|sea|ocean/.test(text) && session.type !== 'open_water') {
+    return {
+      reply: 'Good idea - I have switched this to an open water version with time-based efforts, sighting practice and a safety reminder.',
+      action: { type: 'change_type', session_type: 'open_water' }
+    };
+  }
+
+  if (/\bpool\b/.test(text) && session.type !== 'pool') {
+    return {
+      reply: 'Switched to a pool version of the same session, with the efforts converted back to lengths.',
+      action: { type: 'change_type', session_type: 'pool' }
+    };
+  }
+
+  if (/kick/.test(text)) {
+    const hasKick = session.structure.some(block => /kick/i.test(block.label));
+    return {
+      reply: hasKick
+        ? 'There is a kick set in this session - a steady kick from the hips keeps your legs high and saves energy over race distance.'
+        : 'This session focuses on your pull and aerobic rhythm. In open water a light two-beat kick is usually enough, so kick work comes in other sessions.',
+      action: null
+    };
+  }
+
+  return {
+    reply: `This ${session.intensity} session fits your ${sessionPlan.phase} phase. Swim it at a pace where you could still hold a short conversation between sets, and ask me if you need it shorter or in different water.`,
+    action: null
+  };
+}
+
+/**
+ * Apply the model's requested action through the shared planner
+ * @returns {Object} { plan, summary } - plan is null when nothing changed
+ */
+function applyChatAction(sessionPlan, action, metrics) {
+  if (!action) {
+    return { plan: null, summary: null };
+  }
+
+  const session = sessionPlan.session;
+  if (session.type === 'rest') {
+    return { plan: null, summary: 'Rest days have no structure to change' };
+  }
+
+  switch (action.type) {
+    case 'scale_time': {
+      if (!(action.minutes >= CHAT_LIMITS.minMinutes)) {
+        return { plan: null, summary: 'Requested change was out of range' };
+      }
+      const minutes = Math.min(Math.round(action.minutes), PLAN_LIMITS.maxDurationMin);
+
+      // Drills and warm-up are trimmed before the main set
+      const plan = CoachPlanner.scalePlanToDuration(sessionPlan, minutes, metrics);
+      if (plan.session.total_distance_m > PLAN_LIMITS.maxSessionDistanceM) {
+        return { plan: null, summary: 'Requested change was out of range' };
+      }
+      return {
+        plan,
+        summary: `Fitted to ${minutes} min (${plan.session.total_distance_m}m, ~${plan.session.estimated_duration_min} min)`
+      };
+    }
+
+    case 'scale_distance': {
+      if (!(action.distance_m > 0)) {
+        return { plan: null, summary: 'Requested change was out of range' };
+      }
+      const distance = Math.min(Math.max(action.distance_m, CHAT_LIMITS.minDistanceM), PLAN_LIMITS.maxSessionDistanceM);
+
+      const plan = CoachPlanner.scalePlanToDistance(sessionPlan, distance, metrics);
+      return {
+        plan,
+        summary: `Scaled to ${plan.session.total_distance_m}m (~${plan.session.estimated_duration_min} min)`
+      };
+    }
+
+    case 'change_type': {
+      if (!action.session_type || action.session_type === session.type) {
+        return { plan: null, summary: null };
+      }
+      const plan = CoachPlanner.adaptPlanToType(sessionPlan, action.session_type, metrics);
+      return {
+        plan,
+        summary: `Switched to ${action.session_type === 'open_water' ? 'open water' : 'pool'}`
+      };
+    }
+
+    default:
+      return { plan: null, summary: null };
   }
 }
 
+/**
+ * POST /api/coach/chat
+ * Follow-up question about a recommendation
+ *
+ * Request:
+ * {
+ *   session_plan: {...},              // the plan being discussed (validated like /api/coach)
+ *   profile: {...},
+ *   recent_sessions: [...],
+ *   history: [{ role, content }],     // earlier turns of this conversation
+ *   message: "Can I do this in 40 minutes?"
+ * }
+ *
+ * Response:
+ * {
+ *   reply: "...",
+ *   action: { type, ..., summary } | null,   // what the planner changed
+ *   session_plan: {...} | null,              // the re-planned session, if changed
+ *   plan_warnings: [...]                     // guardrail warnings for the new plan
+ * }
+ */
+app.post('/api/coach/chat', coachLimits, async (req, res) => {
+  const { session_plan, profile, recent_sessions, history, message } = req.body;
+
+  const chatViolations = validateChatPayload(message, history);
+  if (chatViolations.length > 0) {
+    return res.status(400).json({ error: 'Invalid chat request', violations: chatViolations });
+  }
+
+  const { error } = checkPolishRequest(req.body);
+  if (error) {
+    return res.status(error.status).json(error.body);
+  }
+
+  console.log(`\n💬 Coach chat about ${session_plan.session.type} session (${(history || []).length} earlier messages)`);
+  console.log(`   Provider: ${llm.name}`);
+
+  const meter = usageStore.begin('/api/coach/chat', llm);
+  const llmRequest = {
+    system: Prompts.buildChatSystemPrompt(session_plan, profile, recent_sessions),
+    messages: buildChatMessages(history, message),
+    maxTokens: 400,
+    temperature: 0.4,
+    mock: () => generateMockChatReply(session_plan, message)
+  };
+
+  let chat;
+  let fallbackReason = null;
+
+  if (usageStore.isOverBudget()) {
+    console.log(`   💸 Monthly budget reached, using mock reply`);
+    fallbackReason = 'budget_exceeded';
+  } else {
+    try {
+      const meteredLlm = meter.track(llm);
+      const reply = await meteredLlm.complete(llmRequest);
+      const parsed = await parseWithReask(meteredLlm, llmRequest, reply.text, CHAT_SCHEMA);
+      logParsedResponse(parsed);
+      chat = parsed.value;
+    } catch (chatError) {
+      console.error(`   ❌ Chat failed:`, chatError.message);
+      fallbackReason = chatError.violations ? 'invalid_response' : 'api_error';
+    }
+  }
+
+  if (fallbackReason) {
+    chat = generateMockChatReply(session_plan, message);
+  }
+  meter.finish({ fallbackReason });
+
+  // Structural changes go through the planner, never the model
+  const metrics = CoachPlanner.calculateRecentMetrics(recent_sessions || []);
+  const { plan, summary } = applyChatAction(session_plan, chat.action, metrics);
+
+  let planWarnings = [];
+  if (plan) {
+    const validation = CoachPlanner.validatePlan(plan, profile, metrics);
+    plan.validation = validation;
+    planWarnings = validation.warnings;
+    console.log(`   🔧 Action: ${summary}`);
+  }
+
+  res.json({
+    reply: chat.reply,
+    action: chat.action ? { ...chat.action, applied: !!plan, summary } : null,
+    session_plan: plan,
+    plan_warnings: planWarnings,
+    ...(fallbackReason ? { is_fallback: true, fallback_reason: fallbackReason } : {})
+  });
+});
+
 // ============================================================================
 // LEGACY MODE (backwards compatibility)
 // Full coaching where LLM generates workout structure
@@ -654,10 +1557,15 @@ function buildSystemPrompt(profile) {
   };
 
   const tone = toneMap[profile.tone] || toneMap.neutral;
+  const eventProfile = CoachPlanner.getEventProfile(profile.eventDistance_m);
+  const event = profile.eventName || profile.eventDistance_m
+    ? { name: profile.eventName || null, distance_m: eventProfile.distance_m, class: eventProfile.id }
+    : null;
 
-  return `You are an experienced swim coach helping a swimmer prepare for the Midmar Mile (1.6km open water event in South Africa).
+  return `You are an experienced swim coach helping a swimmer prepare for ${Prompts.describeEvent(event)}.
 
-MIDMAR MILE TRAINING PHILOSOPHY (based on official aQuellé program):
+TRAINING PHILOSOPHY (based on the official aQuellé Midmar Mile program${eventProfile.id === 'mile' ? '' : `, scaled to a ${eventProfile.distance_m}m race`}):
+- Longest swim builds towards ${eventProfile.long_swim_target_m}m; sharpen from ${eventProfile.sharpen_days} days out and taper over the final ${eventProfile.taper_days} days
 - 5 sessions per week is optimal for intermediate swimmers
 - Weekly volume: 10-16km depending on phase (build up gradually)
 - Session types should vary:
@@ -690,7 +1598,7 @@ CRITICAL RULES:
 9. Respect rest days - Tuesday and Friday are traditional rest days
 10. Tailor sessions based on what day of the week tomorrow is
 
-SWIMMER'S GOAL: ${profile.goal === 'target_time' ? `Complete Midmar Mile in ${profile.targetTime}` : 'Finish comfortably'}
+SWIMMER'S GOAL: ${profile.goal === 'target_time' ? `Complete ${profile.eventName || 'Midmar Mile'} in ${profile.targetTime}` : 'Finish comfortably'}
 
 OUTPUT FORMAT (valid JSON only):
 {
@@ -729,7 +1637,7 @@ function buildUserMessage(request) {
   if (recent_sessions.length > 0) {
     message += `RECENT SESSIONS:\n`;
     recent_sessions.forEach((session, i) => {
-      message += `${i + 1}. ${session.date}: ${session.distance_m}m ${session.type} in ${session.time_min}min, RPE ${session.rpe}/10\n`;
+      message += `${i + 1}. ${session.date}: ${session.distance_m}m ${session.type} in ${session.time_min}min, RPE ${Effort.getSessionRpe(session)}/10\n`;
       if (session.notes) {
         message += `   Notes: ${session.notes}\n`;
       }
@@ -770,51 +1678,221 @@ async function handleLegacyCoachRequest(req, res) {
   }
 
   console.log(`\n🏊 Legacy coaching request for event: ${profile.eventDate}`);
-  console.log(`   Mode: ${MOCK_MODE ? 'MOCK' : 'LIVE'}`);
+  console.log(`   Provider: ${llm.name}`);
   console.log(`   Recent sessions: ${recent_sessions.length}`);
   console.log(`   Last 7 days: ${all_sessions_summary.last7days_m}m`);
 
-  // MOCK MODE: Return dummy data
-  if (MOCK_MODE) {
-    const mockResponse = generateMockCoaching(req.body);
-    console.log(`   ✅ Mock response generated`);
-    return res.json(mockResponse);
+  const meter = usageStore.begin('/api/coach', llm);
+  if (usageStore.isOverBudget()) {
+    console.log(`   💸 Monthly budget reached, using mock coaching`);
+    meter.finish({ fallbackReason: 'budget_exceeded' });
+    return res.json({ ...generateMockCoaching(req.body), is_fallback: true, fallback_reason: 'budget_exceeded' });
   }
 
-  // LIVE MODE: Call Anthropic API
   const systemPrompt = buildSystemPrompt(profile);
   const userMessage = buildUserMessage(req.body);
+  const meteredLlm = meter.track(llm);
 
-  console.log(`   📡 Calling Claude API...`);
+  console.log(`   📡 Calling ${llm.name} (${llm.model})...`);
 
-  const message = await anthropic.messages.create({
-    model: MODEL,
-    max_tokens: 1024,
-    temperature: 0.2,
+  const llmRequest = {
     system: systemPrompt,
     messages: [
       { role: 'user', content: userMessage }
-    ]
-  });
+    ],
+    maxTokens: 1024,
+    temperature: 0.2,
+    mock: () => generateMockCoaching(req.body)
+  };
 
-  const responseText = message.content[0].text;
+  let message;
+  try {
+    message = await meteredLlm.complete(llmRequest);
+  } catch (apiError) {
+    meter.finish({ fallbackReason: 'api_error' });
+    throw apiError;
+  }
+
+  const responseText = message.text;
   console.log(`   📥 Received response (${responseText.length} chars)`);
 
-  // Parse JSON response
+  // Parse JSON response (one corrective re-ask if it's unusable)
   try {
-    const coachingData = JSON.parse(responseText);
-    console.log(`   ✅ Valid JSON parsed`);
-    return res.json(coachingData);
+    const parsed = await parseWithReask(meteredLlm, llmRequest, responseText, COACHING_SCHEMA);
+    logParsedResponse(parsed);
+    meter.finish();
+    return res.json(parsed.value);
   } catch (parseError) {
     console.error(`   ❌ JSON parse error:`, parseError.message);
+    meter.finish({ fallbackReason: 'invalid_response' });
     return res.status(502).json({
       error: 'Invalid response from AI',
       details: 'The AI returned invalid JSON. This is a model error.',
+      violations: parseError.violations || [],
       raw: responseText
     });
   }
 }
 
+// ============================================================================
+// SESSION ADAPTATION
+// Re-shapes a legacy recommendation for a different water type or distance
+// using the shared browser planner, so both sides apply identical rules.
+// ============================================================================
+
+/**
+ * Validate an incoming adapt request
+ * The legacy structure is re-parsed by the planner and, on re-polish, sent to
+ * the model, so it gets the same size limits as a polish request.
+ *
+ * @returns {Array} Violations as { field, message } - empty when valid
+ */
+function validateAdaptPayload(body) {
+  const violations = [];
+  const fail = (field, message) => violations.push({ field, message });
+  const { original_session: original, new_type: newType, new_distance: newDistance, profile, recent_sessions: recentSessions } = body;
+
+  if (!original || typeof original !== 'object') {
+    fail('original_session', 'must be an object');
+  } else {
+    if (!SESSION_TYPES.includes(original.type)) {
+      fail('original_session.type', `must be one of ${SESSION_TYPES.join(', ')}`);
+    }
+    if (!Array.isArray(original.structure) || original.structure.length > PLAN_LIMITS.maxLegacySteps ||
+        !original.structure.every(step => isShortString(step))) {
+      fail('original_session.structure', `must be an array of at most ${PLAN_LIMITS.maxLegacySteps} strings of at most ${PLAN_LIMITS.maxTextLength} characters`);
+    }
+    if (original.distance_m != null && !isNumberInRange(original.distance_m, 0, PLAN_LIMITS.maxSessionDistanceM)) {
+      fail('original_session.distance_m', `must be a number between 0 and ${PLAN_LIMITS.maxSessionDistanceM}`);
+    }
+    if (original.duration_min != null && !isNumberInRange(original.duration_min, 0, PLAN_LIMITS.maxDurationMin)) {
+      fail('original_session.duration_min', `must be a number between 0 and ${PLAN_LIMITS.maxDurationMin}`);
+    }
+  }
+
+  if (!['pool', 'open_water'].includes(newType)) {
+    fail('new_type', 'must be one of pool, open_water');
+  }
+  if (newDistance !== undefined && !isNumberInRange(Number(newDistance), 1, PLAN_LIMITS.maxSessionDistanceM)) {
+    fail('new_distance', `must be a number between 1 and ${PLAN_LIMITS.maxSessionDistanceM}`);
+  }
+
+  // The profile is optional, but its event date and distance set the phase
+  if (profile != null && typeof profile === 'object') {
+    if (profile.eventDate != null && !/^\d{4}-\d{2}-\d{2}$/.test(profile.eventDate)) {
+      fail('profile.eventDate', 'must be a YYYY-MM-DD date');
+    }
+    if (profile.eventDistance_m != null &&
+        !isNumberInRange(profile.eventDistance_m, PLAN_LIMITS.eventDistanceM[0], PLAN_LIMITS.eventDistanceM[1])) {
+      fail('profile.eventDistance_m', `must be a number between ${PLAN_LIMITS.eventDistanceM[0]} and ${PLAN_LIMITS.eventDistanceM[1]}`);
+    }
+  }
+  validatePromptContext(profile === undefined ? {} : profile, recentSessions, fail);
+
+  return violations;
+}
+
+/**
+ * Build a polish-style session plan around an adapted legacy session
+ */
+function buildAdaptedSessionPlan(originalSession, adaptedSession, profile) {
+  const today = new Date().toISOString().split('T')[0];
+  const daysToEvent = profile && profile.eventDate
+    ? CoachPlanner.getDaysToEvent(profile.eventDate, today)
+    : null;
+
+  return {
+    session: {
+      type: adaptedSession.type,
+      intensity: adaptedSession.intensity,
+      estimated_duration_min: adaptedSession.duration_min,
+      total_distance_m: adaptedSession.distance_m,
+      structure: CoachPlanner.parseLegacyStructure(adaptedSession.structure)
+    },
+    phase: daysToEvent !== null ? CoachPlanner.determinePhase(profile.eventDate, today, profile.eventDistance_m) : 'BUILD',
+    days_to_event: daysToEvent !== null ? daysToEvent : 'unknown',
+    readiness: { status: 'READY', reasons: [] },
+    derived_from_template: {
+      source: 'legacy',
+      template_name: 'Adapted session',
+      scaling_notes: `Adapted from ${originalSession.distance_m}m ${originalSession.type.replace('_', ' ')}`
+    }
+  };
+}
+
+/**
+ * POST /api/adapt
+ * Adapt a legacy tomorrow_session to a new type and/or distance
+ *
+ * Request:
+ * {
+ *   original_session: { type, duration_min, distance_m, structure: [...], intensity, technique_focus },
+ *   new_type: "pool" | "open_water",
+ *   new_distance: number,
+ *   profile: {...},             // optional, used for re-polish
+ *   recent_sessions: [...],     // optional, used for pace-based timings
+ *   repolish: boolean           // optional, refresh technique_focus via the LLM
+ * }
+ *
+ * Response: the adapted session in the same shape as original_session
+ */
+app.post('/api/adapt', adaptLimits, async (req, res) => {
+  const { original_session, new_type, new_distance, profile, recent_sessions, repolish } = req.body;
+
+  const violations = validateAdaptPayload(req.body);
+  if (violations.length > 0) {
+    console.log(`\n🚫 Rejected adapt request (${violations.length} violations)`);
+    return res.status(400).json({ error: 'Invalid adapt request', violations });
+  }
+
+  console.log(`\n🔄 Adapt request: ${original_session.type} ${original_session.distance_m}m -> ${new_type} ${new_distance || original_session.distance_m}m`);
+
+  try {
+    const metrics = CoachPlanner.calculateRecentMetrics(recent_sessions || []);
+    const adapted = CoachPlanner.adaptLegacySession(original_session, new_type, Number(new_distance) || null, metrics);
+
+    if (!repolish || adapted.type === 'rest') {
+      console.log(`   ✅ Session adapted (${adapted.distance_m}m, ${adapted.structure.length} steps)`);
+      return res.json(adapted);
+    }
+
+    const sessionPlan = buildAdaptedSessionPlan(original_session, adapted, profile || {});
+    const meter = usageStore.begin('/api/adapt', llm);
+
+    // Out of budget: keep the original cues
+    if (usageStore.isOverBudget()) {
+      console.log(`   💸 Monthly budget reached, skipping re-polish`);
+      meter.finish({ fallbackReason: 'budget_exceeded' });
+      return res.json({ ...adapted, is_fallback: true, fallback_reason: 'budget_exceeded' });
+    }
+
+    try {
+      const meteredLlm = meter.track(llm);
+      const llmRequest = buildPolishLlmRequest(sessionPlan, { goal: 'finish_comfortably', ...profile }, recent_sessions);
+      const message = await meteredLlm.complete(llmRequest);
+      const { value: polishData } = await parseWithReask(meteredLlm, llmRequest, message.text, POLISH_SCHEMA);
+
+      meter.finish();
+      console.log(`   ✅ Session adapted and re-polished`);
+      return res.json({ ...adapted, technique_focus: polishData.technique_focus });
+
+    } catch (polishError) {
+      // Structure is already adapted - keep the original cues rather than fail
+      console.error(`   ❌ Re-polish failed:`, polishError.message);
+      const fallbackReason = polishError.violations ? 'invalid_response' : 'api_error';
+      meter.finish({ fallbackReason });
+      return res.json({ ...adapted, is_fallback: true, fallback_reason: fallbackReason });
+    }
+
+  } catch (error) {
+    console.error('❌ Adapt error:', error.message);
+    res.status(500).json({
+      error: 'Failed to adapt session',
+      message: error.message
+    });
+  }
+});
+
 // ============================================================================
 // SOCIAL / FRIEND ENDPOINTS
 // ============================================================================
@@ -1165,17 +2243,24 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log('\n🏊 Let\'s Keep Swimming - Server');
   console.log('================================');
-  console.log(`Mode:    ${MOCK_MODE ? '🎭 MOCK (free, dummy data)' : '🤖 LIVE (AI coaching)'}`);
+  console.log(`Mode:    ${llm.name === 'mock' ? '🎭 MOCK (free, dummy data)' : '🤖 LIVE (AI coaching)'}`);
   console.log(`Social:  ${firebaseEnabled ? '✅ Enabled' : '❌ Disabled (Firebase not configured)'}`);
   console.log(`Port:    ${PORT}`);
   console.log(`URL:     http://localhost:${PORT}`);
-  if (!MOCK_MODE) {
-    console.log(`Model:   ${MODEL}`);
+  if (llm.name !== 'mock') {
+    console.log(`Model:   ${llm.name} / ${llm.model} (timeout ${llm.timeoutMs}ms)`);
   }
+  console.log(`Cache:   ${POLISH_CACHE_TTL_HOURS > 0 ? `✅ Polish cache (${POLISH_CACHE_TTL_HOURS}h TTL)` : '❌ Disabled'}`);
+  console.log(`Budget:  ${MONTHLY_BUDGET_USD > 0 ? `$${MONTHLY_BUDGET_USD}/month ($${usageStore.budget().month_to_date_usd} spent)` : 'No cap'}`);
   console.log('\nEndpoints:');
   console.log('  GET  /                    - Web UI');
   console.log('  GET  /api/health          - Health check');
+  console.log('  POST /api/plan            - Generate session plan');
   console.log('  POST /api/coach           - Get coaching');
+  console.log('  POST /api/coach/stream    - Get coaching (SSE stream)');
+  console.log('  POST /api/coach/chat      - Follow-up chat about a session');
+  console.log('  POST /api/adapt           - Adapt a session');
+  console.log('  GET  /api/admin/usage     - Usage and cost (ADMIN_TOKEN)');
   if (firebaseEnabled) {
     console.log('  GET  /api/social/status   - Social features status');
     console.log('  GET  /api/benchmarks      - Anonymous benchmarks');
@@ -0,0 +1,148 @@
+/**
+ * Let's Keep Swimming - Server tests
+ * Each suite starts the server in mock mode on a free port; nothing calls a
+ * real model.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const CoachPlanner = require('../web/coach/planner.js');
+
+const PROFILE = { eventDate: '2027-03-20', weeklyVolumeEstimate_m: 6000, access: { pool: true, openWater: true } };
+const RECENT_SESSIONS = [{ date: '2026-10-15', type: 'pool', distance_m: 2000, time_min: 44, rpe: 5 }];
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the server in mock mode
+ * @param {Object} env - Extra environment (quotas, cache settings)
+ * @returns {Promise<Object>} { url, stop }
+ */
+async function startServer(env = {}) {
+  const port = await freePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lks-server-test-'));
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: __dirname,
+    env: {
+      ...process.env,
+      LLM_PROVIDER: 'mock',
+      MOCK_MODE: 'true',
+      PORT: String(port),
+      COACH_DAILY_QUOTA_ANON: '0',
+      COACH_DAILY_QUOTA_USER: '0',
+      POLISH_CACHE_TTL_HOURS: '0',
+      POLISH_CACHE_FILE: path.join(dataDir, 'polish-cache.json'),
+      USAGE_LOG_FILE: path.join(dataDir, 'usage.jsonl'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('URL:')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    stop() {
+      child.kill();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function poolPlan() {
+  return CoachPlanner.generateSessionPlan(PROFILE, RECENT_SESSIONS, 'pool');
+}
+
+// ============================================================================
+// POLISH REQUEST VALIDATION (user-004)
+// ============================================================================
+
+test('polish request validation', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test('a planner session plan is polished', async () => {
+    const { status, body } = await postJson(`${server.url}/api/coach`, {
+      session_plan: poolPlan(),
+      profile: PROFILE,
+      recent_sessions: RECENT_SESSIONS
+    });
+    assert.equal(status, 200);
+    assert.equal(typeof body.why_this, 'string');
+  });
+
+  await t.test('a structure that does not add up is rejected with every violation', async () => {
+    const plan = poolPlan();
+    plan.session.total_distance_m += 5000;
+    plan.derived_from_template.template_id = 'no-such-template';
+
+    const { status, body } = await postJson(`${server.url}/api/coach`, { session_plan: plan, profile: PROFILE });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid session plan');
+    const fields = body.violations.map(v => v.field);
+    assert.ok(fields.includes('session_plan.session.total_distance_m'), fields.join(', '));
+    assert.ok(fields.includes('session_plan.derived_from_template.template_id'), fields.join(', '));
+  });
+
+  await t.test('long recent-session notes are cut, not rejected', async () => {
+    const longNotes = [{ ...RECENT_SESSIONS[0], notes: 'Felt strong on the last few reps. '.repeat(40) }];
+
+    for (const endpoint of ['/api/coach', '/api/coach/stream']) {
+      const response = await fetch(`${server.url}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ session_plan: poolPlan(), profile: PROFILE, recent_sessions: longNotes })
+      });
+      await response.text();
+      assert.equal(response.status, 200, endpoint);
+    }
+  });
+
+  await t.test('notes that are not text are still rejected', async () => {
+    const { status, body } = await postJson(`${server.url}/api/coach`, {
+      session_plan: poolPlan(),
+      profile: PROFILE,
+      recent_sessions: [{ ...RECENT_SESSIONS[0], notes: { text: 'hi' } }]
+    });
+    assert.equal(status, 400);
+    assert.ok(body.violations.some(v => v.field === 'recent_sessions[0].notes'));
+  });
+});
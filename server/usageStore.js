@@ -0,0 +1,273 @@
+/**
+ * Let's Keep Swimming - Usage Accounting
+ *
+ * One record per AI coaching request: provider, model, tokens, latency,
+ * estimated cost and why it fell back (if it did). Records are appended to a
+ * JSON-lines file, so a crash loses at most the line being written.
+ *
+ * The store also answers "how much have we spent this month?" so the server
+ * can stop making paid calls once MONTHLY_BUDGET_USD is reached.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RETENTION_DAYS = 400; // Long enough for a year of monthly totals
+
+/**
+ * USD per million tokens [input, output], matched by model name prefix
+ * Local models (openai provider pointed at Ollama etc.) and mock are free.
+ */
+const PRICES_PER_MTOK = [
+  ['claude-3-5-haiku', 0.8, 4],
+  ['claude-3-haiku', 0.25, 1.25],
+  ['claude-3-opus', 15, 75],
+  ['claude', 3, 15], // Sonnet pricing for other Claude models
+  ['gpt-4o-mini', 0.15, 0.6],
+  ['gpt-4o', 2.5, 10]
+];
+
+/**
+ * Estimate the cost of one model call
+ * @param {string} model - model name reported by the provider
+ * @param {Object} usage - { input_tokens, output_tokens }
+ * @param {Object} override - { input, output } USD per million tokens, if configured
+ */
+function estimateCostUsd(model, usage, override = null) {
+  let rates = override;
+  if (!rates) {
+    const match = PRICES_PER_MTOK.find(([prefix]) => (model || '').startsWith(prefix));
+    rates = match ? { input: match[1], output: match[2] } : { input: 0, output: 0 };
+  }
+  return (usage.input_tokens * rates.input + usage.output_tokens * rates.output) / 1e6;
+}
+
+function roundUsd(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    model_calls: 0,
+    input_tokens: 0,
+    output_tokens: 0,
+    cost_usd: 0,
+    cached: 0,
+    fallbacks: 0,
+    avg_latency_ms: 0
+  };
+}
+
+function addToTotals(totals, record) {
+  totals.requests++;
+  totals.model_calls += record.model_calls;
+  totals.input_tokens += record.input_tokens;
+  totals.output_tokens += record.output_tokens;
+  totals.cost_usd += record.cost_usd;
+  if (record.cached) totals.cached++;
+  if (record.fallback_reason) totals.fallbacks++;
+  // Running mean, so no second pass is needed
+  totals.avg_latency_ms += (record.latency_ms - totals.avg_latency_ms) / totals.requests;
+}
+
+function finishTotals(totals) {
+  return {
+    ...totals,
+    cost_usd: roundUsd(totals.cost_usd),
+    avg_latency_ms: Math.round(totals.avg_latency_ms)
+  };
+}
+
+/**
+ * Create a usage store
+ * @param {Object} options - { filePath, monthlyBudgetUsd, costOverride, retentionDays }
+ *                           monthlyBudgetUsd of 0 means no cap
+ */
+function createUsageStore({ filePath, monthlyBudgetUsd = 0, costOverride = null, retentionDays = DEFAULT_RETENTION_DAYS }) {
+  let records = load();
+
+  function load() {
+    let lines;
+    try {
+      lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️  Usage log unreadable, starting empty:', error.message);
+      }
+      return [];
+    }
+
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const loaded = [];
+    lines.forEach(line => {
+      if (!line.trim()) return;
+      try {
+        const record = JSON.parse(line);
+        if (new Date(record.timestamp).getTime() >= cutoff) loaded.push(record);
+      } catch (e) {
+        // Skip a half-written last line
+      }
+    });
+
+    // Rewrite without expired records
+    if (loaded.length < lines.filter(line => line.trim()).length) {
+      try {
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, loaded.map(record => JSON.stringify(record) + '\n').join(''));
+        fs.renameSync(tmpPath, filePath);
+      } catch (error) {
+        console.warn('⚠️  Failed to compact usage log:', error.message);
+      }
+    }
+
+    return loaded;
+  }
+
+  function append(record) {
+    records.push(record);
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+    } catch (error) {
+      console.warn('⚠️  Failed to write usage log:', error.message);
+    }
+  }
+
+  /**
+   * Start metering one API request
+   * Wrap the provider with track() so every model call made for the request
+   * (including corrective re-asks) is counted, then call finish() once.
+   * @param {string} endpoint - e.g. '/api/coach'
+   * @param {Object} llm - the provider serving the request
+   */
+  function begin(endpoint, llm) {
+    const startedAt = Date.now();
+    const totals = { model_calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
+    let model = llm.model;
+    let finished = false;
+
+    function count(result) {
+      totals.model_calls++;
+      totals.input_tokens += result.usage.input_tokens;
+      totals.output_tokens += result.usage.output_tokens;
+      totals.cost_usd += estimateCostUsd(result.model, result.usage, costOverride);
+      model = result.model || model;
+      return result;
+    }
+
+    function track(provider) {
+      return {
+        ...provider,
+        complete: request => provider.complete(request).then(count),
+        stream: (request, onText) => provider.stream(request, onText).then(count)
+      };
+    }
+
+    /**
+     * Record the request
+     * @param {Object} outcome - { cached, fallbackReason }
+     */
+    function finish({ cached = false, fallbackReason = null } = {}) {
+      if (finished) return;
+      finished = true;
+
+      append({
+        timestamp: new Date(startedAt).toISOString(),
+        endpoint,
+        provider: llm.name,
+        model,
+        model_calls: totals.model_calls,
+        input_tokens: totals.input_tokens,
+        output_tokens: totals.output_tokens,
+        cost_usd: roundUsd(totals.cost_usd),
+        latency_ms: Date.now() - startedAt,
+        cached,
+        fallback_reason: fallbackReason
+      });
+    }
+
+    return { track, finish };
+  }
+
+  function monthKey(date) {
+    return date.toISOString().slice(0, 7);
+  }
+
+  function monthToDateCostUsd() {
+    const month = monthKey(new Date());
+    return records
+      .filter(record => record.timestamp.startsWith(month))
+      .reduce((sum, record) => sum + record.cost_usd, 0);
+  }
+
+  /**
+   * True once this calendar month's spend has reached the budget
+   */
+  function isOverBudget() {
+    return monthlyBudgetUsd > 0 && monthToDateCostUsd() >= monthlyBudgetUsd;
+  }
+
+  function budget() {
+    const spent = monthToDateCostUsd();
+    return {
+      monthly_usd: monthlyBudgetUsd || null,
+      month_to_date_usd: roundUsd(spent),
+      remaining_usd: monthlyBudgetUsd > 0 ? roundUsd(Math.max(0, monthlyBudgetUsd - spent)) : null,
+      exceeded: isOverBudget()
+    };
+  }
+
+  /**
+   * Daily and monthly aggregates for the admin endpoint (UTC days)
+   * @param {Object} options - { days, months } how far back to report
+   */
+  function summary({ days = 30, months = 12 } = {}) {
+    const now = new Date();
+    const firstDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - (days - 1)));
+    const firstMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+
+    const daily = {};
+    const monthly = {};
+    const fallbackReasons = {};
+    const byModel = {};
+
+    records.forEach(record => {
+      const time = new Date(record.timestamp);
+
+      if (time >= firstDay) {
+        const day = record.timestamp.slice(0, 10);
+        addToTotals(daily[day] = daily[day] || emptyTotals(), record);
+      }
+
+      if (time >= firstMonth) {
+        const month = monthKey(time);
+        addToTotals(monthly[month] = monthly[month] || emptyTotals(), record);
+
+        if (month === monthKey(now)) {
+          const modelKey = `${record.provider}:${record.model}`;
+          addToTotals(byModel[modelKey] = byModel[modelKey] || emptyTotals(), record);
+          if (record.fallback_reason) {
+            fallbackReasons[record.fallback_reason] = (fallbackReasons[record.fallback_reason] || 0) + 1;
+          }
+        }
+      }
+    });
+
+    const toList = (groups, key) => Object.keys(groups).sort().map(group => ({ [key]: group, ...finishTotals(groups[group]) }));
+
+    return {
+      budget: budget(),
+      this_month: {
+        by_model: toList(byModel, 'model'),
+        fallback_reasons: fallbackReasons
+      },
+      daily: toList(daily, 'date'),
+      monthly: toList(monthly, 'month')
+    };
+  }
+
+  return { begin, isOverBudget, budget, summary };
+}
+
+module.exports = { createUsageStore, estimateCostUsd };
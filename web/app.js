@@ -23,8 +23,8 @@ let state = {
   coaching: null, // { recommendation, generatedAt, sessionCountAtGeneration }
   currentCoaching: null, // Current coaching data being displayed (for adjustments)
   originalCoaching: null, // Original coaching data (before any adaptations)
+  trainingPlan: null, // Multi-week calendar for the active event
   pendingImport: null, // Sessions pending import confirmation
-  dashboardEventIndex: 0, // Current event index in dashboard carousel
 };
 
 /**
@@ -169,11 +169,19 @@ function setupEventListeners() {
   addListener('add-session-btn', 'click', showSessionForm);
   addListener('session-form-close-btn', 'click', hideSessionForm);
   addListener('session-modal', 'click', handleModalOverlayClick);
+  addListener('sessionCssTest', 'change', e => toggleCssTestFields(e.target.checked));
+  addListener('add-split-btn', 'click', () => addSplitRow());
+  addListener('repeat-split-btn', 'click', repeatLastSplit);
+  addListener('split-editor', 'click', e => {
+    const removeBtn = e.target.closest('.split-remove-btn');
+    if (removeBtn) removeBtn.closest('.split-row').remove();
+  });
 
-  // Effort selector buttons
+  // Effort selector buttons are presets on the RPE slider
   document.querySelectorAll('.effort-btn').forEach(btn => {
-    btn.addEventListener('click', () => selectEffort(btn.dataset.effort));
+    btn.addEventListener('click', () => setSessionRpe(Effort.EFFORT_RPE[btn.dataset.effort]));
   });
+  addListener('sessionRPE', 'input', (e) => setSessionRpe(e.target.value));
 
   // Import modal
   addListener('sessions-import-btn', 'click', showImportModal);
@@ -199,13 +207,22 @@ function setupEventListeners() {
 
   // Coaching
   addListener('get-coaching-btn', 'click', getCoaching);
+  addListener('css-test-btn', 'click', () => getCoaching({ cssTest: true }));
   addListener('copy-coaching-btn', 'click', copyCoachingToClipboard);
+  if (window.CoachService) {
+    CoachService.onQuotaChange(renderCoachQuota);
+  }
 
   // Coach adjustments
   addListener('toggle-pool', 'click', () => setCoachType('pool'));
   addListener('toggle-openwater', 'click', () => setCoachType('open_water'));
   addListener('adapt-session-btn', 'click', adaptSession);
   addListener('log-from-coach-btn', 'click', logSessionFromCoach);
+  addListener('coaching-display', 'change', handleChecklistChange);
+  addListener('coach-chat-form', 'submit', sendCoachChat);
+
+  // Training plan
+  addListener('generate-plan-btn', 'click', generateTrainingPlan);
 
   // Data management
   addListener('export-btn', 'click', exportData);
@@ -242,6 +259,22 @@ function setupEventListeners() {
   addListener('event-modal', 'click', handleModalOverlayClick);
   addListener('eventGoal', 'change', toggleEventTargetTime);
 
+  // Event detail modal and race card
+  addListener('event-detail-close-btn', 'click', hideEventDetail);
+  addListener('event-detail-modal', 'click', handleModalOverlayClick);
+  addListener('event-detail-active-btn', 'click', setActiveFromDetail);
+  addListener('event-detail-edit-btn', 'click', editEventFromDetail);
+  addListener('race-card-print-btn', 'click', printRaceCard);
+  addListener('race-card-share-btn', 'click', shareRaceCard);
+  addListener('event-detail-result-btn', 'click', showResultFormFromDetail);
+  addListener('race-review-export-btn', 'click', exportRaceReport);
+
+  // Race result form (modal)
+  addListener('result-form', 'submit', handleResultSubmit);
+  addListener('result-cancel-btn', 'click', hideResultForm);
+  addListener('result-form-close-btn', 'click', hideResultForm);
+  addListener('result-modal', 'click', handleModalOverlayClick);
+
   // Debug: Verify event form elements exist
   console.log('🔍 Event form elements check:');
   console.log('  - event-form:', document.getElementById('event-form') ? '✅' : '❌');
@@ -425,11 +458,6 @@ function loadDashboard() {
     .filter(e => new Date(e.date) >= today)
     .sort((a, b) => new Date(a.date) - new Date(b.date));
 
-  // Ensure carousel index is valid
-  if (state.dashboardEventIndex >= upcomingEvents.length) {
-    state.dashboardEventIndex = 0;
-  }
-
   // Check if we have any upcoming events
   if (upcomingEvents.length === 0) {
     // No events - show prompt to create one
@@ -446,35 +474,18 @@ function loadDashboard() {
       </div>
     `;
   } else {
-    // Get the current event to display
-    const currentEvent = upcomingEvents[state.dashboardEventIndex];
-    const eventDate = new Date(currentEvent.date);
-    const daysUntil = Math.ceil((eventDate - today) / (1000 * 60 * 60 * 24));
-
-    // Build pagination dots HTML
-    let paginationHtml = '';
-    if (upcomingEvents.length > 1) {
-      const dots = upcomingEvents.map((event, index) => {
-        const isActive = index === state.dashboardEventIndex;
-        return `<button class="pagination-dot ${isActive ? 'active' : ''}" onclick="goToEvent(${index})" title="${event.name}"></button>`;
-      }).join('');
-      paginationHtml = `<div class="event-pagination">${dots}</div>`;
-    }
-
-    document.getElementById('countdown-display').innerHTML = `
-      <div class="countdown-number">${daysUntil}</div>
-      <div class="countdown-label">days until ${currentEvent.name}</div>
-      <div class="countdown-date">
-        ${eventDate.toLocaleDateString('en-US', {
-          weekday: 'long',
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric'
-        })}
-      </div>
-      <div class="countdown-goal">${getGoalLabel(currentEvent.goal)}${currentEvent.targetTime ? ` - Target: ${currentEvent.targetTime}` : ''}</div>
-      ${paginationHtml}
-    `;
+    // Next race and key race side by side (one panel when they're the same)
+    const nextEvent = upcomingEvents[0];
+    const keyEvent = state.activeEvent || nextEvent;
+
+    document.getElementById('countdown-display').innerHTML = nextEvent.id === keyEvent.id
+      ? renderCountdownPanel(keyEvent, today)
+      : `
+        <div class="countdown-pair">
+          ${renderCountdownPanel(nextEvent, today, 'Next race')}
+          ${renderCountdownPanel(keyEvent, today, 'Key race')}
+        </div>
+      `;
   }
 
   // Calculate stats
@@ -485,7 +496,7 @@ function loadDashboard() {
 
   // Calculate most common effort in last 7 days
   const mostCommonEffort = getMostCommonEffort(state.sessions, 7);
-  const effortLabel = getEffortLabel(mostCommonEffort);
+  const effortLabel = Effort.getEffortLabel(mostCommonEffort);
   document.getElementById('stat-avg-rpe').textContent = mostCommonEffort
     ? `${effortLabel.emoji} ${effortLabel.text}`
     : '--';
@@ -511,6 +522,9 @@ function loadDashboard() {
 
   // Update charts
   Charts.initCharts(state.profile, state.sessions);
+  renderFinishPrediction();
+  renderTrainingLoad();
+  loadPlanCompliance();
 
   // Update weekly goals
   updateWeeklyGoals();
@@ -520,12 +534,27 @@ function loadDashboard() {
 }
 
 /**
- * Navigate to a specific event in the dashboard carousel
+ * Countdown to one event for the dashboard
+ * @param {string} [heading] - e.g. 'Next race', shown when two events are side by side
  */
-function goToEvent(index) {
-  state.dashboardEventIndex = index;
-  // Only re-render the countdown section, not the entire dashboard
-  loadDashboard();
+function renderCountdownPanel(event, today, heading = null) {
+  const eventDate = new Date(event.date);
+  const daysUntil = Math.ceil((eventDate - today) / (1000 * 60 * 60 * 24));
+  const compact = heading !== null;
+
+  return `
+    <div class="countdown-panel">
+      ${compact ? `<div class="countdown-heading">${heading}</div>` : ''}
+      <div class="countdown-number">${daysUntil}</div>
+      <div class="countdown-label">days until ${event.name} ${renderPriorityBadge(event)}</div>
+      <div class="countdown-date">
+        ${eventDate.toLocaleDateString('en-US', compact
+          ? { weekday: 'short', month: 'short', day: 'numeric' }
+          : { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+      </div>
+      <div class="countdown-goal">${getGoalLabel(event.goal)}${event.targetTime ? ` - Target: ${event.targetTime}` : ''}</div>
+    </div>
+  `;
 }
 
 /**
@@ -570,7 +599,7 @@ function renderRecentSessions() {
         <div class="session-stats">
           <span>${session.distance_m}m</span>
           <span>${session.time_min} min</span>
-          <span>RPE ${session.rpe}/10</span>
+          <span>RPE ${Effort.getSessionRpe(session)}/10</span>
         </div>
         ${session.notes ? `<div class="session-notes">${session.notes}</div>` : ''}
       </div>
@@ -798,6 +827,9 @@ function loadCoach() {
   const resultsDiv = document.getElementById('coaching-results');
   const emptyState = document.getElementById('coach-empty-state');
 
+  loadTrainingPlan();
+  loadPaceZones();
+
   if (!state.coaching || !state.coaching.recommendation) {
     // No recommendation yet
     statusDot.classList.remove('stale');
@@ -836,6 +868,17 @@ function loadCoach() {
   }
 }
 
+/**
+ * Show the pace zones from the latest CSS test
+ */
+function loadPaceZones() {
+  const container = document.getElementById('pace-zones');
+  if (!container || !window.CoachPlanner || !window.CoachView) return;
+
+  const metrics = CoachPlanner.calculateRecentMetrics(state.sessions);
+  CoachView.renderPaceZones(metrics.paceZones, container);
+}
+
 /**
  * Get human-readable time ago string
  */
@@ -940,13 +983,16 @@ function displayCoachingPretty(coaching, isAdapted = false) {
   } else {
     commitSection.style.display = 'block';
   }
+
+  // Follow-up chat needs a structured session plan
+  document.getElementById('coach-chat').style.display = 'none';
 }
 
 /**
  * Display coaching using the new structured CoachView format
  * Uses the deterministic session plan + polish
  */
-function displayCoachingStructured(recommendation, isAdapted = false) {
+function displayCoachingStructured(recommendation, isAdapted = false, viewOptions = {}) {
   const container = document.getElementById('coaching-display');
   const session = recommendation.session_plan.session;
 
@@ -960,7 +1006,7 @@ function displayCoachingStructured(recommendation, isAdapted = false) {
 
   // Use CoachView to render the structured recommendation
   if (window.CoachView) {
-    CoachView.renderCoachingRecommendation(recommendation, container);
+    CoachView.renderCoachingRecommendation(recommendation, container, viewOptions);
   } else {
     // Fallback if CoachView not loaded
     container.innerHTML = '<p>Error: CoachView module not loaded</p>';
@@ -976,6 +1022,98 @@ function displayCoachingStructured(recommendation, isAdapted = false) {
   } else {
     commitSection.style.display = 'block';
   }
+
+  restoreChecklist(recommendation);
+  loadCoachChat(recommendation);
+}
+
+/**
+ * Re-tick the workout items saved for this recommendation
+ */
+async function restoreChecklist(recommendation) {
+  if (!window.CoachService || !window.CoachView) return;
+
+  const completed = await CoachService.getChecklistProgress(recommendation);
+  // A newer plan may have been displayed while this was loading
+  if (state.currentCoaching === recommendation) {
+    CoachView.setCompletedItems(completed);
+  }
+}
+
+/**
+ * Save checklist progress whenever a workout item is ticked or unticked
+ */
+function handleChecklistChange(e) {
+  if (!e.target.classList.contains('workout-checkbox')) return;
+  if (!state.currentCoaching || !state.currentCoaching.session_plan || !window.CoachService) return;
+
+  CoachService.saveChecklistProgress(state.currentCoaching, CoachView.getCompletedItems());
+}
+
+/**
+ * Show the follow-up chat for a recommendation, with any saved conversation
+ */
+async function loadCoachChat(recommendation) {
+  const chatSection = document.getElementById('coach-chat');
+  if (!chatSection) return;
+
+  if (!window.CoachService || recommendation.session_plan.session.type === 'rest') {
+    chatSection.style.display = 'none';
+    return;
+  }
+
+  chatSection.style.display = 'block';
+  const messages = await CoachService.getChatHistory(recommendation);
+  CoachView.renderCoachChat(messages, document.getElementById('coach-chat-messages'));
+}
+
+/**
+ * Send a follow-up question about the current recommendation
+ * If the coach changes the session, the updated plan replaces the current one.
+ */
+async function sendCoachChat(event) {
+  event.preventDefault();
+
+  const input = document.getElementById('coach-chat-input');
+  const sendBtn = document.getElementById('coach-chat-send');
+  const messagesContainer = document.getElementById('coach-chat-messages');
+  const message = input.value.trim();
+  const recommendation = state.currentCoaching;
+
+  if (!message || !recommendation || !recommendation.session_plan) return;
+
+  const history = await CoachService.getChatHistory(recommendation);
+  CoachView.renderCoachChat(history, messagesContainer, { pending: message });
+  input.value = '';
+  input.disabled = true;
+  sendBtn.disabled = true;
+
+  try {
+    const result = await CoachService.sendChatMessage(recommendation, message, getCoachingProfile(), state.sessions);
+
+    if (result.recommendation) {
+      displayCoachingStructured(result.recommendation, true);
+
+      await DB.saveCoaching(result.recommendation, state.sessions.length);
+      state.coaching = {
+        recommendation: result.recommendation,
+        generatedAt: new Date().toISOString(),
+        sessionCountAtGeneration: state.sessions.length
+      };
+    } else {
+      CoachView.renderCoachChat(result.messages, messagesContainer);
+    }
+  } catch (error) {
+    console.error('Coach chat failed:', error);
+    // Keep the question so it can be resent
+    input.value = message;
+    CoachView.renderCoachChat(history, messagesContainer, {
+      error: `Couldn't reach the coach (${error.message}). Try again in a moment.`
+    });
+  } finally {
+    input.disabled = false;
+    sendBtn.disabled = false;
+  }
 }
 
 /**
@@ -1000,6 +1138,13 @@ function updateCoachAdjustments(session) {
     distanceInput.value = session.distance_m;
   }
 
+  // Update duration input
+  const durationInput = document.getElementById('adjust-duration');
+  const duration = session.estimated_duration_min || session.duration_min;
+  if (duration) {
+    durationInput.value = duration;
+  }
+
   // Show/hide adjustments for rest days
   const adjustments = document.getElementById('coach-adjustments');
   if (session.type === 'rest') {
@@ -1042,7 +1187,9 @@ async function adaptSession() {
     : state.currentCoaching.tomorrow_session;
 
   const newType = document.getElementById('toggle-pool').classList.contains('active') ? 'pool' : 'open_water';
-  const newDistance = parseInt(document.getElementById('adjust-distance').value) || currentSession.distance_m || currentSession.total_distance_m;
+  let newDistance = parseInt(document.getElementById('adjust-distance').value) || currentSession.distance_m || currentSession.total_distance_m;
+  const currentDuration = currentSession.estimated_duration_min || currentSession.duration_min;
+  const newDuration = parseInt(document.getElementById('adjust-duration').value) || currentDuration;
 
   // Show loading state
   const adaptBtn = document.getElementById('adapt-session-btn');
@@ -1053,7 +1200,8 @@ async function adaptSession() {
   try {
     // Check if type changed
     const typeChanged = newType !== currentSession.type;
-    const distanceChanged = newDistance !== (currentSession.distance_m || currentSession.total_distance_m);
+    const durationChanged = newDuration !== currentDuration;
+    let distanceChanged = newDistance !== (currentSession.distance_m || currentSession.total_distance_m);
 
     if (isNewFormat && window.CoachService) {
       // Use new CoachService for adaptation
@@ -1066,12 +1214,20 @@ async function adaptSession() {
           newType,
           state.sessions
         );
+      } else if (durationChanged) {
+        // Fit to the time available - takes priority, it's the hard limit
+        adaptedRecommendation = await CoachService.scaleRecommendationToDuration(
+          state.originalCoaching || state.currentCoaching,
+          newDuration,
+          getCoachingProfile(),
+          state.sessions
+        );
       } else if (distanceChanged) {
         // Scale to new distance
         adaptedRecommendation = await CoachService.scaleRecommendation(
           state.originalCoaching || state.currentCoaching,
           newDistance,
-          state.profile,
+          getCoachingProfile(),
           state.sessions
         );
       } else {
@@ -1094,18 +1250,29 @@ async function adaptSession() {
       };
 
     } else {
+      // Legacy sessions have no per-block timing, so a time budget becomes
+      // a proportional distance change
+      if (durationChanged && !distanceChanged && currentDuration) {
+        newDistance = Math.round(newDistance * (newDuration / currentDuration) / 100) * 100;
+        distanceChanged = true;
+      }
+
       // Legacy format - use API or local fallback
       try {
         const adaptRequest = {
           original_session: state.currentCoaching.tomorrow_session,
           new_type: newType,
           new_distance: newDistance,
-          profile: state.profile
+          profile: state.profile,
+          recent_sessions: [...state.sessions]
+            .sort((a, b) => new Date(b.date) - new Date(a.date))
+            .slice(0, 10)
         };
 
-        const response = await fetch('http://localhost:3000/api/adapt', {
+        const authHeaders = window.CoachService ? await CoachService.getAuthHeaders() : {};
+        const response = await fetch(`${API_URL}/api/adapt`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: { 'Content-Type': 'application/json', ...authHeaders },
           body: JSON.stringify(adaptRequest)
         });
 
@@ -1245,20 +1412,21 @@ async function logSessionFromCoach() {
     return;
   }
 
-  // Get completed workout items
-  let completedCount = 0;
-  let totalCount = 0;
+  // A CSS test is only useful with the two trial times, so ask for them
+  if (isNewFormat && state.currentCoaching.session_plan.derived_from_template.template_id === 'css-test') {
+    showCssTestForm(session);
+    return;
+  }
+
+  let newSession;
 
-  if (isNewFormat && window.CoachView) {
-    // Use CoachView helper for new format
-    const completedItems = CoachView.getCompletedItems();
-    completedCount = completedItems.length;
-    // Count total items across all structure blocks
-    session.structure.forEach(block => {
-      totalCount += block.items.length;
-    });
+  if (isNewFormat && window.CoachView && window.CoachPlanner) {
+    newSession = buildSessionFromChecklist(state.currentCoaching);
+    if (!newSession) return;
   } else {
     // Legacy format
+    let completedCount = 0;
+    let totalCount = 0;
     const checkboxes = document.querySelectorAll('.workout-checkbox');
     checkboxes.forEach(cb => {
       totalCount++;
@@ -1266,19 +1434,19 @@ async function logSessionFromCoach() {
         completedCount++;
       }
     });
-  }
 
-  // Create the session object
-  const newSession = {
-    id: crypto.randomUUID(),
-    date: new Date().toISOString().split('T')[0], // Today's date
-    type: session.type,
-    distance_m: isNewFormat ? (session.total_distance_m || 0) : (session.distance_m || 0),
-    time_min: isNewFormat ? (session.estimated_duration_min || 0) : (session.duration_min || 0),
-    rpe: 5, // Default RPE - user can edit later
-    notes: `Coach recommendation. ${completedCount > 0 ? `Completed: ${completedCount}/${totalCount} items.` : ''}`,
-    conditions: ''
-  };
+    newSession = {
+      id: crypto.randomUUID(),
+      date: new Date().toISOString().split('T')[0], // Today's date
+      type: session.type,
+      distance_m: session.distance_m || 0,
+      time_min: session.duration_min || 0,
+      planned_duration_min: session.duration_min || null,
+      rpe: Effort.DEFAULT_RPE, // User can edit later
+      notes: `Coach recommendation. ${completedCount > 0 ? `Completed: ${completedCount}/${totalCount} items.` : ''}`,
+      conditions: ''
+    };
+  }
 
   try {
     // Save to database
@@ -1287,6 +1455,7 @@ async function logSessionFromCoach() {
 
     // Trigger cloud sync
     triggerCloudSync();
+    reflowTrainingPlan();
 
     // Show success
     alert('Session logged successfully! You can edit the details in the Sessions tab.');
@@ -1305,6 +1474,234 @@ async function logSessionFromCoach() {
   }
 }
 
+const LOAD_ZONE_LABELS = {
+  low: 'Below usual',
+  optimal: 'Balanced',
+  elevated: 'Elevated',
+  high: 'High - rest up'
+};
+
+/**
+ * Show the training load model on the dashboard: this week's load against
+ * the 4-week average, the ratio between them, and monotony
+ */
+function renderTrainingLoad() {
+  const card = document.getElementById('load-card');
+  if (!card || !window.CoachPlanner) return;
+
+  const load = CoachPlanner.calculateTrainingLoad(state.sessions);
+  const hasData = load.acute_load > 0 || load.chronic_load > 0;
+  card.style.display = hasData ? 'block' : 'none';
+  if (!hasData) return;
+
+  const ratio = load.established && load.acwr !== null ? `${load.acwr}x` : '--';
+  const zone = load.established && load.zone ? LOAD_ZONE_LABELS[load.zone] : 'Building history';
+  document.getElementById('load-summary').innerHTML = `
+    <div class="compliance-stat">
+      <span class="compliance-stat-value">${Math.round(load.acute_load)}</span>
+      <span class="compliance-stat-label">This week (min x RPE)</span>
+    </div>
+    <div class="compliance-stat">
+      <span class="compliance-stat-value load-zone-${load.established ? load.zone : 'none'}">${ratio}</span>
+      <span class="compliance-stat-label">${zone}</span>
+    </div>
+    <div class="compliance-stat">
+      <span class="compliance-stat-value">${load.monotony === null ? '--' : load.monotony}</span>
+      <span class="compliance-stat-label">Monotony</span>
+    </div>
+  `;
+
+  Charts.updateLoadChart(CoachPlanner.calculateLoadHistory(state.sessions));
+}
+
+const TARGET_STANDING_LABELS = {
+  on_target: 'On track for target',
+  within_reach: 'Target within reach',
+  behind: 'Behind target'
+};
+
+/**
+ * Show the predicted finish time for the key race on the dashboard, with its
+ * range and how it has moved over recent sessions
+ */
+function renderFinishPrediction() {
+  const card = document.getElementById('prediction-card');
+  if (!card || !window.FinishPredictor) return;
+
+  const event = state.activeEvent;
+  const isUpcoming = event && event.date >= new Date().toISOString().split('T')[0];
+  const prediction = isUpcoming ? FinishPredictor.predictFinishTime(event, state.sessions) : null;
+  card.style.display = prediction ? 'block' : 'none';
+  if (!prediction) return;
+
+  const formatRaceTime = RacePlanner.formatRaceTime;
+  const targetSec = RacePlanner.parseRaceTime(event.targetTime);
+  const standing = FinishPredictor.assessTarget(prediction, targetSec);
+  const diff = targetSec ? prediction.time_sec - targetSec : null;
+
+  document.getElementById('prediction-title').textContent = `Finish Time Prediction - ${event.name}`;
+  document.getElementById('prediction-summary').innerHTML = `
+    <div class="compliance-stat">
+      <span class="compliance-stat-value">${formatRaceTime(prediction.time_sec)}</span>
+      <span class="compliance-stat-label">Predicted (${prediction.confidence} confidence)</span>
+    </div>
+    <div class="compliance-stat">
+      <span class="compliance-stat-value prediction-range">${formatRaceTime(prediction.low_sec)}-${formatRaceTime(prediction.high_sec)}</span>
+      <span class="compliance-stat-label">Likely range</span>
+    </div>
+    <div class="compliance-stat">
+      <span class="compliance-stat-value prediction-${standing || 'none'}">${diff === null ? '--' : `${diff <= 0 ? '-' : '+'}${formatRaceTime(Math.abs(diff))}`}</span>
+      <span class="compliance-stat-label">${standing ? TARGET_STANDING_LABELS[standing] : 'No target time set'}</span>
+    </div>
+  `;
+  document.getElementById('prediction-notes').innerHTML = prediction.notes.map(note => `<li>${note}</li>`).join('');
+
+  Charts.updatePredictionChart(FinishPredictor.buildPredictionHistory(event, state.sessions), targetSec);
+}
+
+/**
+ * Show plan compliance on the dashboard: prescribed vs completed distance,
+ * sessions done, skipped days and the templates skipped most
+ */
+async function loadPlanCompliance() {
+  const card = document.getElementById('compliance-card');
+  if (!card || !window.CoachPlanner) return;
+
+  if (state.activeEvent && (!state.trainingPlan || state.trainingPlan.event_id !== state.activeEvent.id)) {
+    state.trainingPlan = await DB.getTrainingPlan(state.activeEvent.id);
+  }
+  const calendar = state.activeEvent ? state.trainingPlan : null;
+  const compliance = CoachPlanner.calculatePlanCompliance(state.sessions, calendar);
+
+  const hasData = compliance.weeks.some(week => week.prescribed_m > 0 || week.planned_sessions > 0);
+  card.style.display = hasData ? 'block' : 'none';
+  if (!hasData) return;
+
+  const formatPct = value => value === null ? '--' : `${value}%`;
+  document.getElementById('compliance-summary').innerHTML = `
+    <div class="compliance-stat">
+      <span class="compliance-stat-value">${formatPct(compliance.sessions_done_pct)}</span>
+      <span class="compliance-stat-label">Plan sessions done</span>
+    </div>
+    <div class="compliance-stat">
+      <span class="compliance-stat-value">${formatPct(compliance.avg_completion_pct)}</span>
+      <span class="compliance-stat-label">Of each coach session swum</span>
+    </div>
+    <div class="compliance-stat">
+      <span class="compliance-stat-value">${compliance.skipped_days}</span>
+      <span class="compliance-stat-label">Skipped days</span>
+    </div>
+  `;
+
+  document.getElementById('compliance-templates').innerHTML = compliance.most_skipped.length > 0
+    ? `
+      <h4>Most often skipped</h4>
+      <ul>
+        ${compliance.most_skipped.map(t => `
+          <li>
+            <span>${t.template_name || t.template_id}</span>
+            <span class="text-muted">${t.skipped} of ${t.prescribed}${t.missed > 0 ? ` (${t.missed} missed)` : ''}</span>
+          </li>
+        `).join('')}
+      </ul>
+    `
+    : '';
+
+  Charts.updateComplianceChart(compliance);
+}
+
+/**
+ * Load and render the training plan for the active event
+ */
+async function loadTrainingPlan() {
+  const container = document.getElementById('training-plan-display');
+  if (!container || !window.CoachPlanner) return;
+
+  if (!state.activeEvent) {
+    state.trainingPlan = null;
+    container.innerHTML = '<p class="text-muted">Add an upcoming event to generate a training plan.</p>';
+    return;
+  }
+
+  if (!state.trainingPlan || state.trainingPlan.event_id !== state.activeEvent.id) {
+    state.trainingPlan = await DB.getTrainingPlan(state.activeEvent.id);
+  }
+
+  // Days may have gone by since the plan was saved: mark them missed and
+  // spread the week's volume over what's left
+  if (state.trainingPlan && state.profile) {
+    const plan = CoachPlanner.reflowTrainingCalendar(state.trainingPlan, state.profile, state.activeEvent, state.sessions, state.events);
+    if (plan) {
+      state.trainingPlan = plan;
+      try {
+        await DB.saveTrainingPlan(plan);
+      } catch (error) {
+        console.error('Error saving re-flowed training plan:', error);
+      }
+    }
+  }
+
+  if (state.trainingPlan) {
+    CoachView.renderTrainingCalendar(state.trainingPlan, container);
+  }
+}
+
+/**
+ * Generate a fresh multi-week plan for the active event
+ */
+async function generateTrainingPlan() {
+  if (!state.profile) {
+    alert('Please set up your profile first!');
+    switchTab('profile');
+    return;
+  }
+
+  if (!state.activeEvent) {
+    alert('Add an upcoming event first - the plan builds toward event day.');
+    return;
+  }
+
+  const plan = CoachPlanner.generateTrainingCalendar(state.profile, state.activeEvent, state.sessions, state.events);
+  if (!plan) {
+    alert('This event has already passed.');
+    return;
+  }
+
+  try {
+    await DB.saveTrainingPlan(plan);
+    state.trainingPlan = plan;
+    CoachView.renderTrainingCalendar(plan, document.getElementById('training-plan-display'));
+  } catch (error) {
+    console.error('Error saving training plan:', error);
+    alert('Failed to save training plan. Please try again.');
+  }
+}
+
+/**
+ * Re-flow the saved training plan after sessions change
+ * Called after logging, editing, deleting or importing sessions
+ */
+async function reflowTrainingPlan() {
+  if (!state.profile || !state.activeEvent || !window.CoachPlanner) return;
+
+  try {
+    const existing = await DB.getTrainingPlan(state.activeEvent.id);
+    if (!existing) return;
+
+    const plan = CoachPlanner.reflowTrainingCalendar(existing, state.profile, state.activeEvent, state.sessions, state.events);
+    if (!plan) return;
+
+    await DB.saveTrainingPlan(plan);
+    state.trainingPlan = plan;
+
+    if (state.currentView === 'coach') {
+      CoachView.renderTrainingCalendar(plan, document.getElementById('training-plan-display'));
+    }
+  } catch (error) {
+    console.error('Error re-flowing training plan:', error);
+  }
+}
+
 /**
  * Load profile form
  */
@@ -1778,7 +2175,9 @@ function loadSessions() {
         <div class="session-stats">
           <span>${session.distance_m}m</span>
           <span>${session.time_min} min</span>
-          <span class="effort-badge ${normalizeEffort(session.effort || session.rpe)}">${getEffortLabel(session.effort || session.rpe).emoji} ${getEffortLabel(session.effort || session.rpe).text}</span>
+          <span class="effort-badge ${Effort.getSessionEffort(session)}" title="RPE ${Effort.getSessionRpe(session)}/10">${Effort.getEffortLabel(Effort.getSessionRpe(session)).emoji} ${Effort.getEffortLabel(Effort.getSessionRpe(session)).text}</span>
+          ${session.plan_compliance ? `<span class="compliance-badge" title="Share of the coach's plan completed">Plan ${session.plan_compliance.completion_pct}%</span>` : ''}
+          ${session.css_test && window.CoachPlanner ? `<span class="css-badge" title="CSS test">CSS ${CoachPlanner.formatClockTime(CoachPlanner.calculateCss(session.css_test.t400_sec, session.css_test.t200_sec))}/100m</span>` : ''}
         </div>
         ${session.notes ? `<div class="session-notes">"${session.notes}"</div>` : ''}
         ${session.conditions ? `<div class="session-notes">Conditions: ${session.conditions}</div>` : ''}
@@ -1796,6 +2195,192 @@ function loadSessions() {
   `).join('');
 }
 
+/**
+ * Build a session from the ticked workout checklist of a structured recommendation
+ * Distance and time cover only the ticked items; the plan link and completed
+ * blocks are kept so history can show plan-versus-actual compliance.
+ * @returns {Object|null} The session, or null if the swimmer cancelled
+ */
+function buildSessionFromChecklist(recommendation) {
+  const session = recommendation.session_plan.session;
+  let completedItems = CoachView.getCompletedItems();
+
+  // No ticks usually means the checklist wasn't used rather than nothing was swum
+  if (completedItems.length === 0) {
+    if (!confirm('No workout items are ticked. Log the whole session as completed?')) {
+      return null;
+    }
+    completedItems = [];
+    session.structure.forEach((block, blockIndex) => {
+      block.items.forEach((item, itemIndex) => completedItems.push({ block: blockIndex, item: itemIndex }));
+    });
+  }
+
+  const completion = CoachPlanner.summarizeCompletion(session, completedItems);
+  const share = completion.planned_distance_m > 0
+    ? completion.actual_distance_m / completion.planned_distance_m
+    : completion.completion_pct / 100;
+  // Planned time for the part that was swum, so the duration model still
+  // treats an unedited time as an estimate
+  const plannedMinutes = session.estimated_duration_min
+    ? Math.round(session.estimated_duration_min * share)
+    : null;
+
+  return {
+    id: crypto.randomUUID(),
+    date: new Date().toISOString().split('T')[0], // Today's date
+    type: session.type,
+    distance_m: completion.actual_distance_m,
+    time_min: plannedMinutes || 0,
+    // Kept so the duration model can learn from the real time once it's edited in
+    planned_duration_min: plannedMinutes,
+    rpe: Effort.DEFAULT_RPE, // User can edit later
+    notes: `Coach recommendation. Completed: ${completion.completed_items.length} items (${completion.completion_pct}%).`,
+    conditions: '',
+    template_id: recommendation.session_plan.derived_from_template.template_id,
+    plan_compliance: {
+      recommendation_id: recommendation.generated_at,
+      template_name: recommendation.session_plan.derived_from_template.template_name,
+      planned_distance_m: completion.planned_distance_m,
+      planned_duration_min: session.estimated_duration_min || null,
+      completed_blocks: completion.completed_blocks,
+      completed_items: completion.completed_items,
+      completion_pct: completion.completion_pct
+    }
+  };
+}
+
+/**
+ * Parse an "m:ss" time into seconds
+ * @returns {number|null} Seconds, or null if the text isn't a time
+ */
+function parseClockTime(text) {
+  const match = /^\s*(\d{1,2}):([0-5]\d)\s*$/.exec(text || '');
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+/**
+ * Show or hide the CSS test time inputs in the session form
+ */
+function toggleCssTestFields(show) {
+  document.getElementById('css-test-fields').style.display = show ? 'flex' : 'none';
+  document.getElementById('css400').required = show;
+  document.getElementById('css200').required = show;
+}
+
+const SPLIT_STROKE_LABELS = {
+  freestyle: 'Free',
+  backstroke: 'Back',
+  breaststroke: 'Breast',
+  butterfly: 'Fly',
+  im: 'IM',
+  kick: 'Kick',
+  drill: 'Drill'
+};
+
+const SPLIT_EQUIPMENT_LABELS = {
+  none: 'No kit',
+  pull_buoy: 'Pull buoy',
+  paddles: 'Paddles',
+  fins: 'Fins',
+  kickboard: 'Kickboard',
+  snorkel: 'Snorkel'
+};
+
+/**
+ * Add a row to the split editor in the session form
+ * @param {Object} split - Values to prefill ({ distance_m, time_sec, stroke, rest_sec, equipment })
+ */
+function addSplitRow(split = {}) {
+  const row = document.createElement('div');
+  row.className = 'split-row';
+  row.innerHTML = `
+    <input type="number" class="split-distance" min="1" step="1" placeholder="m" aria-label="Split distance (m)" value="${split.distance_m || ''}">
+    <input type="text" class="split-time" placeholder="m:ss" aria-label="Split time (m:ss)" inputmode="numeric" value="${split.time_sec ? CoachPlanner.formatClockTime(split.time_sec) : ''}">
+    <select class="split-stroke" aria-label="Stroke">
+      ${CoachPlanner.SPLIT_STROKES.map(stroke => `<option value="${stroke}" ${stroke === (split.stroke || 'freestyle') ? 'selected' : ''}>${SPLIT_STROKE_LABELS[stroke]}</option>`).join('')}
+    </select>
+    <input type="number" class="split-rest" min="0" step="5" placeholder="rest s" aria-label="Rest after (seconds)" value="${split.rest_sec || ''}">
+    <select class="split-equipment" aria-label="Equipment">
+      ${CoachPlanner.SPLIT_EQUIPMENT.map(kit => `<option value="${kit}" ${kit === (split.equipment || 'none') ? 'selected' : ''}>${SPLIT_EQUIPMENT_LABELS[kit]}</option>`).join('')}
+    </select>
+    <button type="button" class="split-remove-btn" aria-label="Remove split">&times;</button>
+  `;
+  document.getElementById('split-editor').appendChild(row);
+}
+
+/**
+ * Add a copy of the last split row - most sets are repeats
+ */
+function repeatLastSplit() {
+  const rows = document.querySelectorAll('#split-editor .split-row');
+  if (rows.length === 0) {
+    addSplitRow();
+    return;
+  }
+
+  const last = rows[rows.length - 1];
+  addSplitRow({
+    distance_m: parseInt(last.querySelector('.split-distance').value) || null,
+    stroke: last.querySelector('.split-stroke').value,
+    rest_sec: parseInt(last.querySelector('.split-rest').value) || null,
+    equipment: last.querySelector('.split-equipment').value
+  });
+}
+
+/**
+ * Replace the split editor rows
+ */
+function setSplitRows(splits) {
+  document.getElementById('split-editor').innerHTML = '';
+  (splits || []).forEach(split => addSplitRow(split));
+}
+
+/**
+ * Read splits from the editor, skipping rows left blank
+ * @returns {Object} { splits, error } - error names the first incomplete row
+ */
+function readSplitRows() {
+  const splits = [];
+  let error = null;
+
+  document.querySelectorAll('#split-editor .split-row').forEach((row, index) => {
+    const distanceText = row.querySelector('.split-distance').value;
+    const timeText = row.querySelector('.split-time').value;
+    if (!distanceText && !timeText) return;
+
+    const distance = parseInt(distanceText);
+    const timeSec = parseClockTime(timeText);
+    if (!(distance > 0) || !timeSec) {
+      error = error || `Split ${index + 1} needs a distance and a time (m:ss).`;
+      return;
+    }
+
+    splits.push({
+      distance_m: distance,
+      time_sec: timeSec,
+      stroke: row.querySelector('.split-stroke').value,
+      rest_sec: parseInt(row.querySelector('.split-rest').value) || 0,
+      equipment: row.querySelector('.split-equipment').value
+    });
+  });
+
+  return { splits, error };
+}
+
+/**
+ * Open the session form prefilled from a CSS test recommendation
+ */
+function showCssTestForm(session) {
+  showSessionForm();
+  document.getElementById('sessionType').value = 'pool';
+  document.getElementById('sessionDistance').value = session.total_distance_m;
+  document.getElementById('sessionTime').value = session.estimated_duration_min;
+  document.getElementById('sessionCssTest').checked = true;
+  toggleCssTestFields(true);
+  setSessionRpe(Effort.EFFORT_RPE.hard);
+}
+
 /**
  * Handle session form submission
  */
@@ -1805,18 +2390,48 @@ async function handleSessionSubmit(e) {
   try {
     const formData = new FormData(e.target);
     const editId = document.getElementById('edit-session-id').value;
+    const existing = editId ? state.sessions.find(s => s.id === editId) : null;
 
-    // Build session object
+    let cssTest = null;
+    if (formData.get('sessionCssTest')) {
+      cssTest = {
+        t400_sec: parseClockTime(formData.get('css400')),
+        t200_sec: parseClockTime(formData.get('css200'))
+      };
+      if (!window.CoachPlanner || CoachPlanner.calculateCss(cssTest.t400_sec, cssTest.t200_sec) === null) {
+        alert('Enter the 400m and 200m times as m:ss - the 400m should take longer than the 200m.');
+        return;
+      }
+    }
+
+    const { splits, error: splitError } = readSplitRows();
+    if (splitError) {
+      alert(splitError);
+      return;
+    }
+
+    // Build session object, keeping fields the form doesn't edit (e.g. planned_duration_min)
     const session = {
+      ...(existing || {}),
       id: editId || crypto.randomUUID(),
       date: formData.get('sessionDate'),
       type: formData.get('sessionType'),
       distance_m: parseInt(formData.get('sessionDistance')),
       time_min: parseFloat(formData.get('sessionTime')), // Use parseFloat to allow decimals
-      effort: formData.get('sessionRPE'), // easy, moderate, or hard
+      rpe: Effort.toRpe(formData.get('sessionRPE')) || Effort.DEFAULT_RPE,
       notes: formData.get('sessionNotes'),
       conditions: formData.get('sessionConditions')
     };
+    if (cssTest) {
+      session.css_test = cssTest;
+    } else {
+      delete session.css_test;
+    }
+    if (splits.length > 0) {
+      session.splits = splits;
+    } else {
+      delete session.splits;
+    }
 
     console.log('Saving session:', session);
 
@@ -1835,6 +2450,9 @@ async function handleSessionSubmit(e) {
       triggerCloudSync();
     }
 
+    // Keep the training plan in step with what was actually swum
+    reflowTrainingPlan();
+
     // Reset and hide form
     hideSessionForm();
 
@@ -1866,10 +2484,13 @@ function editSession(id) {
   document.getElementById('sessionTime').value = session.time_min;
   document.getElementById('sessionNotes').value = session.notes || '';
   document.getElementById('sessionConditions').value = session.conditions || '';
+  document.getElementById('sessionCssTest').checked = !!session.css_test;
+  document.getElementById('css400').value = session.css_test ? CoachPlanner.formatClockTime(session.css_test.t400_sec) : '';
+  document.getElementById('css200').value = session.css_test ? CoachPlanner.formatClockTime(session.css_test.t200_sec) : '';
+  toggleCssTestFields(!!session.css_test);
+  setSplitRows(session.splits);
 
-  // Handle effort (support legacy rpe values)
-  const effort = normalizeEffort(session.effort || session.rpe);
-  selectEffort(effort);
+  setSessionRpe(Effort.getSessionRpe(session));
 
   // Update UI
   document.getElementById('session-form-title').textContent = 'Edit Session';
@@ -1905,7 +2526,9 @@ function hideSessionForm() {
   document.getElementById('edit-session-id').value = '';
   document.getElementById('session-form-title').textContent = 'Log New Session';
   document.getElementById('session-submit-btn').textContent = 'Log Session';
-  selectEffort('moderate'); // Reset to default
+  setSessionRpe(Effort.DEFAULT_RPE); // Reset to default
+  toggleCssTestFields(false);
+  setSplitRows([]);
   document.body.style.overflow = ''; // Restore scrolling
 }
 
@@ -2006,6 +2629,7 @@ function renderEventItem(event, isPast) {
       <div class="event-info">
         <div class="event-name">
           ${event.name}
+          ${renderPriorityBadge(event)}
           ${isActive ? '<span class="event-badge primary">Active</span>' : ''}
         </div>
         <div class="event-details">
@@ -2025,9 +2649,7 @@ function renderEventItem(event, isPast) {
           <div class="event-countdown-number">${daysUntil}</div>
           <div class="event-countdown-label">days</div>
         </div>
-      ` : `
-        <span class="event-badge past">Completed</span>
-      `}
+      ` : renderEventResultBadge(event)}
       <div class="event-actions" onclick="event.stopPropagation()">
         <button class="btn btn-secondary btn-small" onclick="editEvent('${event.id}')">
           <svg class="icon icon-outline" viewBox="0 0 24 24" style="width: 14px; height: 14px;"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>
@@ -2040,6 +2662,28 @@ function renderEventItem(event, isPast) {
   `;
 }
 
+/**
+ * Result summary for a past event: official time and how it compared with
+ * the target, or a plain "Completed" badge before a result is logged
+ */
+function renderEventResultBadge(event) {
+  if (!event.result) {
+    return '<span class="event-badge past">Completed</span>';
+  }
+
+  const comparison = event.result.review ? event.result.review.comparison : null;
+  const vsTarget = comparison && comparison.vs_target_sec !== null
+    ? `<div class="event-result-diff ${comparison.vs_target_sec <= 0 ? 'ahead' : 'behind'}">${comparison.vs_target_sec <= 0 ? '-' : '+'}${RacePlanner.formatRaceTime(Math.abs(comparison.vs_target_sec))}</div>`
+    : '';
+
+  return `
+    <div class="event-result">
+      <div class="event-result-time">${event.result.official_time}</div>
+      ${vsTarget}
+    </div>
+  `;
+}
+
 /**
  * Show event form modal
  */
@@ -2102,7 +2746,10 @@ function editEvent(id) {
   document.getElementById('eventDate').value = event.date;
   document.getElementById('eventDistance').value = event.distance;
   document.getElementById('eventGoal').value = event.goal;
+  document.getElementById('eventPriority').value = CoachPlanner.getEventPriority(event);
   document.getElementById('eventTargetTime').value = event.targetTime || '';
+  document.getElementById('eventStartTime').value = event.startTime || '';
+  document.getElementById('eventLaps').value = event.laps || 1;
   document.getElementById('eventNotes').value = event.notes || '';
 
   document.getElementById('event-form-title').textContent = 'Edit Event';
@@ -2122,6 +2769,7 @@ async function handleEventSubmit(e) {
 
   const formData = new FormData(e.target);
   const editId = document.getElementById('edit-event-id').value;
+  const existing = editId ? state.events.find(ev => ev.id === editId) : null;
 
   const event = {
     id: editId || crypto.randomUUID(),
@@ -2129,9 +2777,13 @@ async function handleEventSubmit(e) {
     date: formData.get('eventDate'),
     distance: parseInt(formData.get('eventDistance')),
     goal: formData.get('eventGoal'),
+    priority: formData.get('eventPriority') || 'A',
     targetTime: formData.get('eventTargetTime') || null,
+    startTime: formData.get('eventStartTime') || null,
+    laps: Math.max(parseInt(formData.get('eventLaps'), 10) || 1, 1),
     notes: formData.get('eventNotes') || null,
-    isActive: false
+    isActive: existing ? existing.isActive === true : false,
+    ...(existing && existing.result ? { result: existing.result } : {})
   };
 
   if (editId) {
@@ -2150,6 +2802,9 @@ async function handleEventSubmit(e) {
   // Update active event
   state.activeEvent = await DB.getActiveEvent();
 
+  // Event date or distance may have changed - re-flow its plan
+  reflowTrainingPlan();
+
   hideEventForm();
   loadEvents();
 
@@ -2168,11 +2823,15 @@ async function deleteEvent(id) {
   }
 
   await DB.deleteEvent(id);
+  await DB.deleteTrainingPlan(id);
   state.events = state.events.filter(e => e.id !== id);
 
   // Update active event
   state.activeEvent = await DB.getActiveEvent();
 
+  // A season race may have gone from the key event's plan
+  reflowTrainingPlan();
+
   alert('✅ Event deleted');
   loadEvents();
 
@@ -2181,22 +2840,415 @@ async function deleteEvent(id) {
   }
 }
 
+let currentEventDetailId = null;
+let currentRacePlan = null;
+
 /**
- * View event details (or set as active)
+ * View event details, with the race plan for upcoming events
  */
 function viewEvent(id) {
   const event = state.events.find(e => e.id === id);
   if (!event) return;
 
+  currentEventDetailId = id;
+
   const eventDate = new Date(event.date);
   const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const isUpcoming = eventDate >= today;
+  const isActive = state.activeEvent && state.activeEvent.id === id;
+
+  document.getElementById('event-detail-title').textContent = event.name;
+  document.getElementById('event-detail-content').innerHTML = `
+    <div class="session-detail-grid">
+      <div class="session-detail-item">
+        <span class="session-detail-value">${(event.distance / 1000).toFixed(1)}km</span>
+        <span class="session-detail-label">Distance${event.laps > 1 ? ` (${event.laps} laps)` : ''}</span>
+      </div>
+      <div class="session-detail-item">
+        <span class="session-detail-value">${eventDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</span>
+        <span class="session-detail-label">${event.startTime ? `Start ${event.startTime}` : 'Date'}</span>
+      </div>
+    </div>
+    <p class="text-muted">${renderPriorityBadge(event)} ${getGoalLabel(event.goal)}${event.targetTime ? ` - Target: ${event.targetTime}` : ''}</p>
+    ${event.notes ? `
+      <div class="session-detail-notes">
+        <h4>Notes</h4>
+        <p>${event.notes}</p>
+      </div>
+    ` : ''}
+  `;
+
+  // Race plan for events still to come
+  currentRacePlan = isUpcoming ? RacePlanner.generateRacePlan(event, state.sessions) : null;
+  const raceCard = document.getElementById('race-card');
+  if (isUpcoming) {
+    raceCard.innerHTML = renderRaceCard(currentRacePlan);
+    raceCard.style.display = 'block';
+  } else {
+    raceCard.style.display = 'none';
+  }
+
+  // Result and retrospective for races that have been swum
+  const review = document.getElementById('race-review');
+  const reviewContent = document.getElementById('race-review-content');
+  const mapContainer = document.getElementById('race-map-container');
+  const gpsTrack = !isUpcoming && event.result ? event.result.gpsTrack : null;
+  if (isUpcoming) {
+    review.style.display = 'none';
+  } else {
+    reviewContent.innerHTML = renderRaceReview(event);
+    review.style.display = 'block';
+  }
+  mapContainer.style.display = gpsTrack && gpsTrack.length > 0 ? 'block' : 'none';
+
+  const resultBtn = document.getElementById('event-detail-result-btn');
+  resultBtn.style.display = isUpcoming ? 'none' : '';
+  resultBtn.textContent = event.result ? 'Edit Result' : 'Log Result';
+
+  document.getElementById('event-detail-active-btn').style.display = isUpcoming && !isActive ? '' : 'none';
+  document.getElementById('race-card-print-btn').style.display = currentRacePlan ? '' : 'none';
+  document.getElementById('race-card-share-btn').style.display = currentRacePlan ? '' : 'none';
+  document.getElementById('race-review-export-btn').style.display = !isUpcoming && event.result && event.result.review ? '' : 'none';
+
+  // Show modal first so the map and chart have dimensions
+  document.getElementById('event-detail-modal').style.display = 'flex';
+  document.body.style.overflow = 'hidden';
+
+  if (!isUpcoming && event.result && event.result.review) {
+    Charts.updateRaceVolumeChart(event.result.review.training.weeks, event.result.review.taper.taper_days);
+  }
+  if (gpsTrack && gpsTrack.length > 0) {
+    setTimeout(() => {
+      renderSessionMap(gpsTrack, document.getElementById('race-map'), document.getElementById('race-map-stats'));
+    }, 100);
+  }
+}
+
+/**
+ * Render the race card: target splits, feeds, sighting and warm-up
+ */
+function renderRaceCard(plan) {
+  if (!plan) {
+    return `
+      <h4>Race Plan</h4>
+      <p class="text-muted">Add a target time, take a CSS test or log a few timed swims to get target splits for this race.</p>
+    `;
+  }
+
+  const formatRaceTime = RacePlanner.formatRaceTime;
+  const formatPace = CoachPlanner.formatClockTime;
+
+  return `
+    <div class="race-card-header">
+      <h4>${plan.event.name || 'Race'} - Race Plan</h4>
+      <span class="race-card-target">${formatRaceTime(plan.target_time_sec)} <small>(${formatPace(plan.pace_per_100_sec)}/100m)</small></span>
+    </div>
+    <p class="text-muted race-card-source">${plan.pace_note}</p>
+
+    <table class="race-splits">
+      <thead>
+        <tr><th>Segment</th><th>Split</th><th>Clock</th><th>/100m</th></tr>
+      </thead>
+      <tbody>
+        ${plan.segments.map(segment => `
+          <tr>
+            <td>${segment.label}</td>
+            <td>${formatRaceTime(segment.target_sec)}</td>
+            <td>${formatRaceTime(segment.cumulative_sec)}</td>
+            <td>${formatPace(segment.pace_per_100_sec)}</td>
+          </tr>
+          <tr class="race-split-cue"><td colspan="4">${segment.cue}</td></tr>
+        `).join('')}
+      </tbody>
+    </table>
+
+    ${plan.feeds.length > 0 ? `
+      <h5>Feeding</h5>
+      <ul class="race-card-list">
+        ${plan.feeds.map(feed => `<li>${feed.at_min > 0 ? `<strong>${feed.at_min} min</strong> (~${feed.at_m}m): ` : ''}${feed.cue}</li>`).join('')}
+      </ul>
+    ` : ''}
+
+    <h5>Sighting - every ${plan.sighting.every_strokes} strokes</h5>
+    <ul class="race-card-list">
+      ${plan.sighting.cues.map(cue => `<li>${cue}</li>`).join('')}
+    </ul>
+
+    <h5>Warm-up${plan.event.start_time ? '' : ' <small class="text-muted">(add a start time for clock times)</small>'}</h5>
+    <ul class="race-card-list race-warmup">
+      ${plan.warmup.map(step => `
+        <li><strong>${step.clock || (step.offset_min > 0 ? `-${step.offset_min} min` : 'Gun')}</strong> ${step.label}</li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Render a past race's result, the comparison with the target and predicted
+ * times, and the look back at the training block before it
+ */
+function renderRaceReview(event) {
+  if (!event.result || !event.result.review) {
+    return `
+      <h4>Race Result</h4>
+      <p class="text-muted">Log your official time to see how it compared with your target and what your training predicted, and to get a look back at the weeks before the race.</p>
+    `;
+  }
+
+  const { result, comparison, course, training, longest_swims: longestSwims, taper } = event.result.review;
+  const formatRaceTime = RacePlanner.formatRaceTime;
+  const formatKm = metres => `${(metres / 1000).toFixed(1)}km`;
+  const describeDiff = diffSec => `${diffSec <= 0 ? '-' : '+'}${formatRaceTime(Math.abs(diffSec))}`;
+
+  return `
+    <div class="race-card-header">
+      <h4>Race Result</h4>
+      <span class="race-card-target">${result.official_time} <small>(${CoachPlanner.formatClockTime(comparison.pace_per_100_sec)}/100m)</small></span>
+    </div>
+
+    <div class="session-detail-grid">
+      ${result.position ? `
+        <div class="session-detail-item">
+          <span class="session-detail-value">${result.position}${result.field_size ? ` / ${result.field_size}` : ''}</span>
+          <span class="session-detail-label">Placing</span>
+        </div>
+      ` : ''}
+      ${comparison.target_sec ? `
+        <div class="session-detail-item">
+          <span class="session-detail-value race-review-diff ${comparison.vs_target_sec <= 0 ? 'ahead' : 'behind'}">${describeDiff(comparison.vs_target_sec)}</span>
+          <span class="session-detail-label">vs target ${formatRaceTime(comparison.target_sec)}</span>
+        </div>
+      ` : ''}
+      ${comparison.predicted_sec ? `
+        <div class="session-detail-item">
+          <span class="session-detail-value race-review-diff ${comparison.vs_predicted_sec <= 0 ? 'ahead' : 'behind'}">${describeDiff(comparison.vs_predicted_sec)}</span>
+          <span class="session-detail-label">vs predicted ${formatRaceTime(comparison.predicted_sec)}</span>
+        </div>
+      ` : ''}
+      ${course ? `
+        <div class="session-detail-item">
+          <span class="session-detail-value">${formatKm(course.gps_distance_m)}</span>
+          <span class="session-detail-label">GPS distance</span>
+        </div>
+      ` : ''}
+    </div>
+
+    ${result.conditions ? `<p class="text-muted">Conditions: ${result.conditions}</p>` : ''}
+    ${course ? `<p class="text-muted">${course.note}</p>` : ''}
+
+    <h5>The ${training.weeks.length} weeks before</h5>
+    <p class="text-muted">${formatKm(training.total_m)} over ${training.sessions} swims - ${formatKm(training.avg_week_m)} a week on average, peaking at ${formatKm(training.peak_week.volume_m)} ${training.peak_week.weeks_out} weeks out.</p>
+    <canvas id="raceVolumeChart"></canvas>
+
+    ${longestSwims.length > 0 ? `
+      <h5>Longest swims</h5>
+      <ul class="race-card-list">
+        ${longestSwims.map(swim => `
+          <li><strong>${formatKm(swim.distance_m)}</strong> on ${new Date(`${swim.date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })}${swim.time_min ? ` in ${swim.time_min} min` : ''}</li>
+        `).join('')}
+      </ul>
+    ` : ''}
+
+    <h5>Taper</h5>
+    <p class="race-review-taper ${taper.verdict}">${taper.note}</p>
+    <ul class="race-card-list">
+      ${taper.planned_sessions !== null ? `<li>Planned taper swims done: ${taper.completed_sessions} of ${taper.planned_sessions}</li>` : ''}
+      ${taper.last_hard_days_out !== null ? `<li>Last hard swim ${taper.last_hard_days_out} days before the race</li>` : ''}
+    </ul>
+  `;
+}
+
+/**
+ * Hide the event detail modal
+ */
+function hideEventDetail() {
+  document.getElementById('event-detail-modal').style.display = 'none';
+  document.body.style.overflow = '';
+  currentEventDetailId = null;
+  currentRacePlan = null;
+
+  // Clean up the result map
+  if (sessionDetailMap) {
+    sessionDetailMap.remove();
+    sessionDetailMap = null;
+  }
+}
+
+/**
+ * Edit the event shown in the detail modal
+ */
+function editEventFromDetail() {
+  if (!currentEventDetailId) return;
+  const id = currentEventDetailId;
+  hideEventDetail();
+  editEvent(id);
+}
+
+/**
+ * Make the event shown in the detail modal the active event
+ */
+async function setActiveFromDetail() {
+  if (!currentEventDetailId) return;
+  const id = currentEventDetailId;
+  hideEventDetail();
+  await setEventActive(id);
+}
+
+/**
+ * Print just the race card
+ */
+function printRaceCard() {
+  if (!currentRacePlan) return;
+  document.body.classList.add('print-race-card');
+  window.addEventListener('afterprint', () => document.body.classList.remove('print-race-card'), { once: true });
+  window.print();
+}
+
+/**
+ * Share the race card as text, or copy it where sharing isn't supported
+ */
+async function shareRaceCard() {
+  if (!currentRacePlan) return;
+  const text = RacePlanner.formatRaceCardText(currentRacePlan);
+
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: `${currentRacePlan.event.name || 'Race'} - race plan`, text });
+      return;
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+    }
+  }
 
-  // Only allow setting as active if it's a future event
-  if (eventDate >= today && (!state.activeEvent || state.activeEvent.id !== id)) {
-    if (confirm(`Set "${event.name}" as your active training event?`)) {
-      setEventActive(id);
+  navigator.clipboard.writeText(text)
+    .then(() => alert('✅ Race plan copied to clipboard!'))
+    .catch(() => alert('❌ Could not copy to clipboard'));
+}
+
+/**
+ * Download the race report for the event shown in the detail modal
+ */
+function exportRaceReport() {
+  const event = state.events.find(e => e.id === currentEventDetailId);
+  if (!event || !event.result || !event.result.review) return;
+
+  const text = RaceReview.formatReviewText(event.result.review);
+  const blob = new Blob([text], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `race-report-${event.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${event.date}.txt`;
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Open the result form for the event shown in the detail modal
+ */
+function showResultFormFromDetail() {
+  if (!currentEventDetailId) return;
+  const id = currentEventDetailId;
+  hideEventDetail();
+  showResultForm(id);
+}
+
+/**
+ * Show the race result form, filled in when a result is already logged
+ */
+function showResultForm(id) {
+  const event = state.events.find(e => e.id === id);
+  if (!event) return;
+
+  const result = event.result || {};
+  document.getElementById('result-form').reset();
+  document.getElementById('result-event-id').value = id;
+  document.getElementById('result-form-title').textContent = `${event.name} - Result`;
+  document.getElementById('resultTime').value = result.official_time || '';
+  document.getElementById('resultPosition').value = result.position || '';
+  document.getElementById('resultFieldSize').value = result.field_size || '';
+  document.getElementById('resultConditions').value = result.conditions || '';
+  document.getElementById('result-gpx-status').textContent = result.gpsTrack
+    ? `GPS track attached (${(result.gps_distance_m / 1000).toFixed(2)}km) - choose a file to replace it`
+    : 'GPX from your watch - shows the line you swam and how far it was';
+
+  document.getElementById('result-modal').style.display = 'flex';
+  document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Hide the race result form
+ */
+function hideResultForm() {
+  document.getElementById('result-modal').style.display = 'none';
+  document.getElementById('result-form').reset();
+  document.body.style.overflow = '';
+}
+
+/**
+ * Save a race result and build its review from the training before the race
+ */
+async function handleResultSubmit(e) {
+  e.preventDefault();
+
+  const id = document.getElementById('result-event-id').value;
+  const event = state.events.find(ev => ev.id === id);
+  if (!event) return;
+
+  const formData = new FormData(e.target);
+  const officialTime = (formData.get('resultTime') || '').trim();
+  if (!RacePlanner.parseRaceTime(officialTime)) {
+    alert('Please enter your official time as MM:SS or H:MM:SS');
+    return;
+  }
+
+  // A new GPX replaces the attached track; otherwise keep what's there
+  let gpsTrack = event.result ? event.result.gpsTrack || null : null;
+  let gpsDistance = event.result ? event.result.gps_distance_m || null : null;
+  const gpxFile = document.getElementById('resultGpx').files[0];
+  if (gpxFile) {
+    try {
+      const [swim] = parseGPXFile(await gpxFile.text());
+      if (!swim || !swim.gpsTrack) {
+        alert('No GPS track found in that file');
+        return;
+      }
+      gpsTrack = swim.gpsTrack;
+      gpsDistance = swim.distance_m || null;
+    } catch (error) {
+      alert('Error parsing GPX file: ' + error.message);
+      return;
     }
   }
+
+  const result = {
+    official_time: RacePlanner.formatRaceTime(RacePlanner.parseRaceTime(officialTime)),
+    position: parseInt(formData.get('resultPosition'), 10) || null,
+    field_size: parseInt(formData.get('resultFieldSize'), 10) || null,
+    conditions: formData.get('resultConditions') || null,
+    gpsTrack,
+    gps_distance_m: gpsDistance,
+    logged_at: new Date().toISOString()
+  };
+
+  try {
+    const calendar = await DB.getTrainingPlan(id);
+    result.review = RaceReview.buildRaceReview(event, result, state.sessions, calendar);
+
+    const updated = { ...event, result };
+    await DB.updateEvent(id, updated);
+    state.events[state.events.findIndex(ev => ev.id === id)] = updated;
+  } catch (error) {
+    console.error('Error saving race result:', error);
+    alert('❌ Error saving result: ' + error.message);
+    return;
+  }
+
+  hideResultForm();
+  loadEvents();
+  viewEvent(id);
 }
 
 /**
@@ -2213,6 +3265,20 @@ async function setEventActive(id) {
   }
 }
 
+const PRIORITY_LABELS = {
+  A: 'A race - the key event the season builds toward',
+  B: 'B race - short mini-taper, then back to the build',
+  C: 'C race - one easier day either side'
+};
+
+/**
+ * A/B/C race priority chip
+ */
+function renderPriorityBadge(event) {
+  const priority = CoachPlanner.getEventPriority(event);
+  return `<span class="event-badge priority-${priority.toLowerCase()}" title="${PRIORITY_LABELS[priority]}">${priority}</span>`;
+}
+
 /**
  * Get human-readable goal label
  */
@@ -2390,7 +3456,7 @@ function parseSamsungHealthCSV(csvText) {
         type: type,
         distance_m: Math.round(distance),
         time_min: Math.round(duration),
-        rpe: 5,
+        rpe: Effort.DEFAULT_RPE,
         notes: 'Imported from Samsung Health',
         conditions: ''
       });
@@ -2532,7 +3598,7 @@ function parseGPXFile(gpxText) {
       type: 'open_water', // GPX files are typically from outdoor/open water activities
       distance_m: Math.round(distance),
       time_min: duration,
-      effort: 'moderate', // Default effort
+      rpe: Effort.DEFAULT_RPE,
       notes: 'Imported from GPX file',
       conditions: ''
     };
@@ -2642,6 +3708,7 @@ async function confirmImport() {
 
   // Trigger cloud sync
   triggerCloudSync();
+  reflowTrainingPlan();
 
   alert(`✅ Imported ${newSessions.length} session(s)!`);
   hideImportModal();
@@ -2673,6 +3740,7 @@ async function deleteSession(id) {
 
   await DB.deleteSession(id);
   state.sessions = state.sessions.filter(s => s.id !== id);
+  reflowTrainingPlan();
 
   alert('✅ Session deleted');
   loadSessions();
@@ -2683,54 +3751,19 @@ async function deleteSession(id) {
 }
 
 /**
- * Select effort level (easy/moderate/hard)
+ * Set the session form's RPE and highlight its effort band
  */
-function selectEffort(effort) {
-  // Update hidden input
-  document.getElementById('sessionRPE').value = effort;
+function setSessionRpe(rpe) {
+  const value = Effort.toRpe(rpe) || Effort.DEFAULT_RPE;
+  document.getElementById('sessionRPE').value = value;
+  document.getElementById('sessionRPEValue').textContent = `RPE ${value}/10`;
 
-  // Update button states
+  const effort = Effort.effortFromRpe(value);
   document.querySelectorAll('.effort-btn').forEach(btn => {
     btn.classList.toggle('active', btn.dataset.effort === effort);
   });
 }
 
-/**
- * Get effort label for display
- */
-function getEffortLabel(effort) {
-  const labels = {
-    easy: { emoji: '😊', text: 'Easy' },
-    moderate: { emoji: '💪', text: 'Moderate' },
-    hard: { emoji: '🔥', text: 'Hard' },
-    // Legacy numeric values mapping
-    1: { emoji: '😊', text: 'Easy' },
-    2: { emoji: '😊', text: 'Easy' },
-    3: { emoji: '😊', text: 'Easy' },
-    4: { emoji: '💪', text: 'Moderate' },
-    5: { emoji: '💪', text: 'Moderate' },
-    6: { emoji: '💪', text: 'Moderate' },
-    7: { emoji: '🔥', text: 'Hard' },
-    8: { emoji: '🔥', text: 'Hard' },
-    9: { emoji: '🔥', text: 'Hard' },
-    10: { emoji: '🔥', text: 'Hard' }
-  };
-  return labels[effort] || labels.moderate;
-}
-
-/**
- * Convert legacy numeric RPE to effort string
- */
-function normalizeEffort(rpe) {
-  if (typeof rpe === 'string' && ['easy', 'moderate', 'hard'].includes(rpe)) {
-    return rpe;
-  }
-  const num = parseInt(rpe);
-  if (num <= 3) return 'easy';
-  if (num <= 6) return 'moderate';
-  return 'hard';
-}
-
 /**
  * Get most common effort level from recent sessions
  */
@@ -2743,8 +3776,7 @@ function getMostCommonEffort(sessions, days) {
 
   const counts = { easy: 0, moderate: 0, hard: 0 };
   recentSessions.forEach(s => {
-    const effort = normalizeEffort(s.effort || s.rpe);
-    counts[effort]++;
+    counts[Effort.getSessionEffort(s)]++;
   });
 
   // Find the most common
@@ -2760,11 +3792,33 @@ function getMostCommonEffort(sessions, days) {
   return mostCommon;
 }
 
+/**
+ * The profile the coach plans from: the swimmer's profile plus the active
+ * event's date, name, distance and goal, and the season's other races
+ */
+function getCoachingProfile() {
+  const event = state.activeEvent;
+  if (!event) return state.profile;
+
+  return {
+    ...state.profile,
+    eventId: event.id,
+    seasonEvents: state.events,
+    eventDate: event.date,
+    eventName: event.name,
+    eventDistance_m: event.distance,
+    goal: event.goal || state.profile.goal,
+    targetTime: event.targetTime || state.profile.targetTime
+  };
+}
+
 /**
  * Get coaching recommendation using the new deterministic planning system
  * Uses CoachService which combines deterministic templates with LLM polish
  */
-async function getCoaching() {
+async function getCoaching(options = {}) {
+  const cssTest = options.cssTest === true;
+
   if (!state.profile) {
     alert('Please set up your profile first!');
     switchTab('profile');
@@ -2773,6 +3827,7 @@ async function getCoaching() {
 
   // Show loading state
   document.getElementById('get-coaching-btn').style.display = 'none';
+  document.getElementById('css-test-btn').style.display = 'none';
   document.getElementById('coaching-loading').style.display = 'block';
   document.getElementById('coaching-results').style.display = 'none';
   const emptyState = document.getElementById('coach-empty-state');
@@ -2787,13 +3842,24 @@ async function getCoaching() {
     if (window.CoachService && window.CoachPlanner) {
       // New deterministic planning system
       console.log('   Using deterministic planner with LLM polish...');
-      recommendation = await CoachService.getCoachingRecommendation(state.profile, state.sessions);
+      const container = document.getElementById('coaching-display');
+      const getRecommendation = cssTest ? CoachService.getCssTestRecommendation : CoachService.getCoachingRecommendation;
+      recommendation = await getRecommendation(getCoachingProfile(), state.sessions, {
+        calendar: state.trainingPlan,
+        // Show the plan straight away; polish fills in as it streams
+        onPlan: plan => {
+          document.getElementById('coaching-loading').style.display = 'none';
+          displayCoachingStructured(plan, false, { streaming: true });
+          document.getElementById('coaching-results').style.display = 'block';
+        },
+        onPolish: (field, value, partial) => CoachView.updatePolishField(container, field, value, partial)
+      });
       console.log('✅ Structured coaching received');
     } else {
       // Fall back to legacy API call
       console.log('   Using legacy API (new modules not loaded)...');
       const today = new Date().toISOString().split('T')[0];
-      const request = Prompts.buildCoachRequest(state.profile, state.sessions, today);
+      const request = Prompts.buildCoachRequest(getCoachingProfile(), state.sessions, today);
 
       const response = await fetch(`${API_URL}/api/coach`, {
         method: 'POST',
@@ -2864,10 +3930,41 @@ async function getCoaching() {
   } finally {
     // Hide loading
     document.getElementById('get-coaching-btn').style.display = 'block';
+    document.getElementById('css-test-btn').style.display = 'block';
     document.getElementById('coaching-loading').style.display = 'none';
   }
 }
 
+/**
+ * Show how many coaching requests are left today (from the server's quota headers)
+ */
+function renderCoachQuota(quota) {
+  const quotaEl = document.getElementById('coach-quota');
+  if (!quotaEl) return;
+
+  if (!quota || quota.limit === null) {
+    quotaEl.style.display = 'none';
+    return;
+  }
+
+  const resetTime = quota.resetAt
+    ? quota.resetAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : 'tomorrow';
+
+  if (quota.remaining > 0) {
+    quotaEl.textContent = `${quota.remaining} of ${quota.limit} AI coaching requests left today`;
+  } else {
+    quotaEl.textContent = `Daily AI coaching limit reached - resets at ${resetTime}. Sessions still use the offline coach.`;
+  }
+
+  if (quota.scope === 'anonymous') {
+    quotaEl.textContent += ' Sign in for a larger allowance.';
+  }
+
+  quotaEl.classList.toggle('exhausted', quota.remaining === 0);
+  quotaEl.style.display = 'block';
+}
+
 /**
  * Copy coaching to clipboard
  */
@@ -3020,8 +4117,8 @@ function viewSessionDetail(sessionId) {
   document.getElementById('session-detail-title').textContent = dateStr;
 
   // Build content
-  const effort = normalizeEffort(session.effort || session.rpe);
-  const effortLabel = getEffortLabel(effort);
+  const rpe = Effort.getSessionRpe(session);
+  const effortLabel = Effort.getEffortLabel(rpe);
   const pace = session.time_min > 0 && session.distance_m > 0
     ? ((session.time_min * 60) / (session.distance_m / 100)).toFixed(1)
     : null;
@@ -3038,7 +4135,7 @@ function viewSessionDetail(sessionId) {
       </div>
       <div class="session-detail-item">
         <span class="session-detail-value">${effortLabel.emoji} ${effortLabel.text}</span>
-        <span class="session-detail-label">Effort</span>
+        <span class="session-detail-label">Effort (RPE ${rpe}/10)</span>
       </div>
       <div class="session-detail-item">
         <span class="session-detail-value">${session.type === 'pool' ? '🏊 Pool' : '🌊 Open Water'}</span>
@@ -3053,6 +4150,14 @@ function viewSessionDetail(sessionId) {
     ` : ''}
   `;
 
+  if (session.plan_compliance) {
+    contentHtml += renderPlanCompliance(session);
+  }
+
+  if (session.splits && session.splits.length > 0) {
+    contentHtml += renderSplitDetail(session);
+  }
+
   if (session.notes) {
     contentHtml += `
       <div class="session-detail-notes">
@@ -3094,6 +4199,80 @@ function viewSessionDetail(sessionId) {
     document.getElementById('session-detail-modal').style.display = 'flex';
     document.body.style.overflow = 'hidden';
   }
+
+  // Pace drift chart (clears the previous session's chart when there are no splits)
+  if (window.Charts) {
+    Charts.updateSplitChart(session.splits);
+  }
+}
+
+/**
+ * Plan-versus-actual summary for a session logged from the coach
+ */
+function renderPlanCompliance(session) {
+  const compliance = session.plan_compliance;
+
+  return `
+    <div class="session-detail-notes session-detail-compliance">
+      <h4>Coach plan: ${compliance.template_name || session.template_id}</h4>
+      <div class="compliance-bar"><div class="compliance-bar-fill" style="width: ${compliance.completion_pct}%;"></div></div>
+      <p>
+        ${session.distance_m}m of ${compliance.planned_distance_m}m planned
+        (${compliance.completion_pct}% of items)
+      </p>
+      ${compliance.completed_blocks.length > 0
+        ? `<p>Completed: ${compliance.completed_blocks.join(', ')}</p>`
+        : '<p>No block fully completed</p>'}
+    </div>
+  `;
+}
+
+/**
+ * Split table, main-set assessment and chart canvas for the detail modal
+ */
+function renderSplitDetail(session) {
+  const formatClockTime = CoachPlanner.formatClockTime;
+  const paceZones = CoachPlanner.calculateRecentMetrics(state.sessions).paceZones;
+  const mainSet = CoachPlanner.assessMainSet(session.splits, paceZones);
+  const verdicts = {
+    faded: 'faded in the second half',
+    even: 'held an even pace',
+    negative_split: 'got faster in the second half'
+  };
+
+  return `
+    <div class="session-detail-splits">
+      <h4>Splits</h4>
+      ${mainSet ? `
+        <p class="split-summary ${mainSet.verdict}">
+          Main set ${mainSet.reps}x${mainSet.rep_distance_m}m at ${formatClockTime(mainSet.avg_pace_per_100_sec)}/100m${mainSet.zone ? ` (${mainSet.zone})` : ''}
+          - ${verdicts[mainSet.verdict]}
+          (${formatClockTime(mainSet.first_half_pace_sec)} &rarr; ${formatClockTime(mainSet.second_half_pace_sec)}, ${mainSet.drift_pct > 0 ? '+' : ''}${mainSet.drift_pct}%)
+        </p>
+      ` : ''}
+      <div class="split-table-wrap">
+        <table class="split-table">
+          <thead>
+            <tr><th>#</th><th>Dist</th><th>Time</th><th>/100m</th><th>Stroke</th><th>Rest</th><th>Kit</th></tr>
+          </thead>
+          <tbody>
+            ${session.splits.map((split, index) => `
+              <tr>
+                <td>${index + 1}</td>
+                <td>${split.distance_m}m</td>
+                <td>${formatClockTime(split.time_sec)}</td>
+                <td>${formatClockTime(Math.round(split.time_sec / (split.distance_m / 100)))}</td>
+                <td>${SPLIT_STROKE_LABELS[split.stroke] || split.stroke || 'Free'}</td>
+                <td>${split.rest_sec ? `${split.rest_sec}s` : '-'}</td>
+                <td>${split.equipment && split.equipment !== 'none' ? SPLIT_EQUIPMENT_LABELS[split.equipment] || split.equipment : '-'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <canvas id="splitChart"></canvas>
+    </div>
+  `;
 }
 
 /**
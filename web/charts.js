@@ -7,6 +7,11 @@
 
 let volumeChart = null;
 let progressChart = null;
+let splitChart = null;
+let complianceChart = null;
+let loadChart = null;
+let raceVolumeChart = null;
+let predictionChart = null;
 
 /**
  * Initialize or update the volume bar chart
@@ -216,6 +221,449 @@ function updateProgressChart(profile, sessions) {
   });
 }
 
+/**
+ * Initialize or update the plan compliance bar chart
+ * Shows prescribed versus completed distance for each of the last 8 weeks
+ * @param {Object} compliance - From CoachPlanner.calculatePlanCompliance
+ */
+function updateComplianceChart(compliance) {
+  const ctx = document.getElementById('complianceChart');
+  if (!ctx || !compliance) return;
+
+  const weeks = compliance.weeks;
+  const labels = weeks.map(week =>
+    new Date(`${week.week_start}T00:00:00Z`).toLocaleDateString('en-US', { day: 'numeric', month: 'short', timeZone: 'UTC' }));
+
+  if (complianceChart) {
+    complianceChart.destroy();
+  }
+
+  complianceChart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: labels,
+      datasets: [{
+        label: 'Prescribed',
+        data: weeks.map(week => week.prescribed_m),
+        backgroundColor: 'rgba(200, 200, 200, 0.5)',
+        borderRadius: 6
+      }, {
+        label: 'Completed',
+        data: weeks.map(week => week.completed_m),
+        backgroundColor: 'rgba(66, 217, 200, 0.8)',
+        borderRadius: 6
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      aspectRatio: window.innerWidth < 480 ? 1.5 : 2.5,
+      plugins: {
+        legend: {
+          position: 'bottom'
+        },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              return `${context.dataset.label}: ${context.parsed.y}m`;
+            },
+            footer: function(items) {
+              const week = weeks[items[0].dataIndex];
+              if (week.planned_sessions === 0) return '';
+              const skipped = week.skipped_days > 0 ? `, ${week.skipped_days} skipped` : '';
+              return `${week.completed_sessions}/${week.planned_sessions} sessions done${skipped}`;
+            }
+          }
+        }
+      },
+      scales: {
+        y: {
+          beginAtZero: true,
+          ticks: {
+            callback: function(value) {
+              return value + 'm';
+            }
+          }
+        },
+        x: {
+          grid: {
+            display: false
+          }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Initialize or update the training load line chart
+ * Shows this week's load against the 4-week weekly average, with the
+ * acute:chronic ratio on a second axis
+ * @param {Array} history - From CoachPlanner.calculateLoadHistory
+ */
+function updateLoadChart(history) {
+  const ctx = document.getElementById('loadChart');
+  if (!ctx || !history) return;
+
+  const labels = history.map(day =>
+    new Date(`${day.date}T00:00:00Z`).toLocaleDateString('en-US', { day: 'numeric', month: 'short', timeZone: 'UTC' }));
+
+  if (loadChart) {
+    loadChart.destroy();
+  }
+
+  loadChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: labels,
+      datasets: [{
+        label: 'This week',
+        data: history.map(day => day.acute_load),
+        borderColor: '#42D9C8',
+        backgroundColor: 'rgba(66, 217, 200, 0.15)',
+        fill: true,
+        tension: 0.3,
+        pointRadius: 0,
+        yAxisID: 'y'
+      }, {
+        label: '4-week average',
+        data: history.map(day => day.chronic_load),
+        borderColor: '#7F8C8D',
+        borderDash: [6, 4],
+        tension: 0.3,
+        pointRadius: 0,
+        yAxisID: 'y'
+      }, {
+        label: 'Ratio',
+        data: history.map(day => day.acwr),
+        borderColor: '#E67E22',
+        borderWidth: 1.5,
+        tension: 0.3,
+        pointRadius: 0,
+        spanGaps: true,
+        yAxisID: 'ratio'
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      aspectRatio: window.innerWidth < 480 ? 1.5 : 2.5,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      plugins: {
+        legend: {
+          position: 'bottom'
+        },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              if (context.dataset.yAxisID === 'ratio') {
+                return context.parsed.y === null ? 'Ratio: --' : `Ratio: ${context.parsed.y}x`;
+              }
+              return `${context.dataset.label}: ${context.parsed.y}`;
+            }
+          }
+        }
+      },
+      scales: {
+        y: {
+          beginAtZero: true,
+          title: {
+            display: true,
+            text: 'Minutes x RPE'
+          }
+        },
+        ratio: {
+          position: 'right',
+          beginAtZero: true,
+          suggestedMax: 2,
+          grid: {
+            drawOnChartArea: false
+          },
+          ticks: {
+            callback: function(value) {
+              return value + 'x';
+            }
+          }
+        },
+        x: {
+          grid: {
+            display: false
+          },
+          ticks: {
+            maxTicksLimit: 8
+          }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Initialize or update the pace drift line chart in the session detail modal
+ * Shows pace per 100m for each logged split, faster at the top
+ */
+function updateSplitChart(splits) {
+  const ctx = document.getElementById('splitChart');
+
+  if (splitChart) {
+    splitChart.destroy();
+    splitChart = null;
+  }
+  if (!ctx || !splits || splits.length === 0) return;
+
+  const formatPace = seconds => `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+  const paces = splits.map(split => Math.round(split.time_sec / (split.distance_m / 100)));
+  // Freestyle without kit is what the main-set assessment uses; grey out the rest
+  const isFreestyle = split => (!split.stroke || split.stroke === 'freestyle') && (!split.equipment || split.equipment === 'none');
+
+  splitChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: splits.map((split, index) => `${index + 1}`),
+      datasets: [{
+        label: 'Pace (per 100m)',
+        data: paces,
+        borderColor: 'rgba(74, 144, 226, 1)',
+        backgroundColor: 'rgba(74, 144, 226, 0.15)',
+        pointBackgroundColor: splits.map(split => isFreestyle(split) ? 'rgba(74, 144, 226, 1)' : 'rgba(160, 174, 192, 1)'),
+        pointRadius: 4,
+        tension: 0.2,
+        fill: false
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      aspectRatio: window.innerWidth < 480 ? 1.5 : 2.5,
+      plugins: {
+        legend: {
+          display: false
+        },
+        tooltip: {
+          callbacks: {
+            title: function(items) {
+              const split = splits[items[0].dataIndex];
+              return `Split ${items[0].dataIndex + 1}: ${split.distance_m}m ${split.stroke || 'freestyle'}`;
+            },
+            label: function(context) {
+              return `${formatPace(context.parsed.y)}/100m`;
+            }
+          }
+        }
+      },
+      scales: {
+        y: {
+          reverse: true,
+          ticks: {
+            callback: function(value) {
+              return formatPace(value);
+            }
+          }
+        },
+        x: {
+          grid: {
+            display: false
+          }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Weekly volume and longest swim over the training block before a race
+ * @param {Array} weeks - Race review weeks ({ weeks_out, volume_m, longest_m })
+ * @param {number} taperDays - Weeks inside the taper are shaded differently
+ */
+function updateRaceVolumeChart(weeks, taperDays) {
+  const ctx = document.getElementById('raceVolumeChart');
+
+  if (raceVolumeChart) {
+    raceVolumeChart.destroy();
+    raceVolumeChart = null;
+  }
+  if (!ctx || !weeks || weeks.length === 0) return;
+
+  const taperWeeks = Math.ceil(taperDays / 7);
+  const isTaper = week => week.weeks_out <= taperWeeks;
+
+  raceVolumeChart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: weeks.map(week => `-${week.weeks_out}w`),
+      datasets: [{
+        label: 'Weekly volume',
+        data: weeks.map(week => week.volume_m),
+        backgroundColor: weeks.map(week => isTaper(week) ? 'rgba(66, 217, 200, 0.7)' : 'rgba(74, 144, 226, 0.7)'),
+        borderRadius: 8,
+        order: 2
+      }, {
+        type: 'line',
+        label: 'Longest swim',
+        data: weeks.map(week => week.longest_m),
+        borderColor: '#E67E22',
+        backgroundColor: '#E67E22',
+        pointRadius: 3,
+        tension: 0.3,
+        order: 1
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      aspectRatio: window.innerWidth < 480 ? 1.5 : 2.5,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      plugins: {
+        legend: {
+          position: 'bottom'
+        },
+        tooltip: {
+          callbacks: {
+            title: function(items) {
+              const week = weeks[items[0].dataIndex];
+              return `${week.weeks_out} weeks out${isTaper(week) ? ' (taper)' : ''}`;
+            },
+            label: function(context) {
+              return `${context.dataset.label}: ${context.parsed.y}m`;
+            }
+          }
+        }
+      },
+      scales: {
+        y: {
+          beginAtZero: true,
+          ticks: {
+            callback: function(value) {
+              return value + 'm';
+            }
+          }
+        },
+        x: {
+          grid: {
+            display: false
+          }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Predicted finish time over time, with its confidence band and the target
+ * @param {Array} history - FinishPredictor history ({ date, time_sec, low_sec, high_sec })
+ * @param {number|null} targetSec - Event target time, drawn as a flat line
+ */
+function updatePredictionChart(history, targetSec) {
+  const ctx = document.getElementById('predictionChart');
+
+  if (predictionChart) {
+    predictionChart.destroy();
+    predictionChart = null;
+  }
+  if (!ctx || !history || history.length === 0) return;
+
+  const formatTime = seconds => {
+    const whole = Math.round(seconds);
+    const hours = Math.floor(whole / 3600);
+    const minutes = Math.floor((whole % 3600) / 60);
+    const secs = String(whole % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  };
+
+  const datasets = [{
+    label: 'Range (fast)',
+    data: history.map(point => point.low_sec),
+    borderColor: 'transparent',
+    pointRadius: 0,
+    fill: false
+  }, {
+    label: 'Range (slow)',
+    data: history.map(point => point.high_sec),
+    borderColor: 'transparent',
+    backgroundColor: 'rgba(74, 144, 226, 0.15)',
+    pointRadius: 0,
+    fill: '-1'
+  }, {
+    label: 'Predicted',
+    data: history.map(point => point.time_sec),
+    borderColor: 'rgba(74, 144, 226, 1)',
+    backgroundColor: 'rgba(74, 144, 226, 1)',
+    pointRadius: 3,
+    tension: 0.3,
+    fill: false
+  }];
+
+  if (targetSec) {
+    datasets.push({
+      label: 'Target',
+      data: history.map(() => targetSec),
+      borderColor: '#E67E22',
+      borderDash: [6, 4],
+      pointRadius: 0,
+      fill: false
+    });
+  }
+
+  predictionChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: history.map(point =>
+        new Date(`${point.date}T00:00:00Z`).toLocaleDateString('en-US', { day: 'numeric', month: 'short', timeZone: 'UTC' })),
+      datasets
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      aspectRatio: window.innerWidth < 480 ? 1.5 : 2.5,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      plugins: {
+        legend: {
+          position: 'bottom',
+          labels: {
+            // The band edges are drawn as a shaded area, not lines
+            filter: item => !item.text.startsWith('Range')
+          }
+        },
+        tooltip: {
+          filter: item => !item.dataset.label.startsWith('Range'),
+          callbacks: {
+            label: function(context) {
+              if (context.dataset.label === 'Predicted') {
+                const point = history[context.dataIndex];
+                return `Predicted: ${formatTime(point.time_sec)} (${formatTime(point.low_sec)}-${formatTime(point.high_sec)})`;
+              }
+              return `${context.dataset.label}: ${formatTime(context.parsed.y)}`;
+            }
+          }
+        }
+      },
+      scales: {
+        y: {
+          ticks: {
+            callback: function(value) {
+              return formatTime(value);
+            }
+          }
+        },
+        x: {
+          grid: {
+            display: false
+          }
+        }
+      }
+    }
+  });
+}
+
 /**
  * Initialize all charts
  * Called when dashboard is loaded or data changes
@@ -234,5 +682,10 @@ function initCharts(profile, sessions) {
 window.Charts = {
   initCharts,
   updateVolumeChart,
-  updateProgressChart
+  updateProgressChart,
+  updateComplianceChart,
+  updateLoadChart,
+  updateSplitChart,
+  updateRaceVolumeChart,
+  updatePredictionChart
 };
@@ -7,6 +7,133 @@
  */
 
 const COACH_API_URL = 'http://localhost:3000/api/coach';
+const COACH_STREAM_URL = `${COACH_API_URL}/stream`;
+const COACH_CHAT_URL = `${COACH_API_URL}/chat`;
+const POLISH_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // Same default as the server cache
+
+// Latest daily quota reported by the server (X-Quota-* headers)
+let quotaStatus = null;
+const quotaListeners = [];
+
+/**
+ * Authorization header for signed-in swimmers
+ * Signed-in requests count against the swimmer's own daily quota instead
+ * of the one shared by everyone on the same IP.
+ */
+async function getAuthHeaders() {
+  if (!window.Auth || !Auth.isSignedIn()) return {};
+
+  try {
+    const token = await Auth.getCurrentUser().getIdToken();
+    return { 'Authorization': `Bearer ${token}` };
+  } catch (error) {
+    console.warn('Could not get auth token, coaching as anonymous:', error);
+    return {};
+  }
+}
+
+/**
+ * Remember the quota headers from a coaching response and notify listeners
+ */
+function recordQuota(response) {
+  const scope = response.headers.get('X-Quota-Scope');
+  if (!scope) return;
+
+  const limit = response.headers.get('X-Quota-Limit');
+  const reset = response.headers.get('X-Quota-Reset');
+
+  quotaStatus = {
+    scope,
+    limit: limit !== null ? parseInt(limit, 10) : null,
+    remaining: limit !== null ? parseInt(response.headers.get('X-Quota-Remaining'), 10) : null,
+    resetAt: reset ? new Date(parseInt(reset, 10) * 1000) : null
+  };
+
+  quotaListeners.forEach(callback => callback(quotaStatus));
+}
+
+/**
+ * Current quota ({ scope, limit, remaining, resetAt }), or null before the
+ * first coaching request
+ */
+function getQuotaStatus() {
+  return quotaStatus;
+}
+
+/**
+ * Subscribe to quota updates
+ */
+function onQuotaChange(callback) {
+  quotaListeners.push(callback);
+}
+
+/**
+ * Look up polish for an identical plan in the local IndexedDB cache
+ * @returns {Promise<Object|null>} Cached polish or null on a miss
+ */
+async function getCachedPolish(cacheKey) {
+  if (!window.DB || !window.DB.getCachedPolish) return null;
+
+  try {
+    const entry = await DB.getCachedPolish(cacheKey);
+    if (!entry) return null;
+
+    if (Date.now() - new Date(entry.cached_at).getTime() > POLISH_CACHE_TTL_MS) {
+      await DB.deleteCachedPolish(cacheKey);
+      return null;
+    }
+
+    return { ...entry.polish, cached: true };
+  } catch (error) {
+    console.warn('Polish cache read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Store polish in the local cache
+ * Fallback polish is never cached so the next attempt can still reach the model
+ */
+async function cachePolish(cacheKey, polish) {
+  if (!window.DB || !window.DB.saveCachedPolish || !polish || polish.is_fallback) return;
+
+  // Plan warnings and the cached marker belong to a single response
+  const { cached, plan_warnings, ...cacheable } = polish;
+
+  try {
+    await DB.saveCachedPolish(cacheKey, cacheable);
+  } catch (error) {
+    console.warn('Polish cache write failed:', error);
+  }
+}
+
+/**
+ * Build the polish request body shared by the plain and streaming endpoints
+ */
+function buildPolishRequestBody(sessionPlan, profile, recentSessions) {
+  return {
+    session_plan: sessionPlan,
+    profile: {
+      eventDate: profile.eventDate,
+      goal: profile.goal,
+      targetTime: profile.targetTime,
+      tone: profile.tone || 'neutral',
+      sessionsPerWeek: profile.sessionsPerWeek,
+      access: profile.access
+    },
+    recent_sessions: recentSessions.slice(0, 5).map(s => ({
+      date: s.date,
+      type: s.type,
+      distance_m: s.distance_m,
+      time_min: s.time_min,
+      planned_duration_min: s.planned_duration_min,
+      rpe: Effort.getSessionRpe(s),
+      notes: s.notes
+    })),
+    phase: sessionPlan.phase,
+    days_to_event: sessionPlan.days_to_event
+  };
+}
 
 /**
  * Request polish from the server
@@ -18,36 +145,25 @@ const COACH_API_URL = 'http://localhost:3000/api/coach';
  * @returns {Promise<Object>} Polish data (why_this, technique_focus, event_prep_tip, flags)
  */
 async function requestPolish(sessionPlan, profile, recentSessions) {
+  // Identical plans get the earlier polish back for free
+  const cacheKey = window.Prompts.buildPolishCacheKey(sessionPlan, profile, recentSessions);
+  const cached = await getCachedPolish(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
   try {
-    const requestBody = {
-      session_plan: sessionPlan,
-      profile: {
-        eventDate: profile.eventDate,
-        goal: profile.goal,
-        targetTime: profile.targetTime,
-        tone: profile.tone || 'neutral',
-        sessionsPerWeek: profile.sessionsPerWeek,
-        access: profile.access
-      },
-      recent_sessions: recentSessions.slice(0, 5).map(s => ({
-        date: s.date,
-        type: s.type,
-        distance_m: s.distance_m,
-        time_min: s.time_min,
-        rpe: s.rpe,
-        notes: s.notes
-      })),
-      phase: sessionPlan.phase,
-      days_to_event: sessionPlan.days_to_event
-    };
+    const requestBody = buildPolishRequestBody(sessionPlan, profile, recentSessions);
 
     const response = await fetch(COACH_API_URL, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(await getAuthHeaders())
       },
       body: JSON.stringify(requestBody)
     });
+    recordQuota(response);
 
     if (!response.ok) {
       const errorText = await response.text();
@@ -56,6 +172,7 @@ async function requestPolish(sessionPlan, profile, recentSessions) {
     }
 
     const data = await response.json();
+    await cachePolish(cacheKey, data);
     return data;
 
   } catch (error) {
@@ -65,6 +182,110 @@ async function requestPolish(sessionPlan, profile, recentSessions) {
   }
 }
 
+/**
+ * Parse one Server-Sent Events frame into { event, data }
+ */
+function parseSseEvent(frame) {
+  let event = 'message';
+  const dataLines = [];
+
+  frame.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  return { event, data: dataLines.length > 0 ? JSON.parse(dataLines.join('\n')) : null };
+}
+
+/**
+ * Request polish as a Server-Sent Events stream
+ * Fields are passed to onUpdate as they arrive so the view can fill in
+ * progressively. If the stream breaks, any field not yet received comes
+ * from generateFallbackPolish.
+ *
+ * @param {Object} sessionPlan - The deterministic session plan from planner.js
+ * @param {Object} profile - User profile
+ * @param {Array} recentSessions - Last 14 days of sessions
+ * @param {Function} onUpdate - (field, value, partial) called per chunk/field
+ * @returns {Promise<Object>} Final polish data
+ */
+async function requestPolishStream(sessionPlan, profile, recentSessions, onUpdate) {
+  const received = {};
+
+  const cacheKey = window.Prompts.buildPolishCacheKey(sessionPlan, profile, recentSessions);
+  const cached = await getCachedPolish(cacheKey);
+  if (cached) {
+    ['why_this', 'technique_focus', 'event_prep_tip', 'flags'].forEach(field => onUpdate(field, cached[field], false));
+    return cached;
+  }
+
+  try {
+    const response = await fetch(COACH_STREAM_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        ...(await getAuthHeaders())
+      },
+      body: JSON.stringify(buildPolishRequestBody(sessionPlan, profile, recentSessions))
+    });
+    recordQuota(response);
+
+    if (!response.ok || !response.body) {
+      const errorText = await response.text();
+      console.error('Coach stream error:', response.status, errorText);
+      throw new Error(`Server error: ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const { event, data } = parseSseEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+
+        if (event === 'chunk') {
+          onUpdate(data.field, data.text, true);
+        } else if (event === 'field') {
+          received[data.field] = data.value;
+          onUpdate(data.field, data.value, false);
+        } else if (event === 'done') {
+          reader.cancel();
+          await cachePolish(cacheKey, data);
+          return data;
+        } else if (event === 'error') {
+          throw new Error(data.error);
+        }
+      }
+    }
+
+    throw new Error('Stream ended before polish was complete');
+
+  } catch (error) {
+    console.error('Polish stream broke, using fallback for missing fields:', error);
+    const fallback = generateFallbackPolish(sessionPlan);
+
+    Object.keys(fallback).forEach(field => {
+      if (field !== 'is_fallback' && !(field in received)) {
+        onUpdate(field, fallback[field], false);
+      }
+    });
+
+    return { ...fallback, ...received, is_fallback: true };
+  }
+}
+
 /**
  * Generate fallback polish when server is unavailable
  * Provides sensible defaults without LLM
@@ -145,26 +366,63 @@ function generateFallbackPolish(sessionPlan) {
 /**
  * Get complete coaching recommendation
  * Combines deterministic plan with LLM polish
+ *
+ * @param {Object} options - Optional streaming callbacks:
+ *   onPlan(recommendation) - the plan is ready (polish still empty)
+ *   onPolish(field, value, partial) - a polish field arrived; enables streaming
+ *   calendar - saved training calendar, so often-skipped templates are avoided
  */
-async function getCoachingRecommendation(profile, sessions) {
-  // Filter to last 14 days
+async function getCoachingRecommendation(profile, sessions, options = {}) {
+  const recentSessions = filterRecentSessions(sessions);
+
+  // Determine preferred type based on user access
+  const preferredType = profile.access?.openWater ? 'open_water' : 'pool';
+
+  // Generate deterministic session plan (full history so older CSS tests still count)
+  const sessionPlan = window.CoachPlanner.generateSessionPlan(profile, recentSessions, preferredType, sessions, options.calendar || null);
+
+  return polishSessionPlan(sessionPlan, profile, recentSessions, options);
+}
+
+/**
+ * Get a CSS test session (400m + 200m time trials) in place of tomorrow's plan
+ * @param {Object} options - Same streaming callbacks as getCoachingRecommendation
+ */
+async function getCssTestRecommendation(profile, sessions, options = {}) {
+  const recentSessions = filterRecentSessions(sessions);
+  const sessionPlan = window.CoachPlanner.generateCssTestPlan(profile, recentSessions, sessions);
+
+  return polishSessionPlan(sessionPlan, profile, recentSessions, options);
+}
+
+/**
+ * Sessions from the last 14 days
+ */
+function filterRecentSessions(sessions) {
   const today = new Date();
   const fourteenDaysAgo = new Date(today);
   fourteenDaysAgo.setDate(fourteenDaysAgo.getDate() - 14);
 
-  const recentSessions = sessions.filter(s => {
+  return sessions.filter(s => {
     const sessionDate = new Date(s.date);
     return sessionDate >= fourteenDaysAgo && sessionDate <= today;
   });
+}
 
-  // Determine preferred type based on user access
-  const preferredType = profile.access?.openWater ? 'open_water' : 'pool';
-
-  // Generate deterministic session plan
-  const sessionPlan = window.CoachPlanner.generateSessionPlan(profile, recentSessions, preferredType);
-
+/**
+ * Add polish to a deterministic plan, streaming it when callbacks are given
+ */
+async function polishSessionPlan(sessionPlan, profile, recentSessions, options) {
   // Request polish from server (or use fallback)
-  const polish = await requestPolish(sessionPlan, profile, recentSessions);
+  let polish;
+  if (options.onPolish) {
+    if (options.onPlan) {
+      options.onPlan({ session_plan: sessionPlan, polish: {}, generated_at: new Date().toISOString() });
+    }
+    polish = await requestPolishStream(sessionPlan, profile, recentSessions, options.onPolish);
+  } else {
+    polish = await requestPolish(sessionPlan, profile, recentSessions);
+  }
 
   // Combine plan with polish
   return {
@@ -198,6 +456,7 @@ async function adaptRecommendation(existingRecommendation, newType, sessions) {
     session_plan: adaptedPlan,
     polish: polish,
     generated_at: new Date().toISOString(),
+    chat_id: getChatId(existingRecommendation),
     adapted_from: existingRecommendation.session_plan.derived_from_template.template_id
   };
 }
@@ -225,10 +484,174 @@ async function scaleRecommendation(existingRecommendation, newDistanceM, profile
     session_plan: scaledPlan,
     polish: polish,
     generated_at: new Date().toISOString(),
+    chat_id: getChatId(existingRecommendation),
     scaled_to: newDistanceM
   };
 }
 
+/**
+ * Fit an existing recommendation into a time budget
+ * @param {Object} existingRecommendation - Current recommendation
+ * @param {number} minutes - Time available
+ * @param {Object} profile - User profile
+ * @param {Array} sessions - All sessions
+ * @returns {Promise<Object>} Scaled recommendation
+ */
+async function scaleRecommendationToDuration(existingRecommendation, minutes, profile, sessions) {
+  const metrics = window.CoachPlanner.calculateRecentMetrics(sessions);
+
+  // Drills are trimmed before the main set
+  const scaledPlan = window.CoachPlanner.scalePlanToDuration(
+    existingRecommendation.session_plan,
+    minutes,
+    metrics
+  );
+
+  scaledPlan.validation = window.CoachPlanner.validatePlan(scaledPlan, profile, metrics);
+
+  const polish = await requestPolish(scaledPlan, profile, sessions.slice(0, 14));
+
+  return {
+    session_plan: scaledPlan,
+    polish: polish,
+    generated_at: new Date().toISOString(),
+    chat_id: getChatId(existingRecommendation),
+    scaled_to_min: minutes
+  };
+}
+
+/**
+ * Conversation id for a recommendation
+ * Adapted and rescaled versions keep the id of the recommendation they came
+ * from, so the conversation follows the session through its changes.
+ */
+function getChatId(recommendation) {
+  return recommendation.chat_id || recommendation.generated_at;
+}
+
+/**
+ * Load the saved conversation for a recommendation
+ * @returns {Promise<Array>} Messages [{ role, content, action_summary, at }]
+ */
+async function getChatHistory(recommendation) {
+  if (!window.DB || !window.DB.getCoachChat) return [];
+
+  try {
+    const chat = await DB.getCoachChat(getChatId(recommendation));
+    return chat ? chat.messages : [];
+  } catch (error) {
+    console.warn('Coach chat read failed:', error);
+    return [];
+  }
+}
+
+/**
+ * Checklist progress belongs to one version of a plan - an adapted or
+ * rescaled plan has different items, so it starts a fresh checklist
+ */
+function getChecklistId(recommendation) {
+  return recommendation.generated_at;
+}
+
+/**
+ * Load the ticked workout items for a recommendation
+ * @returns {Promise<Array>} [{ block, item }]
+ */
+async function getChecklistProgress(recommendation) {
+  if (!window.DB || !window.DB.getChecklist) return [];
+
+  try {
+    const checklist = await DB.getChecklist(getChecklistId(recommendation));
+    return checklist ? checklist.completed : [];
+  } catch (error) {
+    console.warn('Checklist read failed:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the ticked workout items for a recommendation
+ * @param {Array} completed - [{ block, item }] from CoachView.getCompletedItems
+ */
+async function saveChecklistProgress(recommendation, completed) {
+  if (!window.DB || !window.DB.saveChecklist) return;
+
+  try {
+    await DB.saveChecklist(getChecklistId(recommendation), completed);
+  } catch (error) {
+    console.warn('Checklist write failed:', error);
+  }
+}
+
+/**
+ * Ask the coach a follow-up question about a recommendation
+ * If the coach changes the session, the new plan comes from the shared
+ * planner on the server and gets fresh polish here.
+ *
+ * @param {Object} recommendation - The recommendation being discussed
+ * @param {string} message - The swimmer's question
+ * @param {Object} profile - User profile
+ * @param {Array} sessions - All sessions (newest first)
+ * @returns {Promise<Object>} { messages, recommendation } - recommendation is
+ *                            the updated one, or null if the plan didn't change
+ */
+async function sendChatMessage(recommendation, message, profile, sessions) {
+  const chatId = getChatId(recommendation);
+  const history = await getChatHistory(recommendation);
+  const recentSessions = sessions.slice(0, 14);
+
+  const response = await fetch(COACH_CHAT_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(await getAuthHeaders())
+    },
+    body: JSON.stringify({
+      ...buildPolishRequestBody(recommendation.session_plan, profile, recentSessions),
+      history: history.map(({ role, content }) => ({ role, content })),
+      message
+    })
+  });
+  recordQuota(response);
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('Coach chat error:', response.status, errorText);
+    throw new Error(response.status === 429 ? 'Daily coaching limit reached' : `Server error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const now = new Date().toISOString();
+
+  let updatedRecommendation = null;
+  if (data.session_plan) {
+    const polish = await requestPolish(data.session_plan, profile, recentSessions);
+    updatedRecommendation = {
+      session_plan: data.session_plan,
+      polish: polish,
+      generated_at: now,
+      chat_id: chatId
+    };
+  }
+
+  const messages = [
+    ...history,
+    { role: 'user', content: message, at: now },
+    {
+      role: 'assistant',
+      content: data.reply,
+      action_summary: data.action && data.action.applied ? data.action.summary : null,
+      at: now
+    }
+  ];
+
+  if (window.DB && window.DB.saveCoachChat) {
+    await DB.saveCoachChat(chatId, messages);
+  }
+
+  return { messages, recommendation: updatedRecommendation };
+}
+
 /**
  * Format complete recommendation for storage
  * Converts to the legacy format expected by the rest of the app
@@ -270,10 +693,21 @@ function formatForStorage(recommendation) {
 
 // Export for use in other modules
 window.CoachService = {
+  getAuthHeaders,
+  getQuotaStatus,
+  onQuotaChange,
   requestPolish,
+  requestPolishStream,
   generateFallbackPolish,
   getCoachingRecommendation,
+  getCssTestRecommendation,
   adaptRecommendation,
   scaleRecommendation,
+  scaleRecommendationToDuration,
+  getChatId,
+  getChatHistory,
+  sendChatMessage,
+  getChecklistProgress,
+  saveChecklistProgress,
   formatForStorage
 };
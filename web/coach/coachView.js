@@ -9,10 +9,13 @@
  * Render the complete coaching recommendation
  * @param {Object} recommendation - The combined session plan and polish
  * @param {HTMLElement} container - Container element for the display
+ * @param {Object} options - { streaming: true } renders placeholders for polish
+ *                           fields that updatePolishField fills in later
  */
-function renderCoachingRecommendation(recommendation, container) {
+function renderCoachingRecommendation(recommendation, container, options = {}) {
   const { session_plan, polish } = recommendation;
   const session = session_plan.session;
+  const streaming = !!options.streaming;
 
   // Clear container
   container.innerHTML = '';
@@ -37,15 +40,12 @@ function renderCoachingRecommendation(recommendation, container) {
     }
 
     // Technique focus
-    if (polish.technique_focus && polish.technique_focus.length > 0) {
-      html += renderTechniqueFocus(polish.technique_focus);
-    }
+    html += renderPolishSlot('technique_focus', polish.technique_focus);
   }
+  html += '</div>'; // Close coach-recommendation div
 
   // Why this session
-  if (polish.why_this) {
-    html += renderWhyThis(polish.why_this);
-  }
+  html += renderPolishSlot('why_this', polish.why_this, streaming);
 
   // Validation warnings
   if (session_plan.validation && session_plan.validation.warnings.length > 0) {
@@ -53,14 +53,10 @@ function renderCoachingRecommendation(recommendation, container) {
   }
 
   // Flags/warnings
-  if (polish.flags && polish.flags.length > 0) {
-    html += renderFlags(polish.flags);
-  }
+  html += renderPolishSlot('flags', polish.flags);
 
   // Event prep tip
-  if (polish.event_prep_tip) {
-    html += renderEventPrepTip(polish.event_prep_tip);
-  }
+  html += renderPolishSlot('event_prep_tip', polish.event_prep_tip);
 
   // Safety note
   if (session.safety_note) {
@@ -70,6 +66,47 @@ function renderCoachingRecommendation(recommendation, container) {
   container.innerHTML = html;
 }
 
+/**
+ * Render the markup for one polish field (empty string if there's nothing to show)
+ */
+function renderPolishField(field, value, pending = false) {
+  switch (field) {
+    case 'technique_focus':
+      return value && value.length > 0 ? renderTechniqueFocus(value) : '';
+    case 'why_this':
+      if (value) return renderWhyThis(value);
+      return pending ? renderWhyThis('Your coach is writing...', true) : '';
+    case 'flags':
+      return value && value.length > 0 ? renderFlags(value) : '';
+    case 'event_prep_tip':
+      return value ? renderEventPrepTip(value) : '';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Wrap a polish field in a slot so it can be replaced while streaming
+ */
+function renderPolishSlot(field, value, pending = false) {
+  return `<div class="coach-polish-slot" data-polish-field="${field}">${renderPolishField(field, value, pending)}</div>`;
+}
+
+/**
+ * Fill in (or replace) one polish field of a rendered recommendation
+ * @param {HTMLElement} container - Container passed to renderCoachingRecommendation
+ * @param {string} field - why_this | technique_focus | event_prep_tip | flags
+ * @param {*} value - Field value (partial why_this text while streaming)
+ * @param {boolean} partial - True while the field is still being written
+ */
+function updatePolishField(container, field, value, partial = false) {
+  const slot = container.querySelector(`[data-polish-field="${field}"]`);
+  if (!slot) return;
+
+  slot.innerHTML = renderPolishField(field, value);
+  slot.classList.toggle('streaming', partial);
+}
+
 /**
  * Render session header with type badge and summary
  */
@@ -159,11 +196,19 @@ function renderStructure(structure) {
     block.items.forEach((item, itemIndex) => {
       const itemId = `workout-item-${blockIndex}-${itemIndex}`;
       const distanceNote = item.distance_m ? `<span class="item-distance">${item.distance_m}m</span>` : '';
+      const paceNote = item.target_pace
+        ? `<span class="item-pace ${item.target_pace.zone}" title="${item.target_pace.zone} pace from your CSS test">${formatPaceRange(item.target_pace)}/100m</span>`
+        : '';
+      // Highlight the send-off so it reads like a pace clock
+      const text = item.sendoff_sec
+        ? item.text.replace(/@\s*\d+:\d{2}/, match => `<span class="item-sendoff" title="Start each rep on this interval">${match}</span>`)
+        : item.text;
 
       html += `
         <label class="workout-item" for="${itemId}">
           <input type="checkbox" class="workout-checkbox" id="${itemId}" data-block="${blockIndex}" data-item="${itemIndex}">
-          <span class="workout-text">${item.text}</span>
+          <span class="workout-text">${text}</span>
+          ${paceNote}
           ${distanceNote}
         </label>
       `;
@@ -179,6 +224,13 @@ function renderStructure(structure) {
   return html;
 }
 
+/**
+ * Format a { min_sec, max_sec } pace range as "m:ss-m:ss"
+ */
+function formatPaceRange(range) {
+  return `${window.CoachPlanner.formatClockTime(range.min_sec)}-${window.CoachPlanner.formatClockTime(range.max_sec)}`;
+}
+
 /**
  * Render open water specific addons
  */
@@ -204,16 +256,15 @@ function renderTechniqueFocus(techniques) {
     <div class="coach-technique">
       ${techniques.map(t => `<span class="coach-technique-tag">${t}</span>`).join('')}
     </div>
-    </div>
-  `;  // Close coach-recommendation div
+  `;
 }
 
 /**
  * Render "Why This Session" explanation
  */
-function renderWhyThis(whyThis) {
+function renderWhyThis(whyThis, pending = false) {
   return `
-    <div class="coach-why">
+    <div class="coach-why${pending ? ' pending' : ''}">
       <h4>Why This Session?</h4>
       <p>${whyThis}</p>
     </div>
@@ -298,7 +349,16 @@ function formatAsText(recommendation) {
 
   // Details
   if (session.type !== 'rest') {
-    text += `Duration: ${session.estimated_duration_min} minutes\n`;
+    const breakdown = session.duration_breakdown;
+    const blockMin = breakdown && breakdown.block_min.length === session.structure.length
+      ? breakdown.block_min
+      : null;
+
+    text += `Duration: ${session.estimated_duration_min} minutes`;
+    if (breakdown) {
+      text += ` (incl. ~${breakdown.rest_min} min rest)`;
+    }
+    text += '\n';
     if (session.total_distance_m) {
       text += `Distance: ${session.total_distance_m}m\n`;
     }
@@ -306,11 +366,12 @@ function formatAsText(recommendation) {
 
     // Structure
     text += `WORKOUT STRUCTURE:\n`;
-    session.structure.forEach(block => {
-      text += `\n${block.label.toUpperCase()}:\n`;
+    session.structure.forEach((block, index) => {
+      text += `\n${block.label.toUpperCase()}${blockMin ? ` (~${blockMin[index]} MIN)` : ''}:\n`;
       block.items.forEach(item => {
         text += `  - ${item.text}`;
         if (item.distance_m) text += ` (${item.distance_m}m)`;
+        if (item.target_pace) text += ` [${item.target_pace.zone} ${formatPaceRange(item.target_pace)}/100m]`;
         text += '\n';
       });
     });
@@ -374,6 +435,17 @@ function getCompletedItems() {
   return completed;
 }
 
+/**
+ * Tick the given workout items (restoring saved progress)
+ * @param {Array} completed - [{ block, item }]
+ */
+function setCompletedItems(completed) {
+  completed.forEach(({ block, item }) => {
+    const checkbox = document.querySelector(`.workout-checkbox[data-block="${block}"][data-item="${item}"]`);
+    if (checkbox) checkbox.checked = true;
+  });
+}
+
 /**
  * Calculate completion percentage
  */
@@ -385,10 +457,166 @@ function getCompletionPercentage() {
   return Math.round((completed / total) * 100);
 }
 
+/**
+ * Render the multi-week training calendar
+ * @param {Object} calendar - Calendar from CoachPlanner.generateTrainingCalendar
+ * @param {HTMLElement} container - Container element for the display
+ */
+function renderTrainingCalendar(calendar, container) {
+  if (!calendar || calendar.weeks.length === 0) {
+    container.innerHTML = '<p class="text-muted">No training plan yet.</p>';
+    return;
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+  const statusLabels = {
+    planned: 'Planned',
+    completed: 'Done',
+    missed: 'Missed'
+  };
+  const seasonRoleLabels = {
+    mini_taper: 'Mini-taper',
+    recovery: 'Race recovery'
+  };
+  const seasonRaces = (calendar.season || []).filter(race => !race.key && race.date >= today);
+
+  let html = `
+    <div class="plan-summary">
+      <span>${calendar.weeks.length} weeks to <strong>${calendar.event_name}</strong></span>
+      <span class="text-muted">Starting volume: ${(calendar.baseline_volume_m / 1000).toFixed(1)}km/week</span>
+      ${calendar.long_swim_target_m ? `<span class="text-muted">Long swims build to ${(calendar.long_swim_target_m / 1000).toFixed(1)}km</span>` : ''}
+      ${seasonRaces.length > 0 ? `<span class="text-muted">Racing on the way: ${seasonRaces.map(race => `${race.name} (${race.priority})`).join(', ')}</span>` : ''}
+    </div>
+  `;
+
+  calendar.weeks.forEach(week => {
+    const isCurrent = week.days.some(d => d.date >= today) && week.week_start <= today;
+
+    html += `
+      <div class="plan-week ${isCurrent ? 'current' : ''}">
+        <div class="plan-week-header">
+          <span class="plan-week-title">Week ${week.index + 1}</span>
+          <span class="phase-badge ${week.phase.toLowerCase()}">${week.phase}</span>
+          ${week.recovery_week ? '<span class="plan-week-tag">Recovery week</span>' : ''}
+          <span class="plan-week-volume">
+            ${(week.completed_volume_m / 1000).toFixed(1)} / ${(week.target_volume_m / 1000).toFixed(1)}km
+          </span>
+        </div>
+        <div class="plan-days">
+          ${week.days.map(day => `
+            <div class="plan-day ${day.slot} ${day.slot === 'event' ? 'event' : day.status}">
+              <span class="plan-day-date">${day.day} ${new Date(day.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })}</span>
+              <span class="plan-day-name">
+                ${day.template_name}
+                ${day.season_role ? `<span class="plan-day-tag">${seasonRoleLabels[day.season_role]}</span>` : ''}
+              </span>
+              <span class="plan-day-distance">${day.target_distance_m}m</span>
+              ${day.slot === 'event'
+                ? `<span class="plan-day-status event">${day.priority ? `${day.priority} race` : 'Event'}</span>`
+                : `<span class="plan-day-status ${day.status}">${statusLabels[day.status]}</span>`}
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  });
+
+  container.innerHTML = html;
+}
+
+/**
+ * Render the swimmer's pace zones from their latest CSS test
+ * @param {Object|null} paceZones - From CoachPlanner.findLatestCssTest
+ * @param {HTMLElement} container - Container element for the display
+ */
+function renderPaceZones(paceZones, container) {
+  if (!paceZones) {
+    container.innerHTML = `
+      <p class="text-muted">
+        No recent CSS test. Take one to get target paces on your main sets.
+      </p>
+    `;
+    return;
+  }
+
+  const formatClockTime = window.CoachPlanner.formatClockTime;
+  const testedOn = new Date(paceZones.tested_on).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+  container.innerHTML = `
+    <div class="pace-zones-header">
+      <span>CSS <strong>${formatClockTime(paceZones.css_per_100_sec)}/100m</strong></span>
+      <span class="text-muted">Tested ${testedOn}</span>
+    </div>
+    <div class="pace-zones-list">
+      ${Object.keys(paceZones.zones).map(zone => `
+        <div class="pace-zone ${zone}">
+          <span class="pace-zone-name">${zone}</span>
+          <span class="pace-zone-range">${formatPaceRange(paceZones.zones[zone])}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Escape text for safe insertion as HTML (chat messages are free text)
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
+/**
+ * Render the follow-up chat conversation
+ * @param {Array} messages - [{ role, content, action_summary }]
+ * @param {HTMLElement} container - Container element for the messages
+ * @param {Object} options - { pending: question awaiting a reply, error }
+ */
+function renderCoachChat(messages, container, options = {}) {
+  let html = '';
+
+  if (messages.length === 0 && !options.pending) {
+    html += `
+      <p class="coach-chat-empty text-muted">
+        Ask about this session - "Can I do this in 40 minutes?", "Why no kick set?"
+      </p>
+    `;
+  }
+
+  messages.forEach(message => {
+    html += `
+      <div class="coach-chat-message ${message.role}">
+        <p>${escapeHtml(message.content)}</p>
+        ${message.action_summary ? `<span class="coach-chat-action">Plan updated: ${escapeHtml(message.action_summary)}</span>` : ''}
+      </div>
+    `;
+  });
+
+  if (options.pending) {
+    html += `
+      <div class="coach-chat-message user"><p>${escapeHtml(options.pending)}</p></div>
+      <div class="coach-chat-message assistant pending"><p>Coach is typing...</p></div>
+    `;
+  }
+
+  if (options.error) {
+    html += `<p class="coach-chat-error">${escapeHtml(options.error)}</p>`;
+  }
+
+  container.innerHTML = html;
+  container.scrollTop = container.scrollHeight;
+}
+
 // Export for use in other modules
 window.CoachView = {
   renderCoachingRecommendation,
+  updatePolishField,
   formatAsText,
   getCompletedItems,
-  getCompletionPercentage
+  setCompletedItems,
+  getCompletionPercentage,
+  renderTrainingCalendar,
+  renderPaceZones,
+  renderCoachChat
 };
@@ -0,0 +1,267 @@
+/**
+ * Let's Keep Swimming - Finish-Time Predictor
+ *
+ * Predicts an event finish time, with a confidence band, from:
+ * - The latest CSS test (threshold pace plus the event class's race offset)
+ * - Recent swim paces, pool and open water
+ * - The swimmer's own open water vs pool pace difference (a default until
+ *   they have logged both)
+ * - The longest recent swims: a swimmer who hasn't swum close to the
+ *   distance is predicted to fade, and the band widens
+ *
+ * The prediction for any date only uses sessions logged up to that date, so
+ * the history re-plays how the prediction moved as training went on.
+ */
+
+// UMD: attaches to window.FinishPredictor in the browser, module.exports under Node
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./planner.js'));
+  } else {
+    root.FinishPredictor = factory(root.CoachPlanner);
+  }
+})(typeof self !== 'undefined' ? self : this, function (CoachPlanner) {
+'use strict';
+
+const PACE_WINDOW_DAYS = 42; // Paces older than six weeks say little about today
+const LONG_SWIM_WINDOW_DAYS = 56;
+const LONG_SWIM_COUNT = 3;
+
+// Logged pool times include rest between reps (as in the planner's duration
+// model); open water swims are taken as continuous
+const POOL_REST_OVERHEAD = 1.1;
+
+// Race pace from training: average steady pace is a little slower than what
+// the swimmer holds on race day, and long swims slower still
+const RECENT_TO_RACE_PACE = 0.97;
+const LONG_SWIM_TO_RACE_PACE = 0.95;
+
+// Open water pace relative to pool pace: a default until both are logged,
+// and the range a measured difference is held to
+const DEFAULT_OPEN_WATER_FACTOR = 1.03;
+const OPEN_WATER_FACTOR_RANGE = [0.95, 1.15];
+
+// Up to this much slower at race pace with no long swims behind you
+const MAX_ENDURANCE_FADE_PCT = 8;
+
+// Confidence band half-width: a base, plus a widening for each missing signal
+const BAND_BASE_PCT = 3;
+const BAND_NO_CSS_PCT = 3;
+const BAND_DEFAULT_OPEN_WATER_PCT = 2;
+const BAND_FEW_SWIMS_PCT = 3;
+const BAND_NO_LONG_SWIM_PCT = 6;
+const BAND_SPREAD_SHARE = 0.25; // Of the gap between the fastest and slowest estimate
+const BAND_MAX_PCT = 20;
+const FEW_SWIMS = 4;
+
+// Band half-width at or under each level
+const CONFIDENCE_LEVELS = [
+  { level: 'high', max_pct: 6 },
+  { level: 'medium', max_pct: 11 },
+  { level: 'low', max_pct: Infinity }
+];
+
+const HISTORY_DAYS = 90;
+
+function toDateStr(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateStr(date);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Steady swim pace per 100m for a logged session, rest taken out of pool times
+ */
+function steadyPace(session) {
+  const allIn = session.time_min * 60 / (session.distance_m / 100);
+  return session.type === 'open_water' ? allIn : allIn / POOL_REST_OVERHEAD;
+}
+
+/**
+ * Open water pace as a multiple of pool pace, from the swimmer's own swims
+ * @returns {Object} { factor, measured }
+ */
+function openWaterFactor(timedSwims) {
+  const pool = timedSwims.filter(s => s.type !== 'open_water').map(steadyPace);
+  const openWater = timedSwims.filter(s => s.type === 'open_water').map(steadyPace);
+  if (pool.length === 0 || openWater.length === 0) {
+    return { factor: DEFAULT_OPEN_WATER_FACTOR, measured: false };
+  }
+
+  const [minFactor, maxFactor] = OPEN_WATER_FACTOR_RANGE;
+  return {
+    factor: Math.min(Math.max(median(openWater) / median(pool), minFactor), maxFactor),
+    measured: true
+  };
+}
+
+/**
+ * Race pace in open water for a session's steady pace
+ */
+function toOpenWater(session, pace, owFactor) {
+  return session.type === 'open_water' ? pace : pace * owFactor;
+}
+
+/**
+ * Predict the finish time for an event
+ *
+ * @param {Object} event - { distance }
+ * @param {Array} sessions - Logged sessions; only those up to asOf are used
+ * @param {Date|string} [asOf] - Date the prediction is made on
+ * @returns {Object|null} { time_sec, low_sec, high_sec, band_pct, confidence,
+ *   pace_per_100_sec, source, factors, notes, note } - source is 'css' |
+ *   'recent_pace'; null with no CSS test or timed swims to go on
+ */
+function predictFinishTime(event, sessions, asOf = new Date()) {
+  const today = toDateStr(asOf);
+  const eventProfile = CoachPlanner.getEventProfile(event.distance);
+  const history = (sessions || []).filter(s => s.date <= today);
+
+  const timedSwims = history.filter(s =>
+    s.distance_m > 0 && s.time_min > 0 && !s.css_test && s.date >= addDays(today, -PACE_WINDOW_DAYS));
+  const cssTest = CoachPlanner.findLatestCssTest(history, `${today}T00:00:00Z`);
+  if (!cssTest && timedSwims.length === 0) {
+    return null;
+  }
+
+  const ow = openWaterFactor(timedSwims);
+  const estimates = [];
+
+  if (cssTest) {
+    // CSS is tested in the pool
+    estimates.push({ source: 'css', pace: (cssTest.css_per_100_sec + eventProfile.race_pace_offset_sec) * ow.factor, weight: 3 });
+  }
+
+  if (timedSwims.length > 0) {
+    const recent = median(timedSwims.map(s => toOpenWater(s, steadyPace(s), ow.factor)));
+    estimates.push({ source: 'recent_pace', pace: recent * RECENT_TO_RACE_PACE, weight: Math.min(timedSwims.length, 6) / 3 });
+
+    const longest = [...timedSwims]
+      .sort((a, b) => b.distance_m - a.distance_m)
+      .slice(0, LONG_SWIM_COUNT);
+    const longPace = median(longest.map(s => toOpenWater(s, steadyPace(s), ow.factor)));
+    estimates.push({ source: 'long_swims', pace: longPace * LONG_SWIM_TO_RACE_PACE, weight: 1 });
+  }
+
+  const totalWeight = estimates.reduce((sum, e) => sum + e.weight, 0);
+  const blended = estimates.reduce((sum, e) => sum + e.pace * e.weight, 0) / totalWeight;
+
+  // Endurance: the longest recent swim against the race distance, or the
+  // long-swim target for races longer than anyone swims in training
+  const longestSwim = Math.max(0, ...history
+    .filter(s => s.date >= addDays(today, -LONG_SWIM_WINDOW_DAYS))
+    .map(s => s.distance_m || 0));
+  const longSwimTarget = Math.min(eventProfile.long_swim_target_m, eventProfile.distance_m);
+  const readiness = Math.min(longestSwim / longSwimTarget, 1);
+  const fadePct = Math.round(MAX_ENDURANCE_FADE_PCT * (1 - readiness) * 10) / 10;
+  const pace = blended * (1 + fadePct / 100);
+  const timeSec = Math.round(pace * eventProfile.distance_m / 100);
+
+  // Band: missing signals and disagreement between the estimates widen it
+  const paces = estimates.map(e => e.pace);
+  const spreadPct = (Math.max(...paces) - Math.min(...paces)) / blended * 100 * BAND_SPREAD_SHARE;
+  const bandPct = Math.round(Math.min(
+    BAND_BASE_PCT +
+    (cssTest ? 0 : BAND_NO_CSS_PCT) +
+    (ow.measured ? 0 : BAND_DEFAULT_OPEN_WATER_PCT) +
+    (timedSwims.length < FEW_SWIMS ? BAND_FEW_SWIMS_PCT : 0) +
+    BAND_NO_LONG_SWIM_PCT * (1 - readiness) +
+    spreadPct,
+    BAND_MAX_PCT
+  ) * 10) / 10;
+
+  const notes = [];
+  notes.push(cssTest
+    ? `CSS ${CoachPlanner.formatClockTime(cssTest.css_per_100_sec)}/100m (tested ${cssTest.tested_on})`
+    : 'No CSS test in the last 12 weeks - a test narrows the range');
+  if (timedSwims.length > 0) {
+    notes.push(`${timedSwims.length} timed swim${timedSwims.length === 1 ? '' : 's'} in the last ${PACE_WINDOW_DAYS / 7} weeks`);
+  }
+  notes.push(ow.measured
+    ? `Open water runs ${Math.abs(Math.round((ow.factor - 1) * 100))}% ${ow.factor >= 1 ? 'slower' : 'faster'} than pool for you`
+    : 'Log a timed open water swim to measure your open water pace');
+  notes.push(fadePct > 0
+    ? `Longest recent swim ${longestSwim}m of the ${longSwimTarget}m to build to - allowing ${fadePct}% for fading`
+    : `Longest recent swim ${longestSwim}m - long enough for the distance`);
+
+  return {
+    time_sec: timeSec,
+    low_sec: Math.round(timeSec * (1 - bandPct / 100)),
+    high_sec: Math.round(timeSec * (1 + bandPct / 100)),
+    band_pct: bandPct,
+    confidence: CONFIDENCE_LEVELS.find(c => bandPct <= c.max_pct).level,
+    pace_per_100_sec: Math.round(pace),
+    source: cssTest ? 'css' : 'recent_pace',
+    factors: {
+      css_per_100_sec: cssTest ? cssTest.css_per_100_sec : null,
+      css_tested_on: cssTest ? cssTest.tested_on : null,
+      timed_swims: timedSwims.length,
+      open_water_factor: Math.round(ow.factor * 1000) / 1000,
+      open_water_measured: ow.measured,
+      longest_swim_m: longestSwim,
+      fade_pct: fadePct
+    },
+    notes,
+    note: cssTest
+      ? `Predicted from your CSS of ${CoachPlanner.formatClockTime(cssTest.css_per_100_sec)}/100m and recent swims`
+      : 'Predicted from your recent logged swims - a CSS test or target time will sharpen this'
+  };
+}
+
+/**
+ * How the prediction has moved: one point per day a session was logged
+ *
+ * @param {Object} event - { distance, date }
+ * @param {Array} sessions - All logged sessions
+ * @param {Date|string} [asOf] - Last day to predict for (capped at the event date)
+ * @returns {Array} [{ date, time_sec, low_sec, high_sec }], oldest first
+ */
+function buildPredictionHistory(event, sessions, asOf = new Date()) {
+  const lastDay = event.date && event.date < toDateStr(asOf) ? event.date : toDateStr(asOf);
+  const from = addDays(lastDay, -HISTORY_DAYS);
+  const dates = [...new Set((sessions || []).map(s => s.date))]
+    .filter(date => date >= from && date <= lastDay)
+    .sort();
+
+  return dates
+    .map(date => {
+      const prediction = predictFinishTime(event, sessions, `${date}T00:00:00Z`);
+      return prediction && {
+        date,
+        time_sec: prediction.time_sec,
+        low_sec: prediction.low_sec,
+        high_sec: prediction.high_sec
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Where the prediction stands against a target time
+ * @returns {string|null} 'on_target' (predicted at or under), 'within_reach'
+ *   (target inside the band) or 'behind'; null without a target
+ */
+function assessTarget(prediction, targetSec) {
+  if (!prediction || !targetSec) return null;
+  if (prediction.time_sec <= targetSec) return 'on_target';
+  if (prediction.low_sec <= targetSec) return 'within_reach';
+  return 'behind';
+}
+
+// Export for use in other modules
+return {
+  predictFinishTime,
+  buildPredictionHistory,
+  assessTarget
+};
+});
@@ -10,28 +10,115 @@
  * - Validation
  */
 
-// Fatigue/pain keywords to detect in session notes
-const FATIGUE_KEYWORDS = [
-  'tired', 'fatigue', 'fatigued', 'exhausted', 'sore', 'pain', 'painful',
-  'hurt', 'injury', 'injured', 'sick', 'illness', 'ill', 'unwell',
-  'struggled', 'heavy', 'sluggish', 'weak', 'drained', 'burned out',
-  'stiff', 'ache', 'aching', 'cramp', 'cramping'
+// UMD: attaches to window.CoachPlanner in the browser, module.exports under Node
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./templates.js'), require('../effort.js'));
+  } else {
+    root.CoachPlanner = factory(root.CoachTemplates, root.Effort);
+  }
+})(typeof self !== 'undefined' ? self : this, function (CoachTemplates, Effort) {
+'use strict';
+
+// Pain/illness keywords to detect in session notes. Ordinary tiredness is
+// left to the training load model; these are safety signals it can't see.
+const PAIN_ILLNESS_KEYWORDS = [
+  'pain', 'painful', 'hurt', 'injury', 'injured', 'sick', 'illness', 'ill',
+  'unwell', 'fever', 'dizzy', 'exhausted'
+];
+
+// ============================================================================
+// EVENT DISTANCE
+// Phase lengths, taper depth, long-swim targets and template eligibility
+// scale with the race distance. The 'mile' class keeps the thresholds the
+// planner was first tuned with for the Midmar Mile.
+// ============================================================================
+
+const DEFAULT_EVENT_DISTANCE_M = 1609;
+
+// taper_days / sharpen_days: phase starts, counted back from race day
+// volume: share of the build volume planned in each phase
+// long_swim_factor: longest planned swim as a multiple of the race distance
+// long_weight: share of the week's volume the long swim gets (see SLOT_WEIGHTS)
+// race_pace_offset_sec: race pace per 100m relative to CSS
+// split_every_m: race plan segment length (see RacePlanner)
+const EVENT_CLASSES = [
+  {
+    id: 'short', max_distance_m: 1200,
+    taper_days: 3, sharpen_days: 7,
+    volume: { BUILD: 1.0, SHARPEN: 0.85, TAPER: 0.6 },
+    long_swim_factor: 2.5, long_weight: 1.2,
+    race_pace_offset_sec: 0, split_every_m: 250
+  },
+  {
+    id: 'mile', max_distance_m: 2500,
+    taper_days: 3, sharpen_days: 10,
+    volume: { BUILD: 1.0, SHARPEN: 0.85, TAPER: 0.6 },
+    long_swim_factor: 2.0, long_weight: 1.4,
+    race_pace_offset_sec: 2, split_every_m: 400
+  },
+  {
+    id: 'middle', max_distance_m: 5000,
+    taper_days: 7, sharpen_days: 14,
+    volume: { BUILD: 1.0, SHARPEN: 0.85, TAPER: 0.55 },
+    long_swim_factor: 1.0, long_weight: 1.6,
+    race_pace_offset_sec: 4, split_every_m: 1000
+  },
+  {
+    id: 'long', max_distance_m: 10000,
+    taper_days: 10, sharpen_days: 21,
+    volume: { BUILD: 1.0, SHARPEN: 0.9, TAPER: 0.5 },
+    long_swim_factor: 0.7, long_weight: 1.8,
+    race_pace_offset_sec: 7, split_every_m: 2000
+  },
+  {
+    id: 'marathon', max_distance_m: Infinity,
+    taper_days: 14, sharpen_days: 28,
+    volume: { BUILD: 1.0, SHARPEN: 0.9, TAPER: 0.45 },
+    long_swim_factor: 0.5, long_weight: 2.0,
+    race_pace_offset_sec: 10, split_every_m: 5000
+  }
 ];
 
+/**
+ * Planning profile for a race distance
+ * @param {number} [distanceM] - Event distance in metres (Midmar Mile if unknown)
+ * @returns {Object} The event class plus distance_m and long_swim_target_m
+ */
+function getEventProfile(distanceM) {
+  const distance = distanceM > 0 ? distanceM : DEFAULT_EVENT_DISTANCE_M;
+  const eventClass = EVENT_CLASSES.find(c => distance <= c.max_distance_m);
+
+  return {
+    ...eventClass,
+    distance_m: distance,
+    long_swim_target_m: Math.round(distance * eventClass.long_swim_factor / 100) * 100
+  };
+}
+
+/**
+ * Templates marked with event_classes only suit those race distances
+ */
+function isTemplateForEvent(template, eventProfile) {
+  return !template.event_classes || template.event_classes.includes(eventProfile.id);
+}
+
 /**
  * Determine training phase based on days until event
  * @param {string} eventDate - ISO date string
  * @param {string} today - ISO date string
+ * @param {number} [eventDistanceM] - Longer races taper and sharpen earlier
  * @returns {string} 'BUILD' | 'SHARPEN' | 'TAPER'
  */
-function determinePhase(eventDate, today) {
+function determinePhase(eventDate, today, eventDistanceM = DEFAULT_EVENT_DISTANCE_M) {
   const event = new Date(eventDate);
   const now = new Date(today);
   const daysToEvent = Math.ceil((event - now) / (1000 * 60 * 60 * 24));
+  const eventProfile = getEventProfile(eventDistanceM);
 
-  if (daysToEvent <= 3) {
+  if (daysToEvent <= eventProfile.taper_days) {
     return 'TAPER';
-  } else if (daysToEvent <= 10) {
+  } else if (daysToEvent <= eventProfile.sharpen_days) {
     return 'SHARPEN';
   } else {
     return 'BUILD';
@@ -48,11 +135,13 @@ function getDaysToEvent(eventDate, today) {
 }
 
 /**
- * Assess training readiness from recent sessions
+ * Assess training readiness from the training load model and recent sessions
  * @param {Array} recentSessions - Sessions from last 14 days
+ * @param {Object} trainingLoad - From calculateTrainingLoad (computed from
+ *                                recentSessions if not given)
  * @returns {Object} { status: 'READY'|'FATIGUED'|'NEEDS_REST', reasons: [] }
  */
-function assessReadiness(recentSessions) {
+function assessReadiness(recentSessions, trainingLoad = calculateTrainingLoad(recentSessions)) {
   const reasons = [];
   let status = 'READY';
 
@@ -64,55 +153,151 @@ function assessReadiness(recentSessions) {
   const sorted = [...recentSessions].sort((a, b) => new Date(b.date) - new Date(a.date));
   const lastSession = sorted[0];
 
-  // Check if last session had high RPE (>= 8)
-  if (lastSession && lastSession.rpe >= 8) {
-    reasons.push(`Last session RPE was ${lastSession.rpe}/10 (high)`);
-    status = 'FATIGUED';
-  }
-
-  // Check for fatigue keywords in notes
-  if (lastSession && lastSession.notes) {
-    const notesLower = lastSession.notes.toLowerCase();
-    const foundKeywords = FATIGUE_KEYWORDS.filter(kw => notesLower.includes(kw));
-    if (foundKeywords.length > 0) {
-      reasons.push(`Notes mention: ${foundKeywords.join(', ')}`);
+  // Acute:chronic workload ratio - only meaningful with a few weeks of history
+  if (trainingLoad.established && trainingLoad.acwr !== null) {
+    if (trainingLoad.zone === 'high') {
+      reasons.push(`This week's load is ${trainingLoad.acwr}x your 4-week average (high)`);
       status = 'NEEDS_REST';
+    } else if (trainingLoad.zone === 'elevated') {
+      reasons.push(`This week's load is ${trainingLoad.acwr}x your 4-week average (elevated)`);
+      status = 'FATIGUED';
     }
   }
 
-  // Check for consecutive hard days
-  const last3Days = getSessionsInLastNDays(sorted, 3);
-  const hardSessionsIn3Days = last3Days.filter(s => s.rpe >= 7).length;
-  if (hardSessionsIn3Days >= 2) {
-    reasons.push(`${hardSessionsIn3Days} hard sessions in last 3 days`);
+  // Hard every day with no easy days in between
+  if (trainingLoad.monotony !== null && trainingLoad.monotony > MONOTONY_LIMIT && trainingLoad.strain > STRAIN_LIMIT) {
+    reasons.push(`Little variation in daily load this week (monotony ${trainingLoad.monotony}, strain ${trainingLoad.strain})`);
     if (status === 'READY') status = 'FATIGUED';
   }
 
-  // Check for too many hard sessions in 7 days
-  const last7Days = getSessionsInLastNDays(sorted, 7);
-  const hardSessionsIn7Days = last7Days.filter(s => s.rpe >= 7).length;
-  if (hardSessionsIn7Days > 2) {
-    reasons.push(`${hardSessionsIn7Days} hard sessions in last 7 days (max recommended: 2)`);
+  // Check whether the main set held together (needs logged splits)
+  const mainSet = lastSession ? assessMainSet(lastSession.splits) : null;
+  if (mainSet && mainSet.drift_pct >= MAIN_SET_FATIGUE_DRIFT_PCT) {
+    reasons.push(`Main set faded ${mainSet.drift_pct}% last session (${mainSet.reps}x${mainSet.rep_distance_m}m)`);
     if (status === 'READY') status = 'FATIGUED';
   }
 
+  // Pain or illness in notes always means rest
+  if (lastSession && lastSession.notes) {
+    const notesLower = lastSession.notes.toLowerCase();
+    const foundKeywords = PAIN_ILLNESS_KEYWORDS.filter(kw => new RegExp(`\\b${kw}\\b`).test(notesLower));
+    if (foundKeywords.length > 0) {
+      reasons.push(`Notes mention: ${foundKeywords.join(', ')}`);
+      status = 'NEEDS_REST';
+    }
+  }
+
   // Check if trained yesterday with high intensity
   const yesterday = new Date();
   yesterday.setDate(yesterday.getDate() - 1);
   const yesterdayStr = yesterday.toISOString().split('T')[0];
   const yesterdaySession = sorted.find(s => s.date === yesterdayStr);
-  if (yesterdaySession && yesterdaySession.rpe >= 7) {
+  if (yesterdaySession && Effort.getSessionEffort(yesterdaySession) === 'hard') {
     reasons.push('Hard session yesterday');
     if (status === 'READY') status = 'FATIGUED';
   }
 
   if (reasons.length === 0) {
-    reasons.push('Training load looks balanced');
+    reasons.push(trainingLoad.established && trainingLoad.zone === 'low'
+      ? 'Training load is below your usual - room to build'
+      : 'Training load looks balanced');
   }
 
   return { status, reasons };
 }
 
+// ============================================================================
+// TRAINING LOAD
+// Session-RPE load: minutes x RPE (1-10) in arbitrary units. Acute load is
+// the last 7 days, chronic load the 28-day weekly average; their ratio (ACWR)
+// flags sudden jumps. Monotony (daily mean / standard deviation over 7 days)
+// and strain (weekly load x monotony) catch hard-every-day weeks.
+// ============================================================================
+
+const INTENSITY_RPE = { easy: 3, moderate: 5, hard: 7 }; // Planned sessions, before they're swum
+const ACUTE_DAYS = 7;
+const CHRONIC_DAYS = 28;
+const LOAD_ESTABLISHED_DAYS = 21; // Chronic load means little before three weeks of logs
+const ACWR_ZONES = [
+  { id: 'low', below: 0.8 },
+  { id: 'optimal', below: 1.3 },
+  { id: 'elevated', below: 1.5 },
+  { id: 'high', below: Infinity }
+];
+const MONOTONY_LIMIT = 2.0;
+const STRAIN_LIMIT = 3000;
+const PLAN_ACWR_LIMIT = 1.5; // validatePlan: adding this session shouldn't push past
+
+/**
+ * Session-RPE load of one session (minutes x RPE)
+ */
+function calculateSessionLoad(session) {
+  return (session.time_min || 0) * Effort.getSessionRpe(session);
+}
+
+function roundTo2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Training load as of a day
+ * @param {Array} sessions - Logged sessions (at least the last 28 days)
+ * @param {string} [today] - ISO date string (defaults to today)
+ * @returns {Object} { acute_load, chronic_load, acwr, zone, monotony, strain, established }
+ *   chronic_load is a weekly average so it compares directly with acute_load;
+ *   acwr and monotony are null when there's nothing to divide by
+ */
+function calculateTrainingLoad(sessions, today = toDateStr(new Date())) {
+  const firstDay = addDays(today, -(CHRONIC_DAYS - 1));
+  const daily = {};
+  let oldest = today;
+
+  (sessions || []).forEach(session => {
+    if (!session.date || session.date > today) return;
+    if (session.date < oldest) oldest = session.date;
+    if (session.date < firstDay) return;
+    daily[session.date] = (daily[session.date] || 0) + calculateSessionLoad(session);
+  });
+
+  const days = [];
+  for (let i = CHRONIC_DAYS - 1; i >= 0; i--) {
+    days.push(daily[addDays(today, -i)] || 0);
+  }
+  const acuteDays = days.slice(-ACUTE_DAYS);
+
+  const acute = acuteDays.reduce((sum, load) => sum + load, 0);
+  const chronic = days.reduce((sum, load) => sum + load, 0) / (CHRONIC_DAYS / ACUTE_DAYS);
+  const acwr = chronic > 0 ? roundTo2(acute / chronic) : null;
+
+  const mean = acute / ACUTE_DAYS;
+  const sd = Math.sqrt(acuteDays.reduce((sum, load) => sum + (load - mean) * (load - mean), 0) / ACUTE_DAYS);
+  const monotony = mean > 0 && sd > 0 ? roundTo2(mean / sd) : null;
+
+  return {
+    acute_load: Math.round(acute),
+    chronic_load: Math.round(chronic),
+    acwr,
+    zone: acwr === null ? null : ACWR_ZONES.find(zone => acwr < zone.below).id,
+    monotony,
+    strain: monotony === null ? 0 : Math.round(acute * monotony),
+    established: oldest <= addDays(today, -LOAD_ESTABLISHED_DAYS)
+  };
+}
+
+/**
+ * Daily training load series for charting
+ * @returns {Array} [{ date, acute_load, chronic_load, acwr }] oldest first
+ */
+function calculateLoadHistory(sessions, days = 56, today = toDateStr(new Date())) {
+  const history = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = addDays(today, -i);
+    const load = calculateTrainingLoad(sessions, date);
+    history.push({ date, acute_load: load.acute_load, chronic_load: load.chronic_load, acwr: load.acwr });
+  }
+  return history;
+}
+
 /**
  * Get sessions from the last N days
  */
@@ -124,8 +309,13 @@ function getSessionsInLastNDays(sortedSessions, days) {
 
 /**
  * Calculate recent training metrics
+ * @param {Array} sessions - Recent sessions
+ * @param {Array} history - All sessions, for longer-lived results such as the
+ *                          latest CSS test (defaults to sessions)
+ * @param {Object|null} calendar - Saved training calendar, so missed plan
+ *                                 days count towards template skips
  */
-function calculateRecentMetrics(sessions) {
+function calculateRecentMetrics(sessions, history = sessions, calendar = null) {
   if (!sessions || sessions.length === 0) {
     return {
       maxRecentDistance: 0,
@@ -133,7 +323,12 @@ function calculateRecentMetrics(sessions) {
       avgRPE: 0,
       avgPacePerKm: null, // minutes per km
       sessionCount7Days: 0,
-      sessionCount14Days: 0
+      sessionCount14Days: 0,
+      durationCalibration: calibrateDurationModel([]),
+      paceZones: findLatestCssTest(history),
+      lastMainSet: null,
+      templateSkips: calculateTemplateSkips(history, calendar),
+      trainingLoad: calculateTrainingLoad(history)
     };
   }
 
@@ -145,7 +340,7 @@ function calculateRecentMetrics(sessions) {
   const totalVolume14Days = last14Days.reduce((sum, s) => sum + (s.distance_m || 0), 0);
   const avgWeeklyVolume = totalVolume14Days / 2;
   const avgRPE = last7Days.length > 0
-    ? last7Days.reduce((sum, s) => sum + (s.rpe || 5), 0) / last7Days.length
+    ? last7Days.reduce((sum, s) => sum + Effort.getSessionRpe(s), 0) / last7Days.length
     : 5;
 
   // Calculate average pace from sessions that have both distance and time
@@ -162,7 +357,441 @@ function calculateRecentMetrics(sessions) {
     avgRPE,
     avgPacePerKm,
     sessionCount7Days: last7Days.length,
-    sessionCount14Days: last14Days.length
+    sessionCount14Days: last14Days.length,
+    durationCalibration: calibrateDurationModel(sorted),
+    paceZones: findLatestCssTest(history),
+    lastMainSet: findLatestMainSet(sorted, findLatestCssTest(history)),
+    templateSkips: calculateTemplateSkips(history, calendar),
+    trainingLoad: calculateTrainingLoad(history)
+  };
+}
+
+// ============================================================================
+// CRITICAL SWIM SPEED (CSS) AND PACE ZONES
+// A CSS test is a 400m and a 200m time trial in one session. The difference
+// gives threshold pace per 100m; training zones are set relative to it.
+// ============================================================================
+
+const CSS_VALID_DAYS = 84; // Fitness moves on - retest every 6-12 weeks
+
+// Seconds per 100m relative to CSS (negative = faster than CSS)
+const PACE_ZONES = [
+  { id: 'recovery', label: 'Recovery', from_sec: 12, to_sec: 20 },
+  { id: 'endurance', label: 'Endurance', from_sec: 5, to_sec: 10 },
+  { id: 'threshold', label: 'Threshold', from_sec: 0, to_sec: 4 },
+  { id: 'race', label: 'Race pace', from_sec: -3, to_sec: 1 }
+];
+
+/**
+ * CSS pace from the two time trials
+ * @param {number} t400Sec - 400m time in seconds
+ * @param {number} t200Sec - 200m time in seconds
+ * @returns {number|null} Seconds per 100m, or null if the times don't make sense
+ */
+function calculateCss(t400Sec, t200Sec) {
+  if (!(t400Sec > 0) || !(t200Sec > 0) || t400Sec <= t200Sec) {
+    return null;
+  }
+  return Math.round((t400Sec - t200Sec) / 2);
+}
+
+/**
+ * Training zones for a CSS pace
+ * @returns {Object} { recovery: { min_sec, max_sec }, ... } - seconds per
+ *                   100m, min_sec being the faster end
+ */
+function calculatePaceZones(cssPer100Sec) {
+  const zones = {};
+  PACE_ZONES.forEach(zone => {
+    zones[zone.id] = {
+      min_sec: cssPer100Sec + zone.from_sec,
+      max_sec: cssPer100Sec + zone.to_sec
+    };
+  });
+  return zones;
+}
+
+/**
+ * Most recent valid CSS test in a session history
+ * @returns {Object|null} { css_per_100_sec, tested_on, zones }
+ */
+function findLatestCssTest(sessions, today = new Date()) {
+  const cutoff = new Date(today);
+  cutoff.setDate(cutoff.getDate() - CSS_VALID_DAYS);
+
+  const latest = (sessions || [])
+    .filter(s => s.css_test && new Date(s.date) >= cutoff)
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .find(s => calculateCss(s.css_test.t400_sec, s.css_test.t200_sec));
+
+  if (!latest) {
+    return null;
+  }
+
+  const css = calculateCss(latest.css_test.t400_sec, latest.css_test.t200_sec);
+  return {
+    css_per_100_sec: css,
+    tested_on: latest.date,
+    zones: calculatePaceZones(css)
+  };
+}
+
+/**
+ * Pace zone for an item: easy swimming is recovery, moderate is endurance,
+ * hard is threshold. Drills, kick, other strokes, sprints and time trials
+ * have no target.
+ * @returns {Object|null} { zone, min_sec, max_sec } per 100m
+ */
+function assignTargetPace(item, blockLabel, paceZones) {
+  if (!paceZones || item.time_trial) {
+    return null;
+  }
+
+  const { category, effort } = classifyItem(item, blockLabel);
+  if (category === 'drill' || category === 'kick' || effort === 'sprint') {
+    return null;
+  }
+
+  // Zones are freestyle paces
+  if (/breaststroke|backstroke|butterfly|choice|alternating/i.test(item.text)) {
+    return null;
+  }
+
+  const zone = /race pace/i.test(`${blockLabel} ${item.text}`)
+    ? 'race'
+    : { easy: 'recovery', moderate: 'endurance', hard: 'threshold' }[effort];
+
+  return { zone, ...paceZones.zones[zone] };
+}
+
+// ============================================================================
+// SPLITS
+// Sessions can carry per-rep or per-lap splits:
+//   splits: [{ distance_m, time_sec, stroke, rest_sec, equipment }]
+// The main set is taken to be the biggest block of same-distance freestyle
+// reps without equipment; pace drift compares its second half with its first.
+// ============================================================================
+
+const SPLIT_STROKES = ['freestyle', 'backstroke', 'breaststroke', 'butterfly', 'im', 'kick', 'drill'];
+const SPLIT_EQUIPMENT = ['none', 'pull_buoy', 'paddles', 'fins', 'kickboard', 'snorkel'];
+const MAIN_SET_MIN_REPS = 3;
+const MAIN_SET_FADE_PCT = 4; // Slower than this in the second half = faded
+const MAIN_SET_NEGATIVE_PCT = -2; // Faster than this = negative split
+const MAIN_SET_FATIGUE_DRIFT_PCT = 8; // A fade this big counts against readiness
+
+/**
+ * Seconds per 100m for one split
+ */
+function splitPacePer100(split) {
+  return split.time_sec / (split.distance_m / 100);
+}
+
+function averageOf(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Assess how the main set in a list of splits went
+ * @param {Array} splits - [{ distance_m, time_sec, stroke, rest_sec, equipment }]
+ * @param {Object|null} paceZones - From findLatestCssTest, to name the zone swum in
+ * @returns {Object|null} { rep_distance_m, reps, avg_pace_per_100_sec,
+ *   first_half_pace_sec, second_half_pace_sec, drift_pct, verdict, zone }
+ *   verdict is 'faded' | 'even' | 'negative_split'
+ */
+function assessMainSet(splits, paceZones = null) {
+  if (!Array.isArray(splits)) {
+    return null;
+  }
+
+  const candidates = splits.filter(split =>
+    split.distance_m > 0 && split.time_sec > 0 &&
+    (!split.stroke || split.stroke === 'freestyle') &&
+    (!split.equipment || split.equipment === 'none'));
+
+  // Group by rep distance and keep the biggest group, in logged order
+  const groups = {};
+  candidates.forEach(split => {
+    (groups[split.distance_m] = groups[split.distance_m] || []).push(split);
+  });
+  const mainSet = Object.values(groups)
+    .filter(group => group.length >= MAIN_SET_MIN_REPS)
+    .sort((a, b) => b.length * b[0].distance_m - a.length * a[0].distance_m)[0];
+
+  if (!mainSet) {
+    return null;
+  }
+
+  const paces = mainSet.map(splitPacePer100);
+  const half = Math.floor(paces.length / 2);
+  const firstHalf = averageOf(paces.slice(0, half));
+  const secondHalf = averageOf(paces.slice(paces.length - half));
+  const driftPct = Math.round((secondHalf - firstHalf) / firstHalf * 1000) / 10;
+  const avgPace = averageOf(paces);
+
+  let verdict = 'even';
+  if (driftPct > MAIN_SET_FADE_PCT) {
+    verdict = 'faded';
+  } else if (driftPct < MAIN_SET_NEGATIVE_PCT) {
+    verdict = 'negative_split';
+  }
+
+  // Zone the average pace fell in, if any
+  let zone = null;
+  if (paceZones) {
+    zone = Object.keys(paceZones.zones).find(id =>
+      avgPace >= paceZones.zones[id].min_sec && avgPace <= paceZones.zones[id].max_sec) || null;
+  }
+
+  return {
+    rep_distance_m: mainSet[0].distance_m,
+    reps: mainSet.length,
+    avg_pace_per_100_sec: Math.round(avgPace),
+    first_half_pace_sec: Math.round(firstHalf),
+    second_half_pace_sec: Math.round(secondHalf),
+    drift_pct: driftPct,
+    verdict,
+    zone
+  };
+}
+
+/**
+ * Main-set assessment for the most recent session with splits
+ * @param {Array} sortedSessions - Newest first
+ * @returns {Object|null} assessMainSet result plus { date }
+ */
+function findLatestMainSet(sortedSessions, paceZones = null) {
+  for (const session of sortedSessions) {
+    const assessment = assessMainSet(session.splits, paceZones);
+    if (assessment) {
+      return { date: session.date, ...assessment };
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// DURATION MODEL
+// Session time = per-item swim time (pace adjusted for kick/drill/pull and
+// effort) + rest between reps + a short transition between blocks, scaled by
+// how this swimmer's logged times compare with earlier estimates.
+// ============================================================================
+
+const DEFAULT_SWIM_PACE_PER_KM = 20; // 2:00/100m when there's no pace history
+const LOGGED_REST_OVERHEAD = 1.1; // Logged times include ~10% rest and wall time
+const BLOCK_TRANSITION_SEC = 30; // Grab a kickboard, read the next set
+const CALIBRATION_SESSIONS = 20;
+const CALIBRATION_FACTOR_RANGE = [0.75, 1.5];
+
+// Minutes per km relative to the swimmer's steady freestyle pace
+const CATEGORY_PACE_FACTORS = { swim: 1.0, pull: 1.05, drill: 1.2, kick: 1.4 };
+const EFFORT_PACE_FACTORS = { easy: 1.1, moderate: 1.0, hard: 0.93, sprint: 0.87 };
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Calibrate the duration model against a swimmer's logged sessions
+ * - Freely logged swims give their all-in pace; rest overhead is taken out to
+ *   get a steady swim pace.
+ * - Sessions logged from a coach plan and then corrected to the real time show
+ *   how far off the plan's estimate was.
+ * @param {Array} sessions - Logged sessions (any order)
+ * @returns {Object} { swim_pace_per_km, factor, samples }
+ */
+function calibrateDurationModel(sessions) {
+  const timed = (sessions || [])
+    .filter(s => s.distance_m > 0 && s.time_min > 0)
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, CALIBRATION_SESSIONS);
+
+  const paces = timed
+    .filter(s => !s.planned_duration_min)
+    .map(s => s.time_min / (s.distance_m / 1000));
+
+  // Unedited coach sessions just echo the estimate, so they say nothing
+  const ratios = timed
+    .filter(s => s.planned_duration_min && s.time_min !== s.planned_duration_min)
+    .map(s => s.time_min / s.planned_duration_min);
+
+  const [minFactor, maxFactor] = CALIBRATION_FACTOR_RANGE;
+  return {
+    swim_pace_per_km: paces.length > 0 ? median(paces) / LOGGED_REST_OVERHEAD : DEFAULT_SWIM_PACE_PER_KM,
+    factor: ratios.length > 0 ? Math.min(Math.max(median(ratios), minFactor), maxFactor) : 1,
+    samples: paces.length + ratios.length
+  };
+}
+
+/**
+ * Calibration for a metrics object, tolerating metrics built before the
+ * duration model existed (only avgPacePerKm)
+ */
+function getDurationCalibration(metrics) {
+  if (metrics && metrics.durationCalibration) {
+    return metrics.durationCalibration;
+  }
+  return {
+    swim_pace_per_km: metrics && metrics.avgPacePerKm ? metrics.avgPacePerKm / LOGGED_REST_OVERHEAD : DEFAULT_SWIM_PACE_PER_KM,
+    factor: 1,
+    samples: 0
+  };
+}
+
+/**
+ * What kind of swimming an item is, and how hard
+ * @returns {Object} { category: swim|pull|drill|kick, effort: easy|moderate|hard|sprint }
+ */
+function classifyItem(item, blockLabel) {
+  const text = `${blockLabel} ${item.text}`.toLowerCase();
+
+  let category = 'swim';
+  if (/\bkick/.test(text)) {
+    category = 'kick';
+  } else if (/\bdrill|catch-up|fingertip|tarzan|scull/.test(text)) {
+    category = 'drill';
+  } else if (/\bpull\b|pull buoy/.test(text)) {
+    category = 'pull';
+  }
+
+  const itemText = item.text.toLowerCase();
+  let effort = 'moderate';
+  if (/sprint|max effort|go fast/.test(itemText)) {
+    effort = 'sprint';
+  } else if (/\bhard\b|race pace|\bstrong\b|\bfast/.test(itemText)) {
+    effort = 'hard';
+  } else if (/\beasy\b(?! float)|recovery|relaxed/.test(itemText) || /^(warm-up|cool-down|recovery)/i.test(blockLabel)) {
+    effort = 'easy';
+  }
+
+  return { category, effort };
+}
+
+/**
+ * Estimate one item's swim and rest time in minutes
+ */
+function estimateItemTime(item, blockLabel, calibration) {
+  let pacePerKm;
+  if (item.target_pace) {
+    // Middle of the prescribed zone, sec/100m -> min/km
+    pacePerKm = ((item.target_pace.min_sec + item.target_pace.max_sec) / 2) / 6;
+  } else {
+    const { category, effort } = classifyItem(item, blockLabel);
+    pacePerKm = calibration.swim_pace_per_km * CATEGORY_PACE_FACTORS[category] * EFFORT_PACE_FACTORS[effort];
+  }
+
+  // Open water efforts are prescribed in minutes already
+  if (item.time_based && item.effort_min && item.reps) {
+    return {
+      swim_min: item.reps * item.effort_min,
+      rest_min: item.rest_sec ? ((item.reps - 1) * item.rest_sec) / 60 : 0
+    };
+  }
+
+  return {
+    swim_min: ((item.distance_m || 0) / 1000) * pacePerKm,
+    rest_min: item.reps && item.rest_sec ? ((item.reps - 1) * item.rest_sec) / 60 : 0
+  };
+}
+
+/**
+ * Estimate how long a structure takes
+ * @param {Array} structure - Planner blocks
+ * @param {Object} calibration - From calibrateDurationModel
+ * @returns {Object} { total_min, swim_min, rest_min, block_min } - block_min
+ *                   is rounded minutes per block, in structure order
+ */
+function estimateStructureDuration(structure, calibration) {
+  let swimMin = 0;
+  let restMin = Math.max(structure.length - 1, 0) * (BLOCK_TRANSITION_SEC / 60);
+  const blockMin = [];
+
+  structure.forEach(block => {
+    let blockTotal = 0;
+    block.items.forEach(item => {
+      const time = estimateItemTime(item, block.label, calibration);
+      swimMin += time.swim_min;
+      restMin += time.rest_min;
+      blockTotal += time.swim_min + time.rest_min;
+    });
+    blockMin.push(Math.round(blockTotal * calibration.factor));
+  });
+
+  return {
+    total_min: (swimMin + restMin) * calibration.factor,
+    swim_min: Math.round(swimMin * calibration.factor),
+    rest_min: Math.round(restMin * calibration.factor),
+    block_min: blockMin
+  };
+}
+
+// ============================================================================
+// SEND-OFFS
+// Club sets run on the pace clock: "8x100m @ 1:50" means a rep starts every
+// 1:50. Send-offs come from the swimmer's own pace plus the template's rest.
+// ============================================================================
+
+const SENDOFF_ROUND_SEC = 5;
+const SENDOFF_MAX_REP_M = 800; // Longer repeats are swum on rest, not the pace clock
+const SENDOFF_MAX_SEC = 1800; // Same cap as the server's PLAN_LIMITS.maxSendoffSec
+
+/**
+ * Format seconds as a clock time (110 -> "1:50"), for send-offs and paces
+ */
+function formatClockTime(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Send-off for a repeat: one rep at the slow end of its target pace zone (or
+ * the swimmer's average pace for this kind of swim and effort), plus the
+ * template's rest, rounded up to the next 5 seconds
+ * @returns {number|null} Seconds, or null for reps too long to swim on the clock
+ */
+function computeSendoffSec(item, blockLabel, metrics) {
+  if (item.per_rep_m > SENDOFF_MAX_REP_M) {
+    return null;
+  }
+
+  let repSec;
+  if (item.target_pace) {
+    repSec = (item.per_rep_m / 100) * item.target_pace.max_sec;
+  } else {
+    const { category, effort } = classifyItem(item, blockLabel);
+    const pacePer100Sec = getDurationCalibration(metrics).swim_pace_per_km * 6; // min/km -> sec/100m
+    repSec = (item.per_rep_m / 100) * pacePer100Sec * CATEGORY_PACE_FACTORS[category] * EFFORT_PACE_FACTORS[effort];
+  }
+
+  const sendoffSec = Math.ceil((repSec + (item.rest_sec || 0)) / SENDOFF_ROUND_SEC) * SENDOFF_ROUND_SEC;
+  return sendoffSec <= SENDOFF_MAX_SEC ? sendoffSec : null;
+}
+
+/**
+ * Set (or clear) an item's send-off after its reps or distance changed
+ */
+function applySendoff(item, blockLabel, metrics) {
+  const sendoffSec = computeSendoffSec(item, blockLabel, metrics);
+  if (sendoffSec) {
+    item.sendoff_sec = sendoffSec;
+  } else {
+    delete item.sendoff_sec;
+  }
+}
+
+/**
+ * Set estimated_duration_min and the per-block breakdown on a session
+ */
+function withDurationEstimate(session, metrics) {
+  const duration = estimateStructureDuration(session.structure, getDurationCalibration(metrics));
+  return {
+    ...session,
+    estimated_duration_min: Math.round(duration.total_min),
+    duration_breakdown: {
+      swim_min: duration.swim_min,
+      rest_min: duration.rest_min,
+      block_min: duration.block_min
+    }
   };
 }
 
@@ -170,11 +799,13 @@ function calculateRecentMetrics(sessions) {
  * Select appropriate template based on phase, readiness, and profile
  */
 function selectTemplate(phase, readiness, profile, metrics, preferredType) {
-  const templates = window.CoachTemplates.getTemplatesByPhase(phase);
+  const eventProfile = getEventProfile(profile.eventDistance_m);
+  const templates = CoachTemplates.getTemplatesByPhase(phase)
+    .filter(t => isTemplateForEvent(t, eventProfile));
 
   // If needs rest or fatigued, prefer easy/recovery
   if (readiness.status === 'NEEDS_REST') {
-    return window.CoachTemplates.getTemplateById('rest-day');
+    return CoachTemplates.getTemplateById('rest-day');
   }
 
   if (readiness.status === 'FATIGUED') {
@@ -182,7 +813,7 @@ function selectTemplate(phase, readiness, profile, metrics, preferredType) {
     if (easyTemplates.length > 0) {
       return selectByVariety(easyTemplates, metrics);
     }
-    return window.CoachTemplates.getTemplateById('recovery-easy-swim');
+    return CoachTemplates.getTemplateById('recovery-easy-swim');
   }
 
   // Filter by appropriate distance range (don't jump too much)
@@ -227,17 +858,23 @@ function selectTemplate(phase, readiness, profile, metrics, preferredType) {
 
 /**
  * Select template with some variety (not always the same one)
+ * Templates this swimmer keeps skipping or abandoning are left out while
+ * anything else fits.
  */
 function selectByVariety(templates, metrics) {
   if (templates.length === 0) return null;
-  if (templates.length === 1) return templates[0];
+
+  const skips = (metrics && metrics.templateSkips) || {};
+  const preferred = templates.filter(t => !isOftenSkipped(skips[t.id]));
+  const pool = preferred.length > 0 ? preferred : templates;
+  if (pool.length === 1) return pool[0];
 
   // Use a simple pseudo-random based on today's date
   const today = new Date().toISOString().split('T')[0];
   const hash = today.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-  const index = hash % templates.length;
+  const index = hash % pool.length;
 
-  return templates[index];
+  return pool[index];
 }
 
 /**
@@ -273,6 +910,13 @@ function scaleTemplate(template, profile, metrics) {
     scalingNotes.push(`Capped to avoid volume jump (max: ${Math.round(maxAllowed)}m)`);
   }
 
+  // Ease off when this week's load is already well above the 4-week average
+  const load = metrics.trainingLoad;
+  if (load && load.established && (load.zone === 'elevated' || load.zone === 'high')) {
+    scaleFactor *= 0.85;
+    scalingNotes.push(`Reduced 15% - this week's load is ${load.acwr}x your 4-week average`);
+  }
+
   // Don't scale below 70%
   if (scaleFactor < 0.7) {
     scaleFactor = 0.7;
@@ -284,6 +928,15 @@ function scaleTemplate(template, profile, metrics) {
     const scaledItems = block.items.map(item => {
       const scaledItem = { ...item };
 
+      if (item.time_trial) {
+        return scaledItem;
+      }
+
+      const targetPace = assignTargetPace(item, block.label, metrics.paceZones);
+      if (targetPace) {
+        scaledItem.target_pace = targetPace;
+      }
+
       if (item.distance_m) {
         scaledItem.distance_m = roundToNearest(item.distance_m * scaleFactor, 50);
       }
@@ -300,7 +953,10 @@ function scaleTemplate(template, profile, metrics) {
           scaledItem.per_rep_m = scaledPerRep;
           scaledItem.distance_m = item.reps * scaledPerRep;
         }
-        scaledItem.text = updateRepText(item.text, scaledItem.reps, scaledItem.per_rep_m);
+        if (item.sendoff) {
+          applySendoff(scaledItem, block.label, metrics);
+        }
+        scaledItem.text = updateRepText(item.text, scaledItem.reps, scaledItem.per_rep_m, scaledItem.sendoff_sec);
       } else if (item.distance_m) {
         scaledItem.text = updateDistanceText(item.text, scaledItem.distance_m);
       }
@@ -322,13 +978,10 @@ function scaleTemplate(template, profile, metrics) {
     });
   });
 
-  // Estimate duration based on pace
-  let estimated_duration_min = template.base_duration_min_est || 45;
-  if (metrics.avgPacePerKm) {
-    estimated_duration_min = Math.round((total_distance_m / 1000) * metrics.avgPacePerKm * 1.1); // 10% buffer for rest
-  } else {
-    estimated_duration_min = Math.round((total_distance_m / template.base_distance_m) * template.base_duration_min_est);
-  }
+  // Estimate duration from pace, rests and the kind of swimming in each item
+  const estimated_duration_min = Math.round(
+    estimateStructureDuration(scaled_structure, getDurationCalibration(metrics)).total_min
+  );
 
   if (scalingNotes.length === 0) {
     scalingNotes.push('No scaling needed - template fits well');
@@ -351,11 +1004,30 @@ function roundToNearest(value, increment) {
 }
 
 /**
- * Update text to reflect new rep/distance values
+ * Update text to reflect new rep/distance values (and send-off, if any)
+ */
+function updateRepText(text, newReps, newPerRep, sendoffSec = null) {
+  // Match patterns like "8x100m", "4 x 50m" or "8x100m @ 1:50"
+  const sendoff = sendoffSec ? ` @ ${formatClockTime(sendoffSec)}` : '';
+  return text.replace(/(\d+)\s*x\s*(\d+)m(\s*@\s*\d+:\d{2})?/i, `${newReps}x${newPerRep}m${sendoff}`);
+}
+
+/**
+ * Update an open water effort ("4x 4 min effort (target ~200m)") to new values
+ */
+function updateEffortText(text, newReps, newEffortMin, newPerRep) {
+  return text.replace(/\d+x\s*\d+\s*min effort \(target ~\d+m\)/i, `${newReps}x ${newEffortMin} min effort (target ~${newPerRep}m)`);
+}
+
+/**
+ * What a repeat asks for, without its reps, send-off or rest
+ * ("8x50m catch-up drill, 15s rest" -> "catch-up drill")
  */
-function updateRepText(text, newReps, newPerRep) {
-  // Match patterns like "8x100m" or "4 x 50m"
-  return text.replace(/(\d+)\s*x\s*(\d+)m/i, `${newReps}x${newPerRep}m`);
+function describeRepeat(text) {
+  return text
+    .replace(/(\d+)\s*x\s*(\d+)m(\s*@\s*\d+:\d{2})?/i, '')
+    .replace(/[,.]?\s*\d+\s*(?:s|sec)\s*rest(?: between each)?/i, '')
+    .replace(/^[\s,-]+|[\s,]+$/g, '');
 }
 
 function updateDistanceText(text, newDistance) {
@@ -382,13 +1054,16 @@ function adaptPoolToOpenWater(scaledStructure, metrics) {
       const adaptedItem = { ...item };
 
       if (item.reps && item.per_rep_m && item.rest_sec) {
-        // Convert repeats with rest to time-based efforts
+        // Convert repeats with rest to time-based efforts, keeping what the
+        // repeat asks for and its rest
         const effortTime = Math.round((item.per_rep_m / 100) * pace100m);
-        const restDesc = item.rest_sec >= 30 ? `${Math.round(item.rest_sec / 10) * 10}s easy float` : '20s easy float';
+        const description = describeRepeat(item.text);
 
-        adaptedItem.text = `${item.reps}x ${effortTime} min effort (target ~${item.per_rep_m}m), ${restDesc} between`;
+        adaptedItem.text = `${item.reps}x ${effortTime} min effort (target ~${item.per_rep_m}m), ${item.rest_sec}s easy float between` +
+          (description ? ` - ${description}` : '');
         adaptedItem.time_based = true;
         adaptedItem.effort_min = effortTime;
+        delete adaptedItem.sendoff_sec; // No pace clock in open water
       } else if (item.distance_m >= 400 && !item.reps) {
         // Long continuous - add sighting note
         adaptedItem.text = item.text.replace(/continuous/i, 'continuous with sighting every 8-10 strokes');
@@ -497,6 +1172,17 @@ function validatePlan(plan, profile, metrics) {
     warnings.push(`Projected weekly volume high. Consider reducing if accumulated fatigue.`);
   }
 
+  // Check the session doesn't push the acute:chronic workload ratio too high
+  const load = metrics.trainingLoad;
+  if (load && load.established && load.chronic_load > 0 && plan.session.estimated_duration_min) {
+    const sessionLoad = plan.session.estimated_duration_min * (INTENSITY_RPE[plan.session.intensity] || Effort.DEFAULT_RPE);
+    const projectedAcwr = roundTo2((load.acute_load + sessionLoad) / load.chronic_load);
+    if (projectedAcwr > PLAN_ACWR_LIMIT) {
+      warnings.push(`This session takes your weekly load to ${projectedAcwr}x your 4-week average (keep below ${PLAN_ACWR_LIMIT}x)`);
+      guardrails_check_passed = false;
+    }
+  }
+
   return {
     distance_check_passed,
     guardrails_check_passed,
@@ -506,25 +1192,45 @@ function validatePlan(plan, profile, metrics) {
 
 /**
  * Main function: Generate a complete session plan
+ * profile.seasonEvents (all events) lets B and C races before the key event
+ * shape the day: taper sessions before them, recovery after, rest on race day.
+ * @param {Array} history - All sessions (defaults to recentSessions)
+ * @param {Object|null} calendar - Saved training calendar, for template skips
  */
-function generateSessionPlan(profile, recentSessions, targetType = null) {
+function generateSessionPlan(profile, recentSessions, targetType = null, history = recentSessions, calendar = null) {
   const today = new Date().toISOString().split('T')[0];
 
-  // 1. Determine phase
-  const phase = determinePhase(profile.eventDate, today);
+  // 1. Determine phase (scaled to the race distance)
+  const phase = determinePhase(profile.eventDate, today, profile.eventDistance_m);
   const daysToEvent = getDaysToEvent(profile.eventDate, today);
+  const seasonDay = getSeasonDay(buildSeasonTimeline(getProfileKeyEvent(profile), profile.seasonEvents, today), today);
+  const seasonEvent = describeSeasonDay(seasonDay);
 
-  // 2. Assess readiness
-  const readiness = assessReadiness(recentSessions);
+  // 2. Calculate metrics (including the training load model)
+  const metrics = calculateRecentMetrics(recentSessions, history, calendar);
 
-  // 3. Calculate metrics
-  const metrics = calculateRecentMetrics(recentSessions);
+  // 3. Assess readiness
+  const readiness = assessReadiness(recentSessions, metrics.trainingLoad);
 
   // 4. Determine preferred type (pool or open water)
   const preferredType = targetType || (profile.access?.openWater ? 'open_water' : 'pool');
 
-  // 5. Select template
-  const template = selectTemplate(phase, readiness, profile, metrics, preferredType);
+  // 5. Select template (a season race today or just gone takes over)
+  if (seasonDay && seasonDay.role === 'race') {
+    return {
+      ...generateRestPlan(phase, readiness, daysToEvent, `Race day: ${seasonDay.race.name || 'season race'} is today's session`),
+      event: describePlanEvent(profile),
+      season_event: seasonEvent
+    };
+  }
+
+  let template;
+  if (seasonDay && seasonDay.role === 'recovery' && readiness.status !== 'NEEDS_REST') {
+    template = CoachTemplates.getTemplateById('recovery-easy-swim');
+  } else {
+    const selectionPhase = seasonDay && seasonDay.role === 'mini_taper' ? 'TAPER' : phase;
+    template = selectTemplate(selectionPhase, readiness, profile, metrics, preferredType);
+  }
 
   if (!template) {
     // Fallback to recovery
@@ -565,20 +1271,66 @@ function generateSessionPlan(profile, recentSessions, targetType = null) {
     },
     phase,
     days_to_event: daysToEvent,
-    readiness
+    event: describePlanEvent(profile),
+    season_event: seasonEvent,
+    readiness,
+    pace_zones: metrics.paceZones,
+    last_main_set: metrics.lastMainSet,
+    training_load: metrics.trainingLoad
   };
 
-  // 9. Validate
+  // 9. Estimate duration from the final structure (open water efforts included)
+  sessionPlan.session = withDurationEstimate(sessionPlan.session, metrics);
+
+  // 10. Validate
   sessionPlan.validation = validatePlan(sessionPlan, profile, metrics);
 
   return sessionPlan;
 }
 
+/**
+ * The event a session plan works towards, for prompts and display
+ */
+function describePlanEvent(profile) {
+  const eventProfile = getEventProfile(profile.eventDistance_m);
+  return {
+    name: profile.eventName || null,
+    distance_m: eventProfile.distance_m,
+    class: eventProfile.id
+  };
+}
+
+/**
+ * The key event as buildSeasonTimeline expects it, from a coaching profile
+ */
+function getProfileKeyEvent(profile) {
+  if (!profile.eventDate) return null;
+  return {
+    id: profile.eventId || null,
+    name: profile.eventName || null,
+    date: profile.eventDate,
+    distance: profile.eventDistance_m
+  };
+}
+
+/**
+ * The season race shaping a session plan, for prompts and display
+ */
+function describeSeasonDay(seasonDay) {
+  if (!seasonDay) return null;
+  return {
+    name: seasonDay.race.name,
+    date: seasonDay.race.date,
+    priority: seasonDay.race.priority,
+    role: seasonDay.role
+  };
+}
+
 /**
  * Generate a rest plan
  */
-function generateRestPlan(phase, readiness, daysToEvent) {
-  const template = window.CoachTemplates.getTemplateById('rest-day');
+function generateRestPlan(phase, readiness, daysToEvent, scalingNotes = 'Rest day recommended based on training load') {
+  const template = CoachTemplates.getTemplateById('rest-day');
 
   return {
     session: {
@@ -594,7 +1346,7 @@ function generateRestPlan(phase, readiness, daysToEvent) {
       source: template.source,
       template_id: template.id,
       template_name: template.name,
-      scaling_notes: 'Rest day recommended based on training load'
+      scaling_notes: scalingNotes
     },
     phase,
     days_to_event: daysToEvent,
@@ -608,20 +1360,65 @@ function generateRestPlan(phase, readiness, daysToEvent) {
 }
 
 /**
- * Re-adapt an existing plan for a different water type
+ * Generate a CSS test session
+ * The test is always a pool session and is never scaled - the time trial
+ * distances are what make the result comparable between tests.
  */
-function adaptPlanToType(existingPlan, newType, metrics) {
-  if (existingPlan.session.type === 'rest') {
-    return existingPlan;
-  }
+function generateCssTestPlan(profile, recentSessions, history = recentSessions) {
+  const today = new Date().toISOString().split('T')[0];
+  const template = CoachTemplates.getTemplateById('css-test');
+  const metrics = calculateRecentMetrics(recentSessions, history);
 
-  const template = window.CoachTemplates.getTemplateById(existingPlan.derived_from_template.template_id);
-  if (!template) {
-    return existingPlan;
-  }
+  const structure = template.structure.map(block => ({
+    label: block.label,
+    items: block.items.map(item => ({ ...item }))
+  }));
 
-  // Get original scaled structure (before any adaptation)
-  const profile = { weeklyVolumeEstimate_m: 5000 }; // Default for re-scaling
+  const sessionPlan = {
+    session: withDurationEstimate({
+      type: 'pool',
+      total_distance_m: sumStructureDistance(structure),
+      intensity: template.intensity,
+      structure,
+      open_water_addons: [],
+      safety_note: null
+    }, metrics),
+    derived_from_template: {
+      source: template.source,
+      template_id: template.id,
+      template_name: template.name,
+      scaling_notes: 'Test distances are fixed'
+    },
+    phase: determinePhase(profile.eventDate, today, profile.eventDistance_m),
+    days_to_event: getDaysToEvent(profile.eventDate, today),
+    event: describePlanEvent(profile),
+    readiness: assessReadiness(recentSessions, metrics.trainingLoad),
+    pace_zones: metrics.paceZones,
+    last_main_set: metrics.lastMainSet,
+    training_load: metrics.trainingLoad
+  };
+
+  sessionPlan.validation = validatePlan(sessionPlan, profile, metrics);
+
+  return sessionPlan;
+}
+
+/**
+ * Re-adapt an existing plan for a different water type
+ */
+function adaptPlanToType(existingPlan, newType, metrics) {
+  if (existingPlan.session.type === 'rest') {
+    return existingPlan;
+  }
+
+  // Tests are pool-only and fixed
+  const template = CoachTemplates.getTemplateById(existingPlan.derived_from_template.template_id);
+  if (!template || template.tags.includes('test')) {
+    return existingPlan;
+  }
+
+  // Get original scaled structure (before any adaptation)
+  const profile = { weeklyVolumeEstimate_m: 5000 }; // Default for re-scaling
   const scaled = scaleTemplate(template, profile, metrics);
 
   let finalStructure = scaled.scaled_structure;
@@ -640,13 +1437,14 @@ function adaptPlanToType(existingPlan, newType, metrics) {
 
   return {
     ...existingPlan,
-    session: {
+    session: withDurationEstimate({
       ...existingPlan.session,
       type: newType,
+      total_distance_m: scaled.total_distance_m,
       structure: finalStructure,
       open_water_addons: openWaterAddons,
       safety_note: safetyNote
-    },
+    }, metrics),
     derived_from_template: {
       ...existingPlan.derived_from_template,
       scaling_notes: existingPlan.derived_from_template.scaling_notes + ` (adapted to ${newType.replace('_', ' ')})`
@@ -654,6 +1452,8 @@ function adaptPlanToType(existingPlan, newType, metrics) {
   };
 }
 
+const MAX_SCALED_REP_M = 1000; // Scaling up splits reps longer than this (or the template's own)
+
 /**
  * Scale an existing plan to a new distance
  */
@@ -674,20 +1474,39 @@ function scalePlanToDistance(existingPlan, newDistanceM, metrics) {
     const scaledItems = block.items.map(item => {
       const scaledItem = { ...item };
 
+      if (item.time_trial) {
+        return scaledItem;
+      }
+
       if (item.distance_m) {
         scaledItem.distance_m = roundToNearest(item.distance_m * scaleFactor, 50);
       }
 
       if (item.reps && item.per_rep_m) {
         const scaledPerRep = roundToNearest(item.per_rep_m * scaleFactor, 25);
+        const maxPerRep = Math.max(MAX_SCALED_REP_M, item.per_rep_m);
         if (scaledPerRep < 50) {
           scaledItem.reps = Math.max(Math.round(item.reps * scaleFactor), 2);
           scaledItem.per_rep_m = item.per_rep_m;
+        } else if (scaledPerRep > maxPerRep) {
+          // Growing a set makes more reps rather than ever-longer ones
+          const setDistance = item.reps * item.per_rep_m * scaleFactor;
+          scaledItem.reps = Math.ceil(setDistance / maxPerRep);
+          scaledItem.per_rep_m = roundToNearest(setDistance / scaledItem.reps, 25);
         } else {
           scaledItem.per_rep_m = scaledPerRep;
         }
         scaledItem.distance_m = scaledItem.reps * scaledItem.per_rep_m;
-        scaledItem.text = updateRepText(item.text, scaledItem.reps, scaledItem.per_rep_m);
+        if (item.time_based && item.effort_min) {
+          // Open water efforts are swum by the clock: the minutes move with the target distance
+          scaledItem.effort_min = Math.max(Math.round(item.effort_min * scaledItem.per_rep_m / item.per_rep_m), 1);
+          scaledItem.text = updateEffortText(item.text, scaledItem.reps, scaledItem.effort_min, scaledItem.per_rep_m);
+        } else {
+          if (item.sendoff || item.sendoff_sec) {
+            applySendoff(scaledItem, block.label, metrics);
+          }
+          scaledItem.text = updateRepText(item.text, scaledItem.reps, scaledItem.per_rep_m, scaledItem.sendoff_sec);
+        }
       } else if (item.distance_m) {
         scaledItem.text = updateDistanceText(item.text, scaledItem.distance_m);
       }
@@ -706,18 +1525,13 @@ function scalePlanToDistance(existingPlan, newDistanceM, metrics) {
     });
   });
 
-  // Estimate new duration
-  const durationScale = totalDistance / originalDistance;
-  const newDuration = Math.round(existingPlan.session.estimated_duration_min * durationScale);
-
   return {
     ...existingPlan,
-    session: {
+    session: withDurationEstimate({
       ...existingPlan.session,
       structure: scaledStructure,
-      total_distance_m: totalDistance,
-      estimated_duration_min: newDuration
-    },
+      total_distance_m: totalDistance
+    }, metrics),
     derived_from_template: {
       ...existingPlan.derived_from_template,
       scaling_notes: existingPlan.derived_from_template.scaling_notes + ` (scaled to ${totalDistance}m)`
@@ -725,12 +1539,1034 @@ function scalePlanToDistance(existingPlan, newDistanceM, metrics) {
   };
 }
 
+// ============================================================================
+// TIME BUDGET SCALING
+// Swimmers often know how long they have rather than how far to swim. The
+// structure is trimmed until the duration model says it fits. Block and item
+// counts are kept, so the plan still matches its template.
+// ============================================================================
+
+// Trimmed in this order: supporting sets first, the main set last
+const TRIM_ORDER = [['drill'], ['warmup', 'cooldown'], ['main']];
+const GROW_PASSES = 3; // Rounding and fixed items mean one scale-up rarely lands on the budget
+const FIT_TOLERANCE = 0.1; // Within 10% under the budget counts as fitted
+
+function sumStructureDistance(structure) {
+  return structure.reduce((sum, block) => {
+    return sum + block.items.reduce((blockSum, item) => blockSum + (item.distance_m || 0), 0);
+  }, 0);
+}
+
+/**
+ * The block to protect: the first "Main set", otherwise the longest block
+ * that isn't warm-up or cool-down
+ */
+function findMainBlock(structure) {
+  const labelled = structure.find(block => /^main set/i.test(block.label));
+  if (labelled) {
+    return labelled;
+  }
+
+  const candidates = structure.filter(block => !/^(warm-up|cool-down)/i.test(block.label));
+  return candidates.reduce((longest, block) => {
+    if (!longest) return block;
+    return sumStructureDistance([block]) > sumStructureDistance([longest]) ? block : longest;
+  }, null);
+}
+
+function getBlockRole(block, mainBlock) {
+  if (block === mainBlock) return 'main';
+  if (/^warm-up/i.test(block.label)) return 'warmup';
+  if (/^cool-down/i.test(block.label)) return 'cooldown';
+  return 'drill';
+}
+
+/**
+ * How far an item may be trimmed. The main set keeps at least two reps and
+ * half of any continuous swim; everything else can drop to a single rep or 50m.
+ */
+function getTrimFloor(item, role) {
+  if (role === 'main') {
+    return {
+      reps: Math.min(item.reps || 2, 2),
+      distance_m: Math.max(roundToNearest((item.distance_m || 0) * 0.5, 50), 50)
+    };
+  }
+  return { reps: 1, distance_m: 50 };
+}
+
+/**
+ * Take one step off an item (one rep, or 50-100m of a continuous swim)
+ * @returns {boolean} false if the item is already at its floor
+ */
+function trimItemOnce(item, floor) {
+  if (!item.distance_m || item.time_trial) {
+    return false;
+  }
+
+  if (item.reps && item.per_rep_m) {
+    if (item.reps <= floor.reps) {
+      return false;
+    }
+    item.reps -= 1;
+    item.distance_m = item.reps * item.per_rep_m;
+    item.text = item.time_based
+      ? item.text.replace(/^\d+x/, `${item.reps}x`)
+      : updateRepText(item.text, item.reps, item.per_rep_m, item.sendoff_sec);
+    return true;
+  }
+
+  // Repeats described only in text ("4x25m pickups") can't be trimmed safely
+  if (/\d+\s*x\s*\d+m/i.test(item.text)) {
+    return false;
+  }
+
+  const step = item.distance_m >= 400 ? 100 : 50;
+  if (item.distance_m - step < floor.distance_m) {
+    return false;
+  }
+  item.distance_m -= step;
+  item.text = updateDistanceText(item.text, item.distance_m);
+  return true;
+}
+
+/**
+ * Scale an existing plan to fit a time budget
+ * Longer budgets scale the whole plan up first; anything still over budget is
+ * trimmed from drills, then warm-up and cool-down, then the main set.
+ * @param {Object} existingPlan - Session plan to scale
+ * @param {number} minutes - Time available
+ * @param {Object} metrics - From calculateRecentMetrics (duration calibration)
+ */
+function scalePlanToDuration(existingPlan, minutes, metrics) {
+  if (existingPlan.session.type === 'rest' || !existingPlan.session.total_distance_m) {
+    return existingPlan;
+  }
+
+  const calibration = getDurationCalibration(metrics);
+  let basePlan = existingPlan;
+
+  // More time than the plan needs: grow it, then trim any overshoot below
+  for (let pass = 0; pass < GROW_PASSES; pass++) {
+    const currentMinutes = estimateStructureDuration(basePlan.session.structure, calibration).total_min;
+    if (!(currentMinutes > 0 && minutes > currentMinutes * 1.05)) break;
+
+    const targetDistance = roundToNearest(basePlan.session.total_distance_m * (minutes / currentMinutes), 100);
+    if (targetDistance <= basePlan.session.total_distance_m) break;
+    basePlan = scalePlanToDistance(basePlan, targetDistance, metrics);
+  }
+
+  const structure = basePlan.session.structure.map(block => ({
+    label: block.label,
+    items: block.items.map(item => ({ ...item }))
+  }));
+
+  const mainBlock = findMainBlock(structure);
+  const trimmable = [];
+  structure.forEach(block => {
+    const role = getBlockRole(block, mainBlock);
+    block.items.forEach(item => {
+      trimmable.push({ item, role, label: block.label, floor: getTrimFloor(item, role) });
+    });
+  });
+
+  const itemMinutes = entry => {
+    const time = estimateItemTime(entry.item, entry.label, calibration);
+    return time.swim_min + time.rest_min;
+  };
+
+  let estimate = estimateStructureDuration(structure, calibration).total_min;
+  TRIM_ORDER.forEach(roles => {
+    while (estimate > minutes) {
+      // Longest items shrink first so short drills aren't wiped out early
+      const trimmed = trimmable
+        .filter(entry => roles.includes(entry.role))
+        .sort((a, b) => itemMinutes(b) - itemMinutes(a))
+        .some(entry => trimItemOnce(entry.item, entry.floor));
+      if (!trimmed) break;
+      estimate = estimateStructureDuration(structure, calibration).total_min;
+    }
+  });
+
+  const session = withDurationEstimate({
+    ...basePlan.session,
+    structure,
+    total_distance_m: sumStructureDistance(structure)
+  }, metrics);
+  let note;
+  if (session.estimated_duration_min > minutes) {
+    note = ` (shortest safe version is ~${session.estimated_duration_min} min, over the ${minutes} min asked for)`;
+  } else if (session.estimated_duration_min >= minutes * (1 - FIT_TOLERANCE)) {
+    note = ` (fitted to ${minutes} min)`;
+  } else {
+    note = ` (could not be fitted to ${minutes} min - ~${session.estimated_duration_min} min as planned)`;
+  }
+
+  return {
+    ...basePlan,
+    session,
+    derived_from_template: {
+      ...basePlan.derived_from_template,
+      scaling_notes: existingPlan.derived_from_template.scaling_notes + note
+    }
+  };
+}
+
+// ============================================================================
+// PLAN VS ACTUAL
+// The workout checklist records which items were swum. Logging from the coach
+// stores that against the session so history shows compliance with the plan.
+// ============================================================================
+
+/**
+ * Summarize a ticked checklist against the planned session
+ * @param {Object} session - session_plan.session
+ * @param {Array} completedItems - [{ block, item }] indices into session.structure
+ * @returns {Object} { completed_items, completed_blocks, actual_distance_m,
+ *   planned_distance_m, completion_pct } - completed_blocks lists the labels
+ *   of blocks with every item ticked
+ */
+function summarizeCompletion(session, completedItems) {
+  const structure = session.structure || [];
+  const done = new Set(completedItems.map(entry => `${entry.block}:${entry.item}`));
+
+  let totalItems = 0;
+  let actualDistance = 0;
+  const completedBlocks = [];
+  const validItems = [];
+
+  structure.forEach((block, blockIndex) => {
+    let blockDone = block.items.length > 0;
+    block.items.forEach((item, itemIndex) => {
+      totalItems++;
+      if (done.has(`${blockIndex}:${itemIndex}`)) {
+        actualDistance += item.distance_m || 0;
+        validItems.push({ block: blockIndex, item: itemIndex });
+      } else {
+        blockDone = false;
+      }
+    });
+    if (blockDone) {
+      completedBlocks.push(block.label);
+    }
+  });
+
+  return {
+    completed_items: validItems,
+    completed_blocks: completedBlocks,
+    actual_distance_m: actualDistance,
+    planned_distance_m: session.total_distance_m || sumStructureDistance(structure),
+    completion_pct: totalItems > 0 ? Math.round(validItems.length / totalItems * 100) : 100
+  };
+}
+
+// ============================================================================
+// PLAN COMPLIANCE
+// Week by week: distance prescribed by the training calendar (or by coach
+// sessions when there's no calendar) against distance swum, plan days done
+// or skipped, and which templates get skipped or abandoned.
+// ============================================================================
+
+const COMPLIANCE_WEEKS = 8;
+const SKIP_LOOKBACK_DAYS = 56;
+const ABANDONED_COMPLETION_PCT = 60; // Logged from the coach with less than this done
+const SKIP_MIN_COUNT = 2; // "Repeatedly" - one bad day isn't a pattern
+const SKIP_RATE_LIMIT = 0.5;
+
+function isOftenSkipped(stats) {
+  return !!stats && stats.skipped >= SKIP_MIN_COUNT && stats.skipped / stats.prescribed >= SKIP_RATE_LIMIT;
+}
+
+/**
+ * Calendar weeks with day statuses brought up to date against the sessions
+ * logged so far. The saved statuses are only refreshed when the calendar is
+ * generated or re-flowed; the saved calendar itself is left untouched.
+ */
+function getCurrentCalendarWeeks(calendar, sessions, today) {
+  return calendar.weeks.map(week => {
+    const days = week.days.map(day => ({ ...day }));
+    annotateCalendarProgress(days, sessions || [], today);
+    return { ...week, days };
+  });
+}
+
+/**
+ * Count how often each template was prescribed and skipped
+ * A template is prescribed by a calendar day or by a session logged from the
+ * coach; it's skipped when the day was missed or the session abandoned.
+ * @param {Array} sessions - All logged sessions
+ * @param {Object|null} calendar - Saved training calendar
+ * @returns {Object} { [template_id]: { template_name, prescribed, skipped, abandoned, missed } }
+ */
+function calculateTemplateSkips(sessions, calendar = null, today = toDateStr(new Date())) {
+  const since = addDays(today, -SKIP_LOOKBACK_DAYS);
+  const stats = {};
+
+  function count(templateId, templateName, outcome) {
+    const entry = stats[templateId] = stats[templateId] ||
+      { template_name: templateName, prescribed: 0, skipped: 0, abandoned: 0, missed: 0 };
+    entry.prescribed++;
+    if (outcome) {
+      entry.skipped++;
+      entry[outcome]++;
+    }
+  }
+
+  (sessions || []).forEach(session => {
+    if (!session.template_id || !session.plan_compliance || session.date < since || session.date > today) return;
+    const abandoned = session.plan_compliance.completion_pct < ABANDONED_COMPLETION_PCT;
+    count(session.template_id, session.plan_compliance.template_name, abandoned ? 'abandoned' : null);
+  });
+
+  if (calendar) {
+    getCurrentCalendarWeeks(calendar, sessions, today).forEach(week => week.days.forEach(day => {
+      // Days swum from the coach are already counted from the session
+      if (!day.template_id || day.status !== 'missed' || day.date < since) return;
+      count(day.template_id, day.template_name, 'missed');
+    }));
+  }
+
+  return stats;
+}
+
+/**
+ * Plan compliance for the dashboard
+ * @param {Array} sessions - All logged sessions
+ * @param {Object|null} calendar - Saved training calendar for the active event
+ * @param {string} [today] - ISO date string (defaults to today)
+ * @returns {Object} { weeks: [{ week_start, prescribed_m, completed_m,
+ *   planned_sessions, completed_sessions, skipped_days }], sessions_done_pct,
+ *   avg_completion_pct, skipped_days, most_skipped: [{ template_id,
+ *   template_name, prescribed, skipped, abandoned, missed }] }
+ *   Percentages are null when there's nothing to measure yet.
+ */
+function calculatePlanCompliance(sessions, calendar = null, today = toDateStr(new Date())) {
+  const calendarWeeks = {};
+  if (calendar) {
+    getCurrentCalendarWeeks(calendar, sessions, today).forEach(week => {
+      calendarWeeks[week.week_start] = week;
+    });
+  }
+
+  const coachSessions = (sessions || []).filter(s => s.plan_compliance && s.date <= today);
+  const currentWeek = getWeekStart(today);
+  const weeks = [];
+
+  for (let i = COMPLIANCE_WEEKS - 1; i >= 0; i--) {
+    const weekStart = addDays(currentWeek, -7 * i);
+    const weekEnd = addDays(weekStart, 6);
+    const planWeek = calendarWeeks[weekStart];
+    const weekSessions = (sessions || []).filter(s => s.date >= weekStart && s.date <= weekEnd && s.date <= today);
+
+    if (planWeek) {
+      const dueDays = planWeek.days.filter(d => d.slot !== 'event' && d.status !== 'planned');
+      weeks.push({
+        week_start: weekStart,
+        // What the days actually ask for - days are capped, so this can be under the week's target
+        prescribed_m: planWeek.days.reduce((sum, d) => sum + (d.target_distance_m || 0), 0),
+        completed_m: weekSessions.reduce((sum, s) => sum + (s.distance_m || 0), 0),
+        planned_sessions: dueDays.length,
+        completed_sessions: dueDays.filter(d => d.status === 'completed').length,
+        skipped_days: dueDays.filter(d => d.status === 'missed').length
+      });
+    } else {
+      const weekCoachSessions = coachSessions.filter(s => s.date >= weekStart && s.date <= weekEnd);
+      weeks.push({
+        week_start: weekStart,
+        prescribed_m: weekCoachSessions.reduce((sum, s) => sum + (s.plan_compliance.planned_distance_m || 0), 0),
+        completed_m: weekCoachSessions.reduce((sum, s) => sum + (s.distance_m || 0), 0),
+        planned_sessions: weekCoachSessions.length,
+        completed_sessions: weekCoachSessions.length,
+        skipped_days: 0
+      });
+    }
+  }
+
+  const planned = weeks.reduce((sum, w) => sum + w.planned_sessions, 0);
+  const completed = weeks.reduce((sum, w) => sum + w.completed_sessions, 0);
+  const recentCoachSessions = coachSessions.filter(s => s.date >= weeks[0].week_start);
+
+  const mostSkipped = Object.entries(calculateTemplateSkips(sessions, calendar, today))
+    .filter(([, stats]) => stats.skipped > 0)
+    .map(([templateId, stats]) => ({ template_id: templateId, ...stats }))
+    .sort((a, b) => b.skipped - a.skipped || b.skipped / b.prescribed - a.skipped / a.prescribed)
+    .slice(0, 5);
+
+  return {
+    weeks,
+    sessions_done_pct: planned > 0 ? Math.round(completed / planned * 100) : null,
+    avg_completion_pct: recentCoachSessions.length > 0
+      ? Math.round(recentCoachSessions.reduce((sum, s) => sum + s.plan_compliance.completion_pct, 0) / recentCoachSessions.length)
+      : null,
+    skipped_days: weeks.reduce((sum, w) => sum + w.skipped_days, 0),
+    most_skipped: mostSkipped
+  };
+}
+
+// ============================================================================
+// LEGACY SESSION ADAPTATION
+// Legacy recommendations carry `structure` as plain strings. These helpers
+// lift them into planner blocks so the same scaling and pool <-> open water
+// rules apply, then flatten the result back to strings.
+// ============================================================================
+
+/**
+ * Parse legacy string steps ("6x100m freestyle, 20s rest") into a single
+ * planner block with reps, per_rep_m, distance_m and rest_sec filled in
+ */
+function parseLegacyStructure(steps) {
+  const items = (steps || []).map(step => {
+    const text = String(step);
+    const item = { text };
+
+    // "6x100m ..." or an already-adapted "6x 2 min effort (target ~100m)"
+    const reps = text.match(/(\d+)\s*x\s*(\d+)m\b/i);
+    const effort = text.match(/(\d+)x\s*\d+\s*min effort \(target ~(\d+)m\)/i);
+    const effortMin = text.match(/\d+x\s*(\d+)\s*min effort/i);
+    const rest = text.match(/(\d+)s\s*(?:rest|easy float)/i);
+    const distance = text.match(/(\d+)m\b/i);
+
+    if (reps || effort) {
+      const match = reps || effort;
+      item.reps = parseInt(match[1], 10);
+      item.per_rep_m = parseInt(match[2], 10);
+      item.distance_m = item.reps * item.per_rep_m;
+      if (effort) {
+        item.time_based = true;
+        item.effort_min = parseInt(effortMin[1], 10);
+      }
+    } else if (distance) {
+      item.distance_m = parseInt(distance[1], 10);
+    }
+
+    if (rest) {
+      item.rest_sec = parseInt(rest[1], 10);
+    }
+
+    return item;
+  });
+
+  return [{ label: 'Session', items }];
+}
+
+/**
+ * Turn an open water effort back into the pool repeat it came from
+ * ("8x 1 min effort (target ~50m), 15s easy float between - catch-up drill"
+ * -> "8x50m catch-up drill, 15s rest")
+ */
+function restorePoolRepeat(item) {
+  const description = (item.text.match(/min effort \(target ~\d+m\)[^-]*-\s*(.+)$/i) || [])[1];
+  return `${item.reps}x${item.per_rep_m}m ${description || 'steady'}${item.rest_sec ? `, ${item.rest_sec}s rest` : ''}`;
+}
+
+/**
+ * Adapt a legacy tomorrow_session to a new water type and/or distance.
+ * Returns a legacy-shaped session (structure as strings).
+ */
+function adaptLegacySession(session, newType, newDistanceM, metrics) {
+  if (!session || session.type === 'rest') {
+    return session;
+  }
+
+  const structure = parseLegacyStructure(session.structure);
+  const parsedDistance = structure[0].items.reduce((sum, item) => sum + (item.distance_m || 0), 0);
+
+  let plan = {
+    session: {
+      type: session.type,
+      intensity: session.intensity,
+      estimated_duration_min: session.duration_min,
+      total_distance_m: parsedDistance || session.distance_m,
+      structure
+    },
+    derived_from_template: { scaling_notes: 'Legacy session' }
+  };
+
+  if (newDistanceM && newDistanceM !== plan.session.total_distance_m) {
+    plan = scalePlanToDistance(plan, newDistanceM, metrics);
+  }
+
+  let finalStructure = plan.session.structure;
+  let openWaterAddons = [];
+  let safetyNote = null;
+
+  if (newType === 'open_water' && session.type !== 'open_water') {
+    const adaptation = adaptPoolToOpenWater(finalStructure, metrics);
+    finalStructure = adaptation.adapted_structure;
+    openWaterAddons = adaptation.open_water_addons;
+    safetyNote = adaptation.safety_note;
+  } else if (newType === 'pool' && session.type !== 'pool') {
+    // Time-based efforts from an earlier open water adaptation go back to repeats
+    // and open water addon/safety steps are dropped
+    const restored = finalStructure.map(block => ({
+      label: block.label,
+      items: block.items
+        .filter(item => item.distance_m || !/^(sight|practice \d+ buoy|always swim with a buddy)/i.test(item.text))
+        .map(item => item.time_based
+          ? { ...item, time_based: false, text: restorePoolRepeat(item) }
+          : item)
+    }));
+    finalStructure = adaptOpenWaterToPool(restored).adapted_structure;
+  }
+
+  const steps = [];
+  let totalDistance = 0;
+  finalStructure.forEach(block => {
+    block.items.forEach(item => {
+      steps.push(item.text);
+      totalDistance += item.distance_m || 0;
+    });
+  });
+  openWaterAddons.forEach(addon => steps.push(addon));
+  if (safetyNote) {
+    steps.push(safetyNote);
+  }
+
+  return {
+    ...session,
+    type: newType || session.type,
+    duration_min: plan.session.estimated_duration_min,
+    distance_m: totalDistance || plan.session.total_distance_m,
+    structure: steps
+  };
+}
+
+// ============================================================================
+// MULTI-WEEK TRAINING CALENDAR
+// Week-by-week plan from today to event day, built from the same template
+// library as the single-session planner. No randomness: the same inputs
+// always produce the same calendar.
+// ============================================================================
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEK_ORDER = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Default training days when the profile only gives sessions per week
+// (5 days mirrors the Midmar program: Tuesday and Friday off)
+const DEFAULT_TRAINING_DAYS = {
+  1: ['Sat'],
+  2: ['Wed', 'Sat'],
+  3: ['Mon', 'Wed', 'Sat'],
+  4: ['Mon', 'Wed', 'Thu', 'Sat'],
+  5: ['Mon', 'Wed', 'Thu', 'Sat', 'Sun'],
+  6: ['Mon', 'Tue', 'Wed', 'Thu', 'Sat', 'Sun'],
+  7: WEEK_ORDER
+};
+
+// Session type for each training day, by number of training days per week
+const WEEK_SLOTS = {
+  1: ['long'],
+  2: ['quality', 'long'],
+  3: ['technique', 'quality', 'long'],
+  4: ['technique', 'quality', 'endurance', 'long'],
+  5: ['technique', 'endurance', 'technique', 'long', 'recovery'],
+  6: ['technique', 'quality', 'endurance', 'technique', 'long', 'recovery'],
+  7: ['technique', 'quality', 'recovery', 'endurance', 'technique', 'long', 'recovery']
+};
+
+// Template tags that fit each session type
+const SLOT_TAGS = {
+  technique: ['technique'],
+  quality: ['interval', 'race_specific'],
+  endurance: ['endurance'],
+  long: ['long', 'race_specific'],
+  recovery: ['recovery']
+};
+
+// Share of the weekly volume each session type gets (relative weights)
+const SLOT_WEIGHTS = {
+  technique: 0.9,
+  quality: 1.0,
+  endurance: 1.1,
+  long: 1.4,
+  recovery: 0.6
+};
+
+const WEEKLY_PROGRESSION = 0.10; // Max 10% volume increase per week
+const RECOVERY_WEEK_EVERY = 4; // Every 4th build week is a down week
+const RECOVERY_WEEK_FACTOR = 0.8;
+const PEAK_VOLUME_FACTOR = 1.5; // Never plan more than 1.5x current volume
+const TAPER_WEEK_STEP = 0.8; // Each taper week is at most 80% of the week before
+const PHASE_ORDER = ['BUILD', 'SHARPEN', 'TAPER'];
+const MIN_PLANNED_SESSION_M = 400;
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC)
+ */
+function toDateStr(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Add days to a YYYY-MM-DD string
+ */
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateStr(date);
+}
+
+/**
+ * Get the Monday of the week containing a YYYY-MM-DD date
+ */
+function getWeekStart(dateStr) {
+  const day = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  return addDays(dateStr, day === 0 ? -6 : 1 - day);
+}
+
+/**
+ * Whole weeks from one week start (Monday) to another
+ */
+function weeksBetween(fromWeekStart, toWeekStart) {
+  return Math.round(
+    (new Date(`${toWeekStart}T00:00:00Z`) - new Date(`${fromWeekStart}T00:00:00Z`)) /
+    (7 * 24 * 60 * 60 * 1000)
+  );
+}
+
+/**
+ * Resolve the weekdays the swimmer trains on (Mon..Sun order)
+ * @param {Object} profile - Uses availabilityDays, falls back to sessionsPerWeek
+ * @returns {Array<string>} e.g. ['Mon', 'Wed', 'Sat']
+ */
+function getTrainingDays(profile) {
+  if (profile.availabilityDays && profile.availabilityDays.length > 0) {
+    return WEEK_ORDER.filter(day => profile.availabilityDays.includes(day));
+  }
+
+  const count = Math.min(Math.max(profile.sessionsPerWeek || 3, 1), 7);
+  return DEFAULT_TRAINING_DAYS[count];
+}
+
+/**
+ * Pick a template for one calendar day
+ * Rotates through the matching templates by week and day so consecutive
+ * weeks get variety without any randomness.
+ */
+function selectCalendarTemplate(phase, slot, weekIndex, dayIndex, eventProfile) {
+  const phaseTemplates = CoachTemplates.getTemplatesByPhase(phase)
+    .filter(t => t.base_distance_m > 0 && isTemplateForEvent(t, eventProfile));
+
+  let pool = phaseTemplates.filter(t => SLOT_TAGS[slot].some(tag => t.tags.includes(tag)));
+
+  if (phase === 'TAPER') {
+    const taperPool = phaseTemplates.filter(t => t.tags.includes('taper'));
+    if (slot !== 'recovery' && taperPool.length > 0) {
+      pool = taperPool;
+    }
+  } else if (phase === 'SHARPEN' && (slot === 'quality' || slot === 'long')) {
+    const raceSpecific = pool.filter(t => t.tags.includes('race_specific'));
+    if (raceSpecific.length > 0) {
+      pool = raceSpecific;
+    }
+  }
+
+  if (pool.length === 0) {
+    pool = phaseTemplates;
+  }
+  if (pool.length === 0) {
+    return CoachTemplates.getTemplateById('recovery-easy-swim');
+  }
+
+  return pool[(weekIndex + dayIndex) % pool.length];
+}
+
+/**
+ * A week's phase: the phase most of its days before the event fall in (the
+ * later phase on a tie), so a week that only ends in the taper isn't cut to
+ * taper volume
+ */
+function getWeekPhase(event, weekStart, lastTrainingDate) {
+  const counts = { BUILD: 0, SHARPEN: 0, TAPER: 0 };
+  for (let date = weekStart; date <= lastTrainingDate; date = addDays(date, 1)) {
+    counts[determinePhase(event.date, date, event.distance)]++;
+  }
+  return PHASE_ORDER.reduce((best, phase) => counts[phase] >= counts[best] ? phase : best);
+}
+
+/**
+ * Calculate the build-ramp volume for each week before phase adjustment
+ * Recovery weeks only fall in the build: taper weeks hold the last build
+ * volume, and generateTrainingCalendar steps them down from there.
+ * @param {number} baselineVolume - Current weekly volume in metres
+ * @param {Array<string>} weekPhases - Phase of each week (see getWeekPhase)
+ * @param {number} [firstWeekIndex] - Plan week of weekPhases[0], so a re-flowed
+ *                                    plan keeps its ramp and recovery weeks in place
+ */
+function buildWeeklyVolumes(baselineVolume, weekPhases, firstWeekIndex = 0) {
+  const peakVolume = baselineVolume * PEAK_VOLUME_FACTOR;
+  const volumes = [];
+  let buildVolume = baselineVolume;
+
+  weekPhases.forEach((phase, i) => {
+    const planWeek = firstWeekIndex + i;
+    if (phase === 'TAPER') {
+      volumes.push({ volume: buildVolume, recovery_week: false });
+      return;
+    }
+    if (planWeek > 0 && (planWeek + 1) % RECOVERY_WEEK_EVERY === 0) {
+      volumes.push({ volume: buildVolume * RECOVERY_WEEK_FACTOR, recovery_week: true });
+      return;
+    }
+    if (planWeek > 0) {
+      buildVolume = Math.min(buildVolume * (1 + WEEKLY_PROGRESSION), peakVolume);
+    }
+    volumes.push({ volume: buildVolume, recovery_week: false });
+  });
+
+  return volumes;
+}
+
+/**
+ * Mark calendar days as completed or missed from logged sessions
+ */
+function annotateCalendarProgress(days, sessions, today) {
+  days.forEach(day => {
+    if (day.slot === 'event') return;
+
+    const logged = sessions.find(s => s.date === day.date);
+    if (logged) {
+      day.status = 'completed';
+      day.session_id = logged.id;
+      day.actual_distance_m = logged.distance_m || 0;
+    } else if (day.date < today) {
+      day.status = 'missed';
+    } else {
+      day.status = 'planned';
+    }
+  });
+}
+
+// ============================================================================
+// SEASON PLANNING
+// Events carry an A/B/C priority. The plan builds toward the key (A) event;
+// B and C races on the way get a short mini-taper and a few easy days after,
+// and the build carries on around them.
+// ============================================================================
+
+const EVENT_PRIORITIES = ['A', 'B', 'C'];
+const DEFAULT_EVENT_PRIORITY = 'A'; // Events from before priorities were key races
+
+// taper_days: easier days before the race, keeping taper_volume of the
+// planned distance; recovery_days: easy days after, plus one per 5km raced
+const SEASON_RACE_ADJUSTMENTS = {
+  B: { taper_days: 3, taper_volume: 0.6, recovery_days: 2 },
+  C: { taper_days: 1, taper_volume: 0.8, recovery_days: 1 }
+};
+
+/**
+ * An event's priority, A when it has none
+ */
+function getEventPriority(event) {
+  return event && EVENT_PRIORITIES.includes(event.priority) ? event.priority : DEFAULT_EVENT_PRIORITY;
+}
+
+/**
+ * Build the season timeline: races up to and including the key event
+ * Races already swum stay on it until their recovery days are over. Other A
+ * races before the key event are raced like B races.
+ *
+ * @param {Object} keyEvent - The event the plan builds toward { id, name, date, distance }
+ * @param {Array} events - All events (the key event may be among them)
+ * @param {string} [today] - ISO date string (defaults to today)
+ * @returns {Array} Races in date order: { id, name, date, distance_m, priority, key,
+ *                  taper_start, taper_volume, recovery_end }
+ */
+function buildSeasonTimeline(keyEvent, events, today = toDateStr(new Date())) {
+  if (!keyEvent || !keyEvent.date) {
+    return [];
+  }
+
+  const keyProfile = getEventProfile(keyEvent.distance);
+  const timeline = [{
+    id: keyEvent.id || null,
+    name: keyEvent.name || null,
+    date: keyEvent.date,
+    distance_m: keyProfile.distance_m,
+    priority: getEventPriority(keyEvent),
+    key: true,
+    taper_start: addDays(keyEvent.date, -keyProfile.taper_days),
+    taper_volume: keyProfile.volume.TAPER,
+    recovery_end: null
+  }];
+
+  (events || [])
+    .filter(e => e.id !== keyEvent.id && e.date && e.date < keyEvent.date)
+    .forEach(e => {
+      const priority = getEventPriority(e);
+      const adjustment = SEASON_RACE_ADJUSTMENTS[priority] || SEASON_RACE_ADJUSTMENTS.B;
+      const distance = getEventProfile(e.distance).distance_m;
+      const recoveryEnd = addDays(e.date, adjustment.recovery_days + Math.floor(distance / 5000));
+      if (recoveryEnd < today) return;
+
+      timeline.push({
+        id: e.id || null,
+        name: e.name || null,
+        date: e.date,
+        distance_m: distance,
+        priority,
+        key: false,
+        taper_start: addDays(e.date, -adjustment.taper_days),
+        taper_volume: adjustment.taper_volume,
+        recovery_end: recoveryEnd
+      });
+    });
+
+  return timeline.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * How a season race shapes one day, if it does
+ * Race days win over recovery, and recovery over the next race's mini-taper.
+ * The key event is left out - its taper is the plan's TAPER phase.
+ *
+ * @param {Array} timeline - From buildSeasonTimeline
+ * @param {string} date - ISO date string
+ * @returns {Object|null} { race, role } - role is 'race' | 'recovery' | 'mini_taper'
+ */
+function getSeasonDay(timeline, date) {
+  const races = timeline.filter(race => !race.key);
+
+  const race = races.find(r => r.date === date);
+  if (race) return { race, role: 'race' };
+
+  const recovering = races.find(r => date > r.date && date <= r.recovery_end);
+  if (recovering) return { race: recovering, role: 'recovery' };
+
+  const tapering = races.find(r => date >= r.taper_start && date < r.date);
+  if (tapering) return { race: tapering, role: 'mini_taper' };
+
+  return null;
+}
+
+/**
+ * Calendar entry for race day
+ */
+function buildRaceDay(race, phase) {
+  return {
+    date: race.date,
+    day: WEEKDAYS[new Date(`${race.date}T00:00:00Z`).getUTCDay()],
+    phase,
+    slot: 'event',
+    template_id: null,
+    template_name: race.name,
+    intensity: 'race',
+    target_distance_m: race.distance_m,
+    priority: race.priority,
+    status: 'planned',
+    session_id: null
+  };
+}
+
+/**
+ * Generate a multi-week training calendar from today to event day
+ * B and C races in seasonEvents are planned around on the way (see
+ * buildSeasonTimeline); the build toward the key event carries on.
+ *
+ * @param {Object} profile - User profile (availability, weekly volume)
+ * @param {Object} event - Target event { id, name, date, distance, priority }
+ * @param {Array} sessions - All logged sessions
+ * @param {Array} [seasonEvents] - All events, for the races before the key event
+ * @param {string} [today] - ISO date string (defaults to today)
+ * @param {string} [startDate] - Day the plan started (defaults to today); weeks are
+ *                               numbered from its week, which fixes the recovery weeks
+ * @returns {Object|null} Calendar with weeks of planned days, or null if the event has passed
+ */
+function generateTrainingCalendar(profile, event, sessions, seasonEvents = [], today = toDateStr(new Date()), startDate = today) {
+  if (!event || !event.date || event.date < today) {
+    return null;
+  }
+
+  const recentSessions = getSessionsInLastNDays(
+    [...sessions].sort((a, b) => new Date(b.date) - new Date(a.date)),
+    14
+  );
+  const metrics = calculateRecentMetrics(recentSessions);
+
+  const baselineVolume = metrics.sessionCount14Days > 0
+    ? Math.max(metrics.avgWeeklyVolume, MIN_PLANNED_SESSION_M)
+    : (profile.weeklyVolumeEstimate_m || 5000);
+  const maxSessionBase = Math.max(metrics.maxRecentDistance * 1.15, 1400);
+
+  const trainingDays = getTrainingDays(profile);
+  const slots = WEEK_SLOTS[trainingDays.length];
+  const eventProfile = getEventProfile(event.distance);
+  const slotWeights = { ...SLOT_WEIGHTS, long: eventProfile.long_weight };
+  const timeline = buildSeasonTimeline(event, seasonEvents, today);
+
+  const firstWeekStart = getWeekStart(today);
+  const firstWeekIndex = Math.max(weeksBetween(getWeekStart(startDate), firstWeekStart), 0);
+  const weekCount = weeksBetween(firstWeekStart, getWeekStart(event.date)) + 1;
+  const weekPhases = Array.from({ length: weekCount }, (_, i) => {
+    const weekStart = addDays(firstWeekStart, i * 7);
+    const weekEnd = addDays(weekStart, 6);
+    return getWeekPhase(event, weekStart, weekEnd < event.date ? weekEnd : addDays(event.date, -1));
+  });
+  const weeklyVolumes = buildWeeklyVolumes(baselineVolume, weekPhases, firstWeekIndex);
+
+  const weeks = [];
+  let previousTargetVolume = null;
+
+  for (let i = 0; i < weekCount; i++) {
+    const weekIndex = firstWeekIndex + i;
+    const weekStart = addDays(firstWeekStart, i * 7);
+    const weekEnd = addDays(weekStart, 6);
+    const weekPhase = weekPhases[i];
+
+    let targetVolume = roundToNearest(
+      weeklyVolumes[i].volume * eventProfile.volume[weekPhase],
+      100
+    );
+    // The taper only ever comes down, week on week
+    if (weekPhase === 'TAPER' && previousTargetVolume !== null) {
+      targetVolume = Math.min(targetVolume, roundToNearest(previousTargetVolume * TAPER_WEEK_STEP, 100));
+    }
+    previousTargetVolume = targetVolume;
+
+    // Allow the longest session to grow with the build, 5% per week
+    const maxSession = maxSessionBase * Math.pow(1.05, i);
+
+    const days = [];
+    trainingDays.forEach((dayName, dayIndex) => {
+      const date = addDays(weekStart, WEEK_ORDER.indexOf(dayName));
+      if (date >= event.date) return;
+
+      const phase = determinePhase(event.date, date, event.distance);
+      const seasonDay = getSeasonDay(timeline, date);
+      if (seasonDay && seasonDay.role === 'race') return; // Added below as a race day
+
+      // Easy days after a season race; taper sessions in the run-up to one
+      const slot = seasonDay && seasonDay.role === 'recovery' ? 'recovery' : slots[dayIndex];
+      const templatePhase = seasonDay && seasonDay.role === 'mini_taper' ? 'TAPER' : phase;
+      const template = selectCalendarTemplate(templatePhase, slot, weekIndex, dayIndex, eventProfile);
+
+      days.push({
+        date,
+        day: dayName,
+        phase,
+        slot,
+        template_id: template.id,
+        template_name: template.name,
+        intensity: slot === 'recovery' ? 'easy' : template.intensity,
+        target_distance_m: 0,
+        season_role: seasonDay ? seasonDay.role : null,
+        status: 'planned',
+        session_id: null
+      });
+    });
+
+    annotateCalendarProgress(days, sessions, today);
+
+    // Spread what's left of the weekly target over the days still to come
+    const completedVolume = sessions
+      .filter(s => s.date >= weekStart && s.date <= weekEnd)
+      .reduce((sum, s) => sum + (s.distance_m || 0), 0);
+    // Season races count toward the week - racing is training too
+    const weekRaces = timeline.filter(race => race.date >= weekStart && race.date <= weekEnd);
+    const seasonRaceVolume = weekRaces
+      .filter(race => !race.key)
+      .reduce((sum, race) => sum + race.distance_m, 0);
+    const openDays = days.filter(d => d.status === 'planned');
+    const remainingVolume = Math.max(targetVolume - completedVolume - seasonRaceVolume, 0);
+    const totalWeight = openDays.reduce((sum, d) => sum + slotWeights[d.slot], 0);
+    let miniTaperCut = 0;
+
+    days.forEach(d => {
+      const share = d.status === 'planned'
+        ? remainingVolume * slotWeights[d.slot] / totalWeight
+        : targetVolume * slotWeights[d.slot] / (slots.reduce((sum, s) => sum + slotWeights[s], 0));
+      // Long swims build towards the event's long-swim target, never past it
+      const cap = d.slot === 'long' ? Math.min(maxSession, Math.max(eventProfile.long_swim_target_m, MIN_PLANNED_SESSION_M)) : maxSession;
+      let target = Math.min(Math.max(share, MIN_PLANNED_SESSION_M), cap);
+
+      // Mini-taper: drop volume before a season race; the week's target drops with it
+      if (d.season_role === 'mini_taper') {
+        const reduced = Math.max(target * getSeasonDay(timeline, d.date).race.taper_volume, MIN_PLANNED_SESSION_M);
+        miniTaperCut += target - reduced;
+        target = reduced;
+      }
+
+      d.target_distance_m = roundToNearest(target, 50);
+    });
+
+    weekRaces.forEach(race => days.push(buildRaceDay(race, race.key ? 'TAPER' : determinePhase(event.date, race.date, event.distance))));
+    days.sort((a, b) => a.date.localeCompare(b.date));
+
+    weeks.push({
+      index: weekIndex,
+      week_start: weekStart,
+      phase: weekPhase,
+      target_volume_m: roundToNearest(targetVolume - miniTaperCut, 100),
+      completed_volume_m: completedVolume,
+      recovery_week: weeklyVolumes[i].recovery_week,
+      days
+    });
+  }
+
+  return {
+    event_id: event.id,
+    event_name: event.name,
+    event_date: event.date,
+    event_distance_m: eventProfile.distance_m,
+    event_class: eventProfile.id,
+    long_swim_target_m: eventProfile.long_swim_target_m,
+    season: timeline,
+    start_date: startDate,
+    baseline_volume_m: Math.round(baselineVolume),
+    generated_at: new Date().toISOString(),
+    weeks
+  };
+}
+
+/**
+ * Re-flow an existing calendar after a session is logged or missed
+ * Past weeks keep their history; the current week and everything after is
+ * regenerated from the latest training data, so missed sessions lower the
+ * ramp instead of piling extra volume onto the remaining days. Weeks keep
+ * their numbering from the original start, so the recovery weeks stay put.
+ *
+ * @param {Object} calendar - Previously generated calendar
+ * @param {Object} profile - User profile
+ * @param {Object} event - Target event
+ * @param {Array} sessions - All logged sessions
+ * @param {Array} [seasonEvents] - All events, for the races before the key event
+ * @param {string} [today] - ISO date string (defaults to today)
+ * @returns {Object|null} Updated calendar
+ */
+function reflowTrainingCalendar(calendar, profile, event, sessions, seasonEvents = [], today = toDateStr(new Date())) {
+  const fresh = generateTrainingCalendar(profile, event, sessions, seasonEvents, today, calendar ? calendar.start_date : today);
+  if (!fresh || !calendar) {
+    return fresh;
+  }
+
+  const currentWeekStart = getWeekStart(today);
+  const history = calendar.weeks.filter(w => w.week_start < currentWeekStart);
+
+  history.forEach(week => {
+    annotateCalendarProgress(week.days, sessions, today);
+    const weekEnd = addDays(week.week_start, 6);
+    week.completed_volume_m = sessions
+      .filter(s => s.date >= week.week_start && s.date <= weekEnd)
+      .reduce((sum, s) => sum + (s.distance_m || 0), 0);
+  });
+
+  return {
+    ...fresh,
+    weeks: [...history, ...fresh.weeks]
+  };
+}
+
 // Export for use in other modules
-window.CoachPlanner = {
+return {
   determinePhase,
   getDaysToEvent,
+  getEventProfile,
+  EVENT_CLASSES,
   assessReadiness,
   calculateRecentMetrics,
+  calculateTrainingLoad,
+  calculateLoadHistory,
+  calculateSessionLoad,
   selectTemplate,
   scaleTemplate,
   adaptPoolToOpenWater,
@@ -738,6 +2574,30 @@ window.CoachPlanner = {
   validatePlan,
   generateSessionPlan,
   generateRestPlan,
+  generateCssTestPlan,
+  calculateCss,
+  calculatePaceZones,
+  findLatestCssTest,
+  assessMainSet,
+  SPLIT_STROKES,
+  SPLIT_EQUIPMENT,
   adaptPlanToType,
-  scalePlanToDistance
+  scalePlanToDistance,
+  scalePlanToDuration,
+  summarizeCompletion,
+  calculatePlanCompliance,
+  calculateTemplateSkips,
+  calibrateDurationModel,
+  estimateStructureDuration,
+  formatClockTime,
+  parseLegacyStructure,
+  adaptLegacySession,
+  getTrainingDays,
+  EVENT_PRIORITIES,
+  getEventPriority,
+  buildSeasonTimeline,
+  getSeasonDay,
+  generateTrainingCalendar,
+  reflowTrainingCalendar
 };
+});
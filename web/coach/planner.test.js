@@ -0,0 +1,201 @@
+/**
+ * Let's Keep Swimming - Planner tests
+ * Run with `npm test` from server/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CoachPlanner = require('./planner.js');
+
+const MILE = { id: 'midmar', name: 'Midmar Mile', date: '2027-03-20', distance: 1609 };
+const PROFILE = { weeklyVolumeEstimate_m: 6000, sessionsPerWeek: 3 };
+
+function poolSession(date, distance = 2000) {
+  return { id: date, date, type: 'pool', distance_m: distance, time_min: 45, rpe: 5 };
+}
+
+function recoveryWeekIndexes(calendar) {
+  return calendar.weeks.filter(w => w.recovery_week).map(w => w.index);
+}
+
+// ============================================================================
+// TRAINING CALENDAR RE-FLOW (user-001)
+// ============================================================================
+
+test('re-flow keeps recovery weeks where the original plan put them', () => {
+  const original = CoachPlanner.generateTrainingCalendar(PROFILE, MILE, [], [], '2026-10-19');
+  const sessions = ['2026-10-20', '2026-10-22', '2026-10-25', '2026-10-27', '2026-10-29', '2026-11-01'].map(d => poolSession(d));
+
+  const reflowed = CoachPlanner.reflowTrainingCalendar(original, PROFILE, MILE, sessions, [], '2026-11-03');
+
+  assert.equal(reflowed.start_date, '2026-10-19');
+  assert.deepEqual(reflowed.weeks.map(w => w.index), reflowed.weeks.map((_, i) => i));
+  assert.deepEqual(recoveryWeekIndexes(reflowed), recoveryWeekIndexes(original));
+});
+
+test('re-flow marks days gone by without a session as missed', () => {
+  const original = CoachPlanner.generateTrainingCalendar(PROFILE, MILE, [], [], '2026-10-19');
+  const reflowed = CoachPlanner.reflowTrainingCalendar(original, PROFILE, MILE, [], [], '2026-10-28');
+
+  const pastDays = reflowed.weeks.flatMap(w => w.days).filter(d => d.date < '2026-10-28');
+  assert.ok(pastDays.length > 0);
+  pastDays.forEach(day => assert.equal(day.status, 'missed', `${day.date} should be missed`));
+});
+
+test('re-flow moves missed volume onto the days still to come', () => {
+  const profile = { weeklyVolumeEstimate_m: 3000, sessionsPerWeek: 3 };
+  const original = CoachPlanner.generateTrainingCalendar(profile, MILE, [], [], '2026-10-26');
+  const reflowed = CoachPlanner.reflowTrainingCalendar(original, profile, MILE, [], [], '2026-10-29');
+
+  const before = original.weeks[0].days;
+  const after = reflowed.weeks[0].days;
+  assert.deepEqual(after.map(d => d.status), ['missed', 'missed', 'planned']);
+  assert.ok(after[2].target_distance_m > before[2].target_distance_m,
+    `Saturday should grow from ${before[2].target_distance_m}m, got ${after[2].target_distance_m}m`);
+});
+
+test('re-flowing twice on the same day changes nothing', () => {
+  const original = CoachPlanner.generateTrainingCalendar(PROFILE, MILE, [], [], '2026-10-19');
+  const sessions = [poolSession('2026-10-20'), poolSession('2026-10-23')];
+
+  const once = CoachPlanner.reflowTrainingCalendar(original, PROFILE, MILE, sessions, [], '2026-11-10');
+  const twice = CoachPlanner.reflowTrainingCalendar(once, PROFILE, MILE, sessions, [], '2026-11-10');
+
+  assert.deepEqual(twice.weeks, once.weeks);
+});
+
+// ============================================================================
+// LEGACY POOL <-> OPEN WATER ADAPTATION (user-002)
+// ============================================================================
+
+const LEGACY_POOL_SESSION = {
+  type: 'pool',
+  duration_min: 50,
+  distance_m: 1600,
+  intensity: 'moderate',
+  technique_focus: ['catch'],
+  structure: [
+    '400m warm-up',
+    '8x50m catch-up drill, 15s rest',
+    '6x100m freestyle breathing every 3rd stroke, 20s rest',
+    '200m cool-down'
+  ]
+};
+
+test('pool to open water keeps what each repeat asks for and its rest', () => {
+  const openWater = CoachPlanner.adaptLegacySession(LEGACY_POOL_SESSION, 'open_water', null, {});
+
+  assert.equal(openWater.type, 'open_water');
+  assert.match(openWater.structure[1], /^8x \d+ min effort \(target ~50m\), 15s easy float between - catch-up drill$/);
+  assert.match(openWater.structure[2], /20s easy float between - freestyle breathing every 3rd stroke$/);
+  assert.ok(openWater.structure.some(step => /swim with a buddy/i.test(step)));
+});
+
+test('pool to open water and back gives the original session', () => {
+  const openWater = CoachPlanner.adaptLegacySession(LEGACY_POOL_SESSION, 'open_water', null, {});
+  const pool = CoachPlanner.adaptLegacySession(openWater, 'pool', null, {});
+
+  assert.deepEqual(pool.structure, LEGACY_POOL_SESSION.structure);
+  assert.equal(pool.distance_m, 1600);
+});
+
+test('a repeat without rest stays a pool repeat in open water and back', () => {
+  const session = { ...LEGACY_POOL_SESSION, structure: ['400m warm-up', '6x100m freestyle breathing every 3rd stroke', '200m cool-down'] };
+
+  const openWater = CoachPlanner.adaptLegacySession(session, 'open_water', null, {});
+  const pool = CoachPlanner.adaptLegacySession(openWater, 'pool', null, {});
+
+  assert.equal(openWater.structure[1], '6x100m freestyle breathing every 3rd stroke');
+  assert.deepEqual(pool.structure, session.structure);
+});
+
+test('scaling on the way keeps descriptions and rest', () => {
+  const openWater = CoachPlanner.adaptLegacySession(LEGACY_POOL_SESSION, 'open_water', 2400, {});
+  const pool = CoachPlanner.adaptLegacySession(openWater, 'pool', null, {});
+
+  assert.equal(pool.distance_m, 2400);
+  assert.match(pool.structure[1], /^8x\d+m catch-up drill, 15s rest$/);
+  assert.match(pool.structure[2], /^6x\d+m freestyle breathing every 3rd stroke, 20s rest$/);
+});
+
+// ============================================================================
+// TRAINING LOAD (user-019)
+// ============================================================================
+
+const TODAY = '2026-10-19';
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * A session on each of the given days before TODAY (1 = yesterday)
+ */
+function sessionsDaysAgo(daysAgo, timeMin, rpe) {
+  return daysAgo.map(n => ({ id: `s${n}`, date: addDays(TODAY, -n), type: 'pool', distance_m: 2000, time_min: timeMin, rpe }));
+}
+
+function range(from, to) {
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+test('session load is minutes times RPE', () => {
+  assert.equal(CoachPlanner.calculateSessionLoad({ time_min: 45, rpe: 6 }), 270);
+});
+
+test('an even month of training sits at an ACWR of 1', () => {
+  const sessions = sessionsDaysAgo(range(0, 27).filter(n => n % 2 === 0), 45, 5);
+
+  const load = CoachPlanner.calculateTrainingLoad(sessions, TODAY);
+
+  assert.equal(load.established, true);
+  assert.ok(Math.abs(load.acwr - 1) <= 0.15, `acwr ${load.acwr}`);
+  assert.equal(load.zone, 'optimal');
+});
+
+test('a sudden jump in load is high and calls for rest', () => {
+  const usual = sessionsDaysAgo([8, 10, 12, 15, 17, 19, 22, 24, 26], 45, 5);
+  const bigWeek = sessionsDaysAgo(range(0, 6), 75, 8);
+  const sessions = [...usual, ...bigWeek];
+
+  const load = CoachPlanner.calculateTrainingLoad(sessions, TODAY);
+  const readiness = CoachPlanner.assessReadiness(sessions, load);
+
+  assert.ok(load.acwr >= 1.5, `acwr ${load.acwr}`);
+  assert.equal(load.zone, 'high');
+  assert.equal(readiness.status, 'NEEDS_REST');
+  assert.ok(readiness.reasons.some(r => /4-week average/.test(r)), readiness.reasons.join('; '));
+});
+
+test('ACWR does not decide readiness before three weeks of logs', () => {
+  const sessions = sessionsDaysAgo(range(0, 6), 75, 8).concat(sessionsDaysAgo([10], 30, 3));
+
+  const load = CoachPlanner.calculateTrainingLoad(sessions, TODAY);
+  const readiness = CoachPlanner.assessReadiness(sessions, load);
+
+  assert.equal(load.established, false);
+  assert.ok(!readiness.reasons.some(r => /4-week average/.test(r)), readiness.reasons.join('; '));
+});
+
+test('hard every day with little variation shows as monotony and strain', () => {
+  const sessions = sessionsDaysAgo(range(1, 6), 90, 8).concat(sessionsDaysAgo([0], 80, 8));
+
+  const load = CoachPlanner.calculateTrainingLoad(sessions, TODAY);
+
+  assert.ok(load.monotony > 2, `monotony ${load.monotony}`);
+  assert.ok(load.strain > 3000, `strain ${load.strain}`);
+  assert.notEqual(CoachPlanner.assessReadiness(sessions, load).status, 'READY');
+});
+
+test('load history has one point per day, oldest first', () => {
+  const sessions = sessionsDaysAgo([0, 2, 4], 45, 5);
+
+  const history = CoachPlanner.calculateLoadHistory(sessions, 14, TODAY);
+
+  assert.equal(history.length, 14);
+  assert.equal(history[0].date, addDays(TODAY, -13));
+  assert.equal(history.at(-1).date, TODAY);
+  assert.equal(history.at(-1).acute_load, 3 * 45 * 5);
+});
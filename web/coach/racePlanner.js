@@ -0,0 +1,303 @@
+/**
+ * Let's Keep Swimming - Race Planner
+ *
+ * Turns an event into a race-day plan:
+ * - Target pace, from the event's target time, else the predicted finish
+ *   time (see FinishPredictor)
+ * - Per-segment target splits (by lap, or by the event class's split length)
+ * - Feeding and sighting cues
+ * - A warm-up schedule counted back from the start time
+ *
+ * Deterministic, like the session planner: the same event and history always
+ * give the same plan.
+ */
+
+// UMD: attaches to window.RacePlanner in the browser, module.exports under Node
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./planner.js'), require('./finishPredictor.js'));
+  } else {
+    root.RacePlanner = factory(root.CoachPlanner, root.FinishPredictor);
+  }
+})(typeof self !== 'undefined' ? self : this, function (CoachPlanner, FinishPredictor) {
+'use strict';
+
+const MAX_SEGMENTS = 20;
+const SEGMENT_ROUND_M = 50;
+
+// Open water pacing: a quick start to find clear water, an even middle, and
+// a build over the last segment. Normalised so the splits add up to the target.
+const START_PACE_FACTOR = 0.99;
+const FINISH_PACE_FACTOR = 0.98;
+
+// Feeding: races over FEED_FROM_MIN take a feed every FEED_EVERY_MIN;
+// races over GEL_FROM_MIN take a gel before the start instead
+const FEED_FROM_MIN = 75;
+const FEED_EVERY_MIN = 30;
+const GEL_FROM_MIN = 45;
+
+// Sighting: strokes between sights on open stretches (calmer on long swims)
+const SIGHT_EVERY_STROKES = { short: 6, mile: 6, middle: 8, long: 9, marathon: 10 };
+
+// Warm-up schedule, minutes before the start
+const WARMUP_STEPS = [
+  { offset_min: 90, label: 'Arrive, register and get body-marked or chipped' },
+  { offset_min: 60, label: 'Last light snack or drink, then nothing heavy' },
+  { offset_min: 45, label: 'Land warm-up: 10 minutes of arm swings, band pulls and easy mobility' },
+  { offset_min: 30, label: 'Wetsuit or costume on, cap and goggles ready (spare goggles packed)' },
+  { offset_min: 25, label: 'Water warm-up if allowed: 200m easy, 4x25m build, 2x50m at race pace' },
+  { offset_min: 10, label: 'Last toilet stop, then head to the start pen' },
+  { offset_min: 5, label: 'Seed yourself by pace, goggles on, three slow breaths' },
+  { offset_min: 0, label: 'Start' }
+];
+
+/**
+ * Parse a race time: "MM:SS", "H:MM:SS" or whole minutes
+ * @returns {number|null} Seconds, or null if it isn't a time
+ */
+function parseRaceTime(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) > 0 ? Number(text) * 60 : null;
+  }
+  if (!/^\d+(:[0-5]\d){1,2}$/.test(text)) return null;
+
+  const seconds = text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Format seconds as M:SS, or H:MM:SS from an hour up
+ */
+function formatRaceTime(seconds) {
+  const whole = Math.round(seconds);
+  const hours = Math.floor(whole / 3600);
+  const minutes = Math.floor((whole % 3600) / 60);
+  const secs = String(whole % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Clock time an offset before "HH:MM"
+ * @returns {string|null} "HH:MM", or null without a valid start time
+ */
+function clockBefore(startTime, offsetMin) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(startTime || '');
+  if (!match) return null;
+
+  const minutes = ((Number(match[1]) * 60 + Number(match[2]) - offsetMin) % 1440 + 1440) % 1440;
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Race pace per 100m for an event
+ * @returns {Object|null} { pace_per_100_sec, source, note } - source is
+ *                        'target_time' | 'css' | 'recent_pace'; null with no way to tell
+ */
+function estimateRacePace(event, sessions, eventProfile) {
+  const targetSec = parseRaceTime(event.targetTime);
+  if (targetSec) {
+    return {
+      pace_per_100_sec: targetSec / (eventProfile.distance_m / 100),
+      source: 'target_time',
+      note: `From your target time of ${formatRaceTime(targetSec)}`
+    };
+  }
+
+  const prediction = FinishPredictor.predictFinishTime(event, sessions);
+  if (!prediction) {
+    return null;
+  }
+  return {
+    pace_per_100_sec: prediction.time_sec / (eventProfile.distance_m / 100),
+    source: prediction.source,
+    note: `${prediction.note} (range ${formatRaceTime(prediction.low_sec)}-${formatRaceTime(prediction.high_sec)})`
+  };
+}
+
+/**
+ * Split the course into segments: one per lap, else the class's split length
+ * @returns {Array<number>} Segment distances in metres
+ */
+function splitCourse(distanceM, laps, splitEveryM) {
+  if (laps > 1 && laps <= MAX_SEGMENTS) {
+    const lap = Math.round(distanceM / laps);
+    return Array.from({ length: laps }, (_, i) => i < laps - 1 ? lap : distanceM - lap * (laps - 1));
+  }
+
+  const count = Math.min(Math.max(Math.round(distanceM / splitEveryM), 1), MAX_SEGMENTS);
+  const length = Math.round(distanceM / count / SEGMENT_ROUND_M) * SEGMENT_ROUND_M;
+  return Array.from({ length: count }, (_, i) => i < count - 1 ? length : distanceM - length * (count - 1));
+}
+
+/**
+ * What to focus on in each segment
+ */
+function segmentCue(index, count, sightEvery) {
+  if (count === 1) {
+    return `Quick start to find clear water, then settle into race pace and sight every ${sightEvery} strokes. Build over the final 200m.`;
+  }
+  if (index === 0) {
+    return 'Controlled fast start: find clear water or a pair of feet, then settle into rhythm.';
+  }
+  if (index === count - 1) {
+    return 'Build: lift the kick and stroke rate, and empty the tank over the final 200m.';
+  }
+  return `Settle: long strokes, relaxed breathing, sight every ${sightEvery} strokes.`;
+}
+
+/**
+ * Feeding plan for the expected race time
+ * @returns {Array} [{ at_min, at_m, cue }]
+ */
+function planFeeds(totalSec, distanceM) {
+  const totalMin = totalSec / 60;
+
+  if (totalMin > FEED_FROM_MIN) {
+    const feeds = [];
+    for (let atMin = FEED_EVERY_MIN; atMin < totalMin - 10; atMin += FEED_EVERY_MIN) {
+      feeds.push({
+        at_min: atMin,
+        at_m: Math.round((atMin / totalMin) * distanceM / 100) * 100,
+        cue: 'Feed: 150-250ml carb drink or a gel, on your back, in under 30 seconds'
+      });
+    }
+    return feeds;
+  }
+
+  if (totalMin > GEL_FROM_MIN) {
+    return [{ at_min: -15, at_m: 0, cue: 'Gel and a few sips of water 15 minutes before the start - no feeds needed in the race' }];
+  }
+
+  return [];
+}
+
+/**
+ * Generate the race-day plan for an event
+ *
+ * @param {Object} event - { id, name, date, distance, targetTime, startTime, laps }
+ * @param {Array} sessions - All logged sessions (CSS tests, recent pace)
+ * @returns {Object|null} Race plan, or null when there's no pace to plan from
+ */
+function generateRacePlan(event, sessions) {
+  const eventProfile = CoachPlanner.getEventProfile(event.distance);
+  const pace = estimateRacePace(event, sessions, eventProfile);
+  if (!pace) {
+    return null;
+  }
+
+  const distance = eventProfile.distance_m;
+  const laps = Math.max(parseInt(event.laps, 10) || 1, 1);
+  const sightEvery = SIGHT_EVERY_STROKES[eventProfile.id];
+  const segmentDistances = splitCourse(distance, laps, eventProfile.split_every_m);
+  const count = segmentDistances.length;
+
+  // Pace factor per segment, scaled so the whole race takes the target time
+  const factors = segmentDistances.map((_, i) => {
+    if (count === 1) return 1;
+    if (i === 0) return START_PACE_FACTOR;
+    if (i === count - 1) return FINISH_PACE_FACTOR;
+    return 1;
+  });
+  const totalSec = pace.pace_per_100_sec * distance / 100;
+  const rawSec = segmentDistances.map((d, i) => pace.pace_per_100_sec * d / 100 * factors[i]);
+  const scale = totalSec / rawSec.reduce((sum, sec) => sum + sec, 0);
+
+  let fromM = 0;
+  let cumulativeSec = 0;
+  const segments = segmentDistances.map((d, i) => {
+    const targetSec = rawSec[i] * scale;
+    cumulativeSec += targetSec;
+    const segment = {
+      index: i + 1,
+      label: laps > 1 ? `Lap ${i + 1}` : `${fromM}-${fromM + d}m`,
+      from_m: fromM,
+      to_m: fromM + d,
+      distance_m: d,
+      target_sec: Math.round(targetSec),
+      cumulative_sec: Math.round(cumulativeSec),
+      pace_per_100_sec: Math.round(targetSec / (d / 100)),
+      cue: segmentCue(i, count, sightEvery)
+    };
+    fromM += d;
+    return segment;
+  });
+
+  const warmup = WARMUP_STEPS.map(step => ({
+    offset_min: step.offset_min,
+    clock: clockBefore(event.startTime, step.offset_min),
+    label: step.label
+  }));
+
+  return {
+    event: {
+      id: event.id || null,
+      name: event.name || null,
+      date: event.date || null,
+      distance_m: distance,
+      class: eventProfile.id,
+      start_time: clockBefore(event.startTime, 0),
+      laps
+    },
+    target_time_sec: Math.round(totalSec),
+    pace_per_100_sec: Math.round(pace.pace_per_100_sec),
+    pace_source: pace.source,
+    pace_note: pace.note,
+    segments,
+    feeds: planFeeds(totalSec, distance),
+    sighting: {
+      every_strokes: sightEvery,
+      cues: [
+        'During warm-up, pick a tall landmark behind each turn buoy',
+        'Sight every 3-4 strokes within 50m of a buoy and on the final approach',
+        'Eyes up just long enough to see, then roll straight into your breath'
+      ]
+    },
+    warmup,
+    generated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Plain-text race card, for sharing and copying
+ */
+function formatRaceCardText(plan) {
+  const lines = [
+    `🏊 ${plan.event.name || 'Race'} - ${(plan.event.distance_m / 1000).toFixed(1)}km${plan.event.date ? ` on ${plan.event.date}` : ''}`,
+    `Target: ${formatRaceTime(plan.target_time_sec)} (${CoachPlanner.formatClockTime(plan.pace_per_100_sec)}/100m)`,
+    '',
+    'SPLITS'
+  ];
+  plan.segments.forEach(s => {
+    lines.push(`${s.label}: ${formatRaceTime(s.target_sec)} (at ${formatRaceTime(s.cumulative_sec)}) - ${s.cue}`);
+  });
+
+  if (plan.feeds.length > 0) {
+    lines.push('', 'FEEDS');
+    plan.feeds.forEach(f => {
+      lines.push(f.at_min > 0 ? `${f.at_min} min (~${f.at_m}m): ${f.cue}` : f.cue);
+    });
+  }
+
+  lines.push('', `SIGHTING: every ${plan.sighting.every_strokes} strokes`);
+  plan.sighting.cues.forEach(cue => lines.push(`- ${cue}`));
+
+  lines.push('', 'WARM-UP');
+  plan.warmup.forEach(step => {
+    const when = step.clock || (step.offset_min > 0 ? `-${step.offset_min} min` : 'Gun');
+    lines.push(`${when}: ${step.label}`);
+  });
+
+  return lines.join('\n');
+}
+
+// Export for use in other modules
+return {
+  parseRaceTime,
+  formatRaceTime,
+  estimateRacePace,
+  generateRacePlan,
+  formatRaceCardText
+};
+});
@@ -0,0 +1,368 @@
+/**
+ * Let's Keep Swimming - Race Review
+ *
+ * Looks back at a race once its result is in:
+ * - The official time against the target time and the finish time the
+ *   swimmer's fitness predicted going in
+ * - GPS distance against the course distance
+ * - The training block before the race: weekly volume, longest swims and
+ *   how well the taper was kept
+ *
+ * The review is built once when the result is logged and stored with it, so
+ * it still reads the same after sessions are edited or deleted.
+ */
+
+// UMD: attaches to window.RaceReview in the browser, module.exports under Node
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./planner.js'), require('./racePlanner.js'), require('./finishPredictor.js'), require('../effort.js'));
+  } else {
+    root.RaceReview = factory(root.CoachPlanner, root.RacePlanner, root.FinishPredictor, root.Effort);
+  }
+})(typeof self !== 'undefined' ? self : this, function (CoachPlanner, RacePlanner, FinishPredictor, Effort) {
+'use strict';
+
+// Training block reviewed before the race: up to REVIEW_WEEKS, with empty
+// weeks at the start trimmed down to MIN_REVIEW_WEEKS
+const REVIEW_WEEKS = 12;
+const MIN_REVIEW_WEEKS = 8;
+
+const LONGEST_SWIM_COUNT = 3;
+
+// Taper depth is measured against the average week over this many weeks
+// before the taper began
+const TAPER_BASELINE_WEEKS = 4;
+
+// Percentage points either side of the planned volume cut that still count
+// as keeping the taper
+const TAPER_TOLERANCE_PCT = 15;
+
+/**
+ * Add days to a YYYY-MM-DD string
+ */
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Sessions logged between two dates (inclusive)
+ */
+function sessionsBetween(sessions, from, to) {
+  return sessions.filter(s => s.date >= from && s.date <= to);
+}
+
+function totalDistance(sessions) {
+  return sessions.reduce((sum, s) => sum + (s.distance_m || 0), 0);
+}
+
+/**
+ * Describe a time difference, e.g. "1:05 faster than"
+ */
+function describeDifference(diffSec) {
+  if (Math.abs(diffSec) < 1) return 'right on';
+  return `${RacePlanner.formatRaceTime(Math.abs(diffSec))} ${diffSec < 0 ? 'faster than' : 'slower than'}`;
+}
+
+/**
+ * Compare the official time with the target and the predicted time
+ *
+ * @param {Object} event - { distance, targetTime }
+ * @param {number} timeSec - Official time in seconds
+ * @param {Object|null} prediction - From FinishPredictor.predictFinishTime
+ * @returns {Object} { time_sec, pace_per_100_sec, target_sec, vs_target_sec,
+ *   vs_target_pct, predicted_sec, predicted_low_sec, predicted_high_sec,
+ *   predicted_source, vs_predicted_sec, vs_predicted_pct, within_band,
+ *   notes } - differences are positive when slower
+ */
+function compareResult(event, timeSec, prediction) {
+  const distance = CoachPlanner.getEventProfile(event.distance).distance_m;
+  const targetSec = RacePlanner.parseRaceTime(event.targetTime);
+  const notes = [];
+
+  const comparison = {
+    time_sec: timeSec,
+    pace_per_100_sec: Math.round(timeSec / (distance / 100)),
+    target_sec: targetSec,
+    vs_target_sec: null,
+    vs_target_pct: null,
+    predicted_sec: prediction ? prediction.time_sec : null,
+    predicted_low_sec: prediction ? prediction.low_sec : null,
+    predicted_high_sec: prediction ? prediction.high_sec : null,
+    predicted_source: prediction ? prediction.source : null,
+    vs_predicted_sec: null,
+    vs_predicted_pct: null,
+    within_band: null,
+    notes
+  };
+
+  if (targetSec) {
+    comparison.vs_target_sec = timeSec - targetSec;
+    comparison.vs_target_pct = Math.round((timeSec - targetSec) / targetSec * 1000) / 10;
+    notes.push(`${describeDifference(comparison.vs_target_sec)} your target of ${RacePlanner.formatRaceTime(targetSec)}`);
+  }
+
+  if (prediction) {
+    comparison.vs_predicted_sec = timeSec - prediction.time_sec;
+    comparison.vs_predicted_pct = Math.round((timeSec - prediction.time_sec) / prediction.time_sec * 1000) / 10;
+    comparison.within_band = timeSec >= prediction.low_sec && timeSec <= prediction.high_sec;
+    notes.push(`${describeDifference(comparison.vs_predicted_sec)} the ${RacePlanner.formatRaceTime(prediction.time_sec)} your training predicted - ${comparison.within_band ? 'inside' : 'outside'} the ${RacePlanner.formatRaceTime(prediction.low_sec)}-${RacePlanner.formatRaceTime(prediction.high_sec)} range`);
+  }
+
+  return comparison;
+}
+
+/**
+ * GPS distance against the course: extra metres and what they cost
+ * @returns {Object|null} { gps_distance_m, course_distance_m, extra_m, extra_pct, extra_sec, note }
+ */
+function compareCourseDistance(gpsDistanceM, courseDistanceM, pacePer100Sec) {
+  if (!(gpsDistanceM > 0)) return null;
+
+  const extra = Math.round(gpsDistanceM - courseDistanceM);
+  const extraPct = Math.round(extra / courseDistanceM * 1000) / 10;
+  const extraSec = extra > 0 ? Math.round(extra / 100 * pacePer100Sec) : 0;
+
+  return {
+    gps_distance_m: Math.round(gpsDistanceM),
+    course_distance_m: courseDistanceM,
+    extra_m: extra,
+    extra_pct: extraPct,
+    extra_sec: extraSec,
+    note: extra > 0
+      ? `You swam ${extra}m (${extraPct}%) further than the course - about ${RacePlanner.formatRaceTime(extraSec)} at race pace. GPS runs long in open water, but straighter lines are free time.`
+      : 'Your GPS distance matched the course - tidy lines.'
+  };
+}
+
+/**
+ * Weekly volume over the block before the race, counted back from race day
+ * @returns {Array} [{ weeks_out, start, end, volume_m, sessions, longest_m, hard_sessions }]
+ */
+function buildVolumeCurve(raceDate, sessions) {
+  const weeks = [];
+  for (let weeksOut = REVIEW_WEEKS; weeksOut >= 1; weeksOut--) {
+    const start = addDays(raceDate, -7 * weeksOut);
+    const end = addDays(start, 6);
+    const weekSessions = sessionsBetween(sessions, start, end);
+    weeks.push({
+      weeks_out: weeksOut,
+      start,
+      end,
+      volume_m: totalDistance(weekSessions),
+      sessions: weekSessions.length,
+      longest_m: Math.max(0, ...weekSessions.map(s => s.distance_m || 0)),
+      hard_sessions: weekSessions.filter(s => Effort.getSessionEffort(s) === 'hard').length
+    });
+  }
+
+  // Trim weeks before the swimmer started logging, keeping the minimum block
+  const firstActive = weeks.findIndex(w => w.sessions > 0);
+  const trim = Math.min(firstActive === -1 ? weeks.length : firstActive, REVIEW_WEEKS - MIN_REVIEW_WEEKS);
+  return weeks.slice(trim);
+}
+
+/**
+ * How the taper went: the volume cut against the plan for the distance, and
+ * the saved training calendar's taper days against what was swum
+ *
+ * @param {Object} eventProfile - From CoachPlanner.getEventProfile
+ * @param {string} raceDate - YYYY-MM-DD
+ * @param {Array} sessions - Sessions before the race
+ * @param {Object|null} calendar - Saved training calendar for the event
+ * @returns {Object} { taper_days, start, volume_m, weekly_volume_m,
+ *   baseline_week_m, reduction_pct, target_reduction_pct, verdict,
+ *   planned_m, planned_sessions, completed_sessions, hard_sessions,
+ *   last_hard_days_out, note } - verdict is 'on_target' | 'too_little' |
+ *   'too_much' | 'no_data'
+ */
+function assessTaper(eventProfile, raceDate, sessions, calendar) {
+  const taperDays = eventProfile.taper_days;
+  const start = addDays(raceDate, -taperDays);
+  const taperSessions = sessionsBetween(sessions, start, addDays(raceDate, -1));
+  const volume = totalDistance(taperSessions);
+  const weeklyVolume = Math.round(volume * 7 / taperDays);
+
+  const baselineSessions = sessionsBetween(sessions, addDays(start, -7 * TAPER_BASELINE_WEEKS), addDays(start, -1));
+  const baselineWeek = Math.round(totalDistance(baselineSessions) / TAPER_BASELINE_WEEKS);
+  const targetReduction = Math.round((1 - eventProfile.volume.TAPER) * 100);
+
+  let reduction = null;
+  let verdict = 'no_data';
+  if (baselineWeek > 0) {
+    reduction = Math.round((1 - weeklyVolume / baselineWeek) * 100);
+    if (reduction < targetReduction - TAPER_TOLERANCE_PCT) {
+      verdict = 'too_little';
+    } else if (reduction > targetReduction + TAPER_TOLERANCE_PCT) {
+      verdict = 'too_much';
+    } else {
+      verdict = 'on_target';
+    }
+  }
+
+  // Planned taper days from the saved calendar, marked off against the log
+  let planned = null;
+  if (calendar && calendar.weeks) {
+    const swumOn = new Set(sessions.map(s => s.date));
+    const days = calendar.weeks
+      .flatMap(week => week.days)
+      .filter(day => day.date >= start && day.date < raceDate && day.slot !== 'event');
+    planned = {
+      planned_m: days.reduce((sum, day) => sum + (day.target_distance_m || 0), 0),
+      planned_sessions: days.length,
+      completed_sessions: days.filter(day => swumOn.has(day.date)).length
+    };
+  }
+
+  const hard = taperSessions.filter(s => Effort.getSessionEffort(s) === 'hard');
+  const lastHard = hard.map(s => s.date).sort().pop();
+  const lastHardDaysOut = lastHard
+    ? Math.round((new Date(`${raceDate}T00:00:00Z`) - new Date(`${lastHard}T00:00:00Z`)) / (24 * 60 * 60 * 1000))
+    : null;
+
+  const notes = {
+    on_target: `Volume came down ${reduction}% over the last ${taperDays} days - right around the ${targetReduction}% planned for this distance.`,
+    too_little: `Volume only came down ${reduction}% over the last ${taperDays} days against ${targetReduction}% planned - you may have raced on tired arms.`,
+    too_much: `Volume came down ${reduction}% over the last ${taperDays} days against ${targetReduction}% planned - a deeper cut than needed, which can leave you flat.`,
+    no_data: 'Not enough swims logged before the taper to judge it.'
+  };
+
+  return {
+    taper_days: taperDays,
+    start,
+    volume_m: volume,
+    weekly_volume_m: weeklyVolume,
+    baseline_week_m: baselineWeek,
+    reduction_pct: reduction,
+    target_reduction_pct: targetReduction,
+    verdict,
+    planned_m: planned ? planned.planned_m : null,
+    planned_sessions: planned ? planned.planned_sessions : null,
+    completed_sessions: planned ? planned.completed_sessions : null,
+    hard_sessions: hard.length,
+    last_hard_days_out: lastHardDaysOut,
+    note: notes[verdict]
+  };
+}
+
+/**
+ * Build the review for a race result
+ *
+ * @param {Object} event - { id, name, date, distance, targetTime }
+ * @param {Object} result - { official_time, position, field_size, conditions, gps_distance_m }
+ * @param {Array} sessions - All logged sessions (only those before race day are used)
+ * @param {Object|null} [calendar] - Saved training calendar for the event
+ * @returns {Object|null} Review, or null if the official time can't be read
+ */
+function buildRaceReview(event, result, sessions, calendar = null) {
+  const timeSec = RacePlanner.parseRaceTime(result.official_time);
+  if (!timeSec) {
+    return null;
+  }
+
+  const eventProfile = CoachPlanner.getEventProfile(event.distance);
+  const before = (sessions || []).filter(s => s.date < event.date);
+  const prediction = FinishPredictor.predictFinishTime(event, before, `${event.date}T00:00:00Z`);
+  const comparison = compareResult(event, timeSec, prediction);
+
+  const weeks = buildVolumeCurve(event.date, before);
+  const blockStart = weeks[0].start;
+  const blockSessions = sessionsBetween(before, blockStart, addDays(event.date, -1));
+  const peak = weeks.reduce((best, w) => w.volume_m > best.volume_m ? w : best, weeks[0]);
+
+  return {
+    event: {
+      id: event.id || null,
+      name: event.name || null,
+      date: event.date,
+      distance_m: eventProfile.distance_m,
+      class: eventProfile.id
+    },
+    result: {
+      official_time: RacePlanner.formatRaceTime(timeSec),
+      position: result.position || null,
+      field_size: result.field_size || null,
+      conditions: result.conditions || null
+    },
+    comparison,
+    course: compareCourseDistance(result.gps_distance_m, eventProfile.distance_m, comparison.pace_per_100_sec),
+    training: {
+      weeks,
+      block_start: blockStart,
+      total_m: totalDistance(blockSessions),
+      sessions: blockSessions.length,
+      avg_week_m: Math.round(totalDistance(blockSessions) / weeks.length),
+      peak_week: { weeks_out: peak.weeks_out, volume_m: peak.volume_m },
+      weeks_trained: weeks.filter(w => w.sessions > 0).length
+    },
+    longest_swims: [...blockSessions]
+      .sort((a, b) => (b.distance_m || 0) - (a.distance_m || 0))
+      .slice(0, LONGEST_SWIM_COUNT)
+      .filter(s => s.distance_m > 0)
+      .map(s => ({
+        date: s.date,
+        distance_m: s.distance_m,
+        time_min: s.time_min || null,
+        type: s.type || null
+      })),
+    taper: assessTaper(eventProfile, event.date, before, calendar),
+    generated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Plain-text race report, for exporting
+ */
+function formatReviewText(review) {
+  const formatRaceTime = RacePlanner.formatRaceTime;
+  const { result, comparison, course, training, taper } = review;
+
+  const lines = [
+    `🏁 ${review.event.name || 'Race'} - ${(review.event.distance_m / 1000).toFixed(1)}km on ${review.event.date}`,
+    `Official time: ${result.official_time} (${CoachPlanner.formatClockTime(comparison.pace_per_100_sec)}/100m)`
+  ];
+  if (result.position) {
+    lines.push(`Placing: ${result.position}${result.field_size ? ` of ${result.field_size}` : ''}`);
+  }
+  if (result.conditions) {
+    lines.push(`Conditions: ${result.conditions}`);
+  }
+  comparison.notes.forEach(note => lines.push(`- ${note.charAt(0).toUpperCase()}${note.slice(1)}`));
+  if (course) {
+    lines.push(`- ${course.note}`);
+  }
+
+  lines.push('', `TRAINING - ${training.weeks.length} weeks before the race`);
+  lines.push(`${(training.total_m / 1000).toFixed(1)}km over ${training.sessions} swims, ${(training.avg_week_m / 1000).toFixed(1)}km a week on average`);
+  lines.push(`Peak week: ${(training.peak_week.volume_m / 1000).toFixed(1)}km, ${training.peak_week.weeks_out} weeks out`);
+  training.weeks.forEach(w => {
+    lines.push(`Week -${w.weeks_out} (${w.start}): ${(w.volume_m / 1000).toFixed(1)}km, ${w.sessions} swims`);
+  });
+
+  if (review.longest_swims.length > 0) {
+    lines.push('', 'LONGEST SWIMS');
+    review.longest_swims.forEach(s => {
+      lines.push(`${s.date}: ${s.distance_m}m${s.time_min ? ` in ${s.time_min} min` : ''}`);
+    });
+  }
+
+  lines.push('', `TAPER - last ${taper.taper_days} days`, taper.note);
+  if (taper.planned_sessions !== null) {
+    lines.push(`Planned swims done: ${taper.completed_sessions} of ${taper.planned_sessions}`);
+  }
+  if (taper.last_hard_days_out !== null) {
+    lines.push(`Last hard swim: ${taper.last_hard_days_out} days before the race`);
+  }
+
+  return lines.join('\n');
+}
+
+// Export for use in other modules
+return {
+  REVIEW_WEEKS,
+  compareResult,
+  buildRaceReview,
+  formatReviewText
+};
+});
@@ -7,8 +7,25 @@
  * Template sources:
  * - 6-week intermediate (1 mile focus)
  * - 9-week intermediate (progressive build)
+ * - Long-distance (3km to marathon swims)
  */
 
+// UMD: attaches to window.CoachTemplates in the browser, module.exports under Node
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CoachTemplates = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+// Item fields: text, distance_m, and for repeats reps, per_rep_m and rest_sec.
+// sendoff: true marks repeats swum on the pace clock ("8x100m @ 1:50"); the
+// planner works out the send-off from the swimmer's pace when it scales.
+// time_trial: true marks a test swim whose distance must never change.
+// event_classes (optional) limits a template to those race distances, by
+// CoachPlanner event class id: short, mile, middle, long, marathon.
 const TEMPLATES = {
   // ============================================
   // 6-WEEK INTERMEDIATE TEMPLATES
@@ -36,7 +53,7 @@ const TEMPLATES = {
       {
         label: 'Main set',
         items: [
-          { text: '8x100m freestyle at moderate pace (aim for consistent splits), 20 sec rest between each', distance_m: 800, reps: 8, per_rep_m: 100, rest_sec: 20 }
+          { text: '8x100m freestyle at moderate pace (aim for consistent splits), 20 sec rest between each', distance_m: 800, reps: 8, per_rep_m: 100, rest_sec: 20, sendoff: true }
         ]
       },
       {
@@ -77,7 +94,7 @@ const TEMPLATES = {
       {
         label: 'Main set',
         items: [
-          { text: '4x200m freestyle steady pace (breathe every 3 strokes), 30 sec rest between each', distance_m: 800, reps: 4, per_rep_m: 200, rest_sec: 30 }
+          { text: '4x200m freestyle steady pace (breathe every 3 strokes), 30 sec rest between each', distance_m: 800, reps: 4, per_rep_m: 200, rest_sec: 30, sendoff: true }
         ]
       },
       {
@@ -150,7 +167,7 @@ const TEMPLATES = {
       {
         label: 'Main set',
         items: [
-          { text: '10x100m freestyle at moderate-hard pace, 15 sec rest. First 50m strong, second 50m hold pace.', distance_m: 1000, reps: 10, per_rep_m: 100, rest_sec: 15 }
+          { text: '10x100m freestyle at moderate-hard pace, 15 sec rest. First 50m strong, second 50m hold pace.', distance_m: 1000, reps: 10, per_rep_m: 100, rest_sec: 15, sendoff: true }
         ]
       },
       {
@@ -219,6 +236,7 @@ const TEMPLATES = {
     source: '6-week',
     tags: ['race_specific', 'long', 'sharpen'],
     phase_fit: ['SHARPEN'],
+    event_classes: ['short', 'mile'],
     intensity: 'moderate',
     base_distance_m: 1900,
     base_duration_min_est: 55,
@@ -268,7 +286,7 @@ const TEMPLATES = {
       {
         label: 'Main set',
         items: [
-          { text: '8x200m freestyle at moderate-hard sustained effort. Hold the same pace across all 8. Focus on strong catch and steady kick. 20 sec rest between each.', distance_m: 1600, reps: 8, per_rep_m: 200, rest_sec: 20 }
+          { text: '8x200m freestyle at moderate-hard sustained effort. Hold the same pace across all 8. Focus on strong catch and steady kick. 20 sec rest between each.', distance_m: 1600, reps: 8, per_rep_m: 200, rest_sec: 20, sendoff: true }
         ]
       },
       {
@@ -302,7 +320,7 @@ const TEMPLATES = {
       {
         label: 'Main set - Descending 300s',
         items: [
-          { text: '6x300m freestyle DESCENDING (each 300m should be faster than the last): #1 easy, #2 easy-moderate, #3 moderate, #4 moderate-hard, #5 hard, #6 sprint finish! 30 sec rest between each.', distance_m: 1800, reps: 6, per_rep_m: 300, rest_sec: 30 }
+          { text: '6x300m freestyle DESCENDING (each 300m should be faster than the last): #1 easy, #2 easy-moderate, #3 moderate, #4 moderate-hard, #5 hard, #6 sprint finish! 30 sec rest between each.', distance_m: 1800, reps: 6, per_rep_m: 300, rest_sec: 30, sendoff: true }
         ]
       },
       {
@@ -322,6 +340,7 @@ const TEMPLATES = {
     source: '6-week',
     tags: ['race_specific', 'long', 'taper'],
     phase_fit: ['SHARPEN', 'TAPER'],
+    event_classes: ['short', 'mile'],
     intensity: 'moderate',
     base_distance_m: 2000,
     base_duration_min_est: 55,
@@ -368,7 +387,7 @@ const TEMPLATES = {
       {
         label: 'Race pace practice',
         items: [
-          { text: '4x100m freestyle at RACE PACE - this is the pace you want to hold on race day. Feel confident. 30 sec rest between each.', distance_m: 400, reps: 4, per_rep_m: 100, rest_sec: 30 }
+          { text: '4x100m freestyle at RACE PACE - this is the pace you want to hold on race day. Feel confident. 30 sec rest between each.', distance_m: 400, reps: 4, per_rep_m: 100, rest_sec: 30, sendoff: true }
         ]
       },
       {
@@ -469,7 +488,7 @@ const TEMPLATES = {
       {
         label: 'Main set - Endurance blocks',
         items: [
-          { text: '3x400m freestyle at steady moderate pace. Break it into 100m chunks mentally. Stay relaxed, consistent stroke rate. 45 sec rest between each 400m.', distance_m: 1200, reps: 3, per_rep_m: 400, rest_sec: 45 }
+          { text: '3x400m freestyle at steady moderate pace. Break it into 100m chunks mentally. Stay relaxed, consistent stroke rate. 45 sec rest between each 400m.', distance_m: 1200, reps: 3, per_rep_m: 400, rest_sec: 45, sendoff: true }
         ]
       },
       {
@@ -507,7 +526,7 @@ const TEMPLATES = {
       {
         label: 'Main set',
         items: [
-          { text: '2x600m negative split (second half faster than first), 60 seconds rest', distance_m: 1200, reps: 2, per_rep_m: 600, rest_sec: 60 }
+          { text: '2x600m negative split (second half faster than first), 60 seconds rest', distance_m: 1200, reps: 2, per_rep_m: 600, rest_sec: 60, sendoff: true }
         ]
       },
       {
@@ -574,7 +593,7 @@ const TEMPLATES = {
       {
         label: 'Sprint set',
         items: [
-          { text: '8x50m freestyle SPRINTS - GO FAST! Max effort for each 50m. 30 sec rest between each to recover fully.', distance_m: 400, reps: 8, per_rep_m: 50, rest_sec: 30 }
+          { text: '8x50m freestyle SPRINTS - GO FAST! Max effort for each 50m. 30 sec rest between each to recover fully.', distance_m: 400, reps: 8, per_rep_m: 50, rest_sec: 30, sendoff: true }
         ]
       },
       {
@@ -587,7 +606,7 @@ const TEMPLATES = {
       {
         label: 'Race pace set',
         items: [
-          { text: '4x100m freestyle at race pace - this is your goal pace for the event. Strong but sustainable. 20 sec rest.', distance_m: 400, reps: 4, per_rep_m: 100, rest_sec: 20 }
+          { text: '4x100m freestyle at race pace - this is your goal pace for the event. Strong but sustainable. 20 sec rest.', distance_m: 400, reps: 4, per_rep_m: 100, rest_sec: 20, sendoff: true }
         ]
       },
       {
@@ -605,6 +624,7 @@ const TEMPLATES = {
     source: '9-week',
     tags: ['race_specific', 'sharpen'],
     phase_fit: ['SHARPEN'],
+    event_classes: ['short', 'mile'],
     intensity: 'moderate',
     base_distance_m: 2000,
     base_duration_min_est: 55,
@@ -618,7 +638,7 @@ const TEMPLATES = {
       {
         label: 'Main set',
         items: [
-          { text: '4x400m at race pace, 15 seconds rest (minimal recovery simulates continuous effort)', distance_m: 1600, reps: 4, per_rep_m: 400, rest_sec: 15 }
+          { text: '4x400m at race pace, 15 seconds rest (minimal recovery simulates continuous effort)', distance_m: 1600, reps: 4, per_rep_m: 400, rest_sec: 15, sendoff: true }
         ]
       },
       {
@@ -654,7 +674,7 @@ const TEMPLATES = {
         label: 'Main set - Mixed intensity',
         items: [
           { text: '400m freestyle steady - find your cruise pace, breathe every 3 strokes', distance_m: 400 },
-          { text: '4x100m freestyle moderate-hard - push the pace, 15 sec rest between each', distance_m: 400, reps: 4, per_rep_m: 100, rest_sec: 15 },
+          { text: '4x100m freestyle moderate-hard - push the pace, 15 sec rest between each', distance_m: 400, reps: 4, per_rep_m: 100, rest_sec: 15, sendoff: true },
           { text: '400m freestyle steady - return to cruise pace, controlled effort', distance_m: 400 }
         ]
       },
@@ -735,7 +755,7 @@ const TEMPLATES = {
       {
         label: 'Main set - Stay sharp',
         items: [
-          { text: '4x100m freestyle at moderate pace - keep the feel for the water, dont push too hard. 30 sec rest.', distance_m: 400, reps: 4, per_rep_m: 100, rest_sec: 30 }
+          { text: '4x100m freestyle at moderate pace - keep the feel for the water, dont push too hard. 30 sec rest.', distance_m: 400, reps: 4, per_rep_m: 100, rest_sec: 30, sendoff: true }
         ]
       },
       {
@@ -754,6 +774,178 @@ const TEMPLATES = {
     ]
   },
 
+  // ============================================
+  // LONG-DISTANCE TEMPLATES (3km+ events)
+  // ============================================
+
+  'ld-long-steady-3000': {
+    id: 'ld-long-steady-3000',
+    name: '3000m Long Steady Swim',
+    source: 'long-distance',
+    tags: ['endurance', 'long', 'build'],
+    phase_fit: ['BUILD'],
+    event_classes: ['middle', 'long', 'marathon'],
+    intensity: 'moderate',
+    base_distance_m: 3400,
+    base_duration_min_est: 75,
+    structure: [
+      {
+        label: 'Warm-up',
+        items: [
+          { text: '200m freestyle easy - long smooth strokes', distance_m: 200 },
+          { text: '100m choice stroke - loosen shoulders', distance_m: 100 }
+        ]
+      },
+      {
+        label: 'Main set',
+        items: [
+          { text: '3000m continuous freestyle at a steady aerobic pace you could hold for hours. Breathe bilaterally and sight every 10 strokes.', distance_m: 3000 }
+        ]
+      },
+      {
+        label: 'Cool-down',
+        items: [
+          { text: '100m very easy', distance_m: 100 }
+        ]
+      }
+    ]
+  },
+
+  'ld-tempo-4x800': {
+    id: 'ld-tempo-4x800',
+    name: '4x800m Tempo Set',
+    source: 'long-distance',
+    tags: ['interval', 'endurance', 'build'],
+    phase_fit: ['BUILD', 'SHARPEN'],
+    event_classes: ['middle', 'long', 'marathon'],
+    intensity: 'moderate',
+    base_distance_m: 3800,
+    base_duration_min_est: 80,
+    structure: [
+      {
+        label: 'Warm-up',
+        items: [
+          { text: '200m freestyle easy', distance_m: 200 },
+          { text: '4x50m build - easy to strong across each 50, 15 sec rest', distance_m: 200, reps: 4, per_rep_m: 50, rest_sec: 15 }
+        ]
+      },
+      {
+        label: 'Main set',
+        items: [
+          { text: '4x800m freestyle at a strong, sustainable tempo - hold the same pace on every rep. 30 sec rest between each.', distance_m: 3200, reps: 4, per_rep_m: 800, rest_sec: 30, sendoff: true }
+        ]
+      },
+      {
+        label: 'Cool-down',
+        items: [
+          { text: '200m easy choice stroke', distance_m: 200 }
+        ]
+      }
+    ]
+  },
+
+  'ld-broken-5k': {
+    id: 'ld-broken-5k',
+    name: '5x1000m Broken Distance',
+    source: 'long-distance',
+    tags: ['race_specific', 'endurance', 'long', 'sharpen'],
+    phase_fit: ['BUILD', 'SHARPEN'],
+    event_classes: ['middle', 'long', 'marathon'],
+    intensity: 'moderate',
+    base_distance_m: 5400,
+    base_duration_min_est: 110,
+    structure: [
+      {
+        label: 'Warm-up',
+        items: [
+          { text: '300m freestyle easy with head-up sighting every 8 strokes', distance_m: 300 }
+        ]
+      },
+      {
+        label: 'Main set',
+        items: [
+          { text: '5x1000m at race pace, 30 sec rest. Even splits - the last 1000m should match the first.', distance_m: 5000, reps: 5, per_rep_m: 1000, rest_sec: 30 }
+        ]
+      },
+      {
+        label: 'Cool-down',
+        items: [
+          { text: '100m very easy', distance_m: 100 }
+        ]
+      }
+    ]
+  },
+
+  'ld-feed-practice-4500': {
+    id: 'ld-feed-practice-4500',
+    name: 'Long Swim with Feed Practice',
+    source: 'long-distance',
+    tags: ['endurance', 'long', 'race_specific'],
+    phase_fit: ['BUILD', 'SHARPEN'],
+    event_classes: ['long', 'marathon'],
+    intensity: 'moderate',
+    base_distance_m: 5100,
+    base_duration_min_est: 110,
+    structure: [
+      {
+        label: 'Warm-up',
+        items: [
+          { text: '400m freestyle easy - settle your breathing', distance_m: 400 }
+        ]
+      },
+      {
+        label: 'Main set',
+        items: [
+          { text: '3x1500m steady race pace. Between reps, practise a race feed: take a drink while treading water, without touching the wall, then go again. 45 sec rest.', distance_m: 4500, reps: 3, per_rep_m: 1500, rest_sec: 45 }
+        ]
+      },
+      {
+        label: 'Cool-down',
+        items: [
+          { text: '200m very easy', distance_m: 200 }
+        ]
+      }
+    ]
+  },
+
+  'ld-taper-race-pace': {
+    id: 'ld-taper-race-pace',
+    name: 'Long-Distance Taper Swim',
+    source: 'long-distance',
+    tags: ['taper', 'race_specific'],
+    phase_fit: ['TAPER'],
+    event_classes: ['middle', 'long', 'marathon'],
+    intensity: 'easy',
+    base_distance_m: 2200,
+    base_duration_min_est: 50,
+    structure: [
+      {
+        label: 'Warm-up',
+        items: [
+          { text: '400m freestyle easy - smooth and relaxed', distance_m: 400 }
+        ]
+      },
+      {
+        label: 'Race pace practice',
+        items: [
+          { text: '2x600m at RACE PACE - settle into the rhythm you will hold on race day. 30 sec rest.', distance_m: 1200, reps: 2, per_rep_m: 600, rest_sec: 30, sendoff: true }
+        ]
+      },
+      {
+        label: 'Steady swim',
+        items: [
+          { text: '400m easy continuous with sighting every 8 strokes', distance_m: 400 }
+        ]
+      },
+      {
+        label: 'Cool-down',
+        items: [
+          { text: '200m very easy, stay loose', distance_m: 200 }
+        ]
+      }
+    ]
+  },
+
   // ============================================
   // RECOVERY / REST TEMPLATES
   // ============================================
@@ -794,6 +986,58 @@ const TEMPLATES = {
     ]
   },
 
+  // ============================================
+  // TESTS
+  // ============================================
+
+  // Critical Swim Speed: 400m and 200m time trials give threshold pace
+  // (CSS = 200m / (T400 - T200)) and the training zones built on it.
+  // Time trial distances are fixed - the planner never scales them.
+  'css-test': {
+    id: 'css-test',
+    name: 'CSS Test (400m + 200m)',
+    source: 'test',
+    tags: ['test'],
+    phase_fit: [],
+    intensity: 'hard',
+    base_distance_m: 1500,
+    base_duration_min_est: 40,
+    structure: [
+      {
+        label: 'Warm-up',
+        items: [
+          { text: '300m freestyle easy - loosen up, long strokes', distance_m: 300 },
+          { text: '4x50m build (easy to fast within each 50m), 15 sec rest', distance_m: 200, reps: 4, per_rep_m: 50, rest_sec: 15 },
+          { text: '100m easy - get your breathing settled before the first trial', distance_m: 100 }
+        ]
+      },
+      {
+        label: 'Time trial - 400m',
+        items: [
+          { text: '400m time trial from a push start - fastest EVEN pace you can hold. Record your time.', distance_m: 400, time_trial: true }
+        ]
+      },
+      {
+        label: 'Recovery',
+        items: [
+          { text: '100m very easy, then rest until breathing is back to normal (5-10 min in total)', distance_m: 100 }
+        ]
+      },
+      {
+        label: 'Time trial - 200m',
+        items: [
+          { text: '200m time trial from a push start - all out, but don\'t sprint the first 50m. Record your time.', distance_m: 200, time_trial: true }
+        ]
+      },
+      {
+        label: 'Cool-down',
+        items: [
+          { text: '200m easy choice stroke - let the heart rate come right down', distance_m: 200 }
+        ]
+      }
+    ]
+  },
+
   'rest-day': {
     id: 'rest-day',
     name: 'Rest Day',
@@ -859,7 +1103,7 @@ function getTemplatesByDistanceRange(minDist, maxDist) {
 }
 
 // Export for use in other modules
-window.CoachTemplates = {
+return {
   TEMPLATES,
   getAllTemplates,
   getTemplateById,
@@ -869,3 +1113,4 @@ window.CoachTemplates = {
   getTemplatesBySource,
   getTemplatesByDistanceRange
 };
+});
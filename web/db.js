@@ -14,8 +14,8 @@
  */
 
 const DB_NAME = 'LetsKeepSwimming';
-const DB_VERSION = 2; // Bumped for events store
-const SCHEMA_VERSION = 2; // Bumped for events support
+const DB_VERSION = 6; // Bumped for workout checklist store
+const SCHEMA_VERSION = 3; // Bumped for numeric session RPE
 
 // Storage state
 let storageMethod = null; // Will be 'indexeddb' or 'localstorage'
@@ -31,11 +31,91 @@ async function initDB() {
     db = await openIndexedDB();
     storageMethod = 'indexeddb';
     console.log('✅ Storage: IndexedDB (preferred)');
-    return true;
   } catch (error) {
     console.warn('⚠️  IndexedDB unavailable, using LocalStorage fallback');
     storageMethod = 'localstorage';
-    return true;
+  }
+
+  await runDataMigrations();
+  return true;
+}
+
+// ============================================
+// DATA MIGRATIONS
+// ============================================
+
+/**
+ * Record-level migrations, applied in order once per device
+ *
+ * IndexedDB versions (DB_VERSION) only cover object stores, and LocalStorage
+ * has none, so the data version reached is kept separately in metadata.
+ * Add new entries at the end with the next version number; never edit one
+ * that has shipped.
+ */
+const DATA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Session effort labels -> numeric RPE (1-10)',
+    run: async () => {
+      const { sessions, changed } = Effort.migrateSessions(await getSessions());
+      if (changed > 0) {
+        await saveSessions(sessions);
+      }
+      return changed;
+    }
+  }
+];
+
+async function getDataVersion() {
+  if (storageMethod === 'indexeddb') {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['metadata'], 'readonly');
+      const store = transaction.objectStore('metadata');
+      const request = store.get('data_version');
+
+      request.onsuccess = () => resolve(request.result || 0);
+      request.onerror = () => reject(new Error('Failed to load data version'));
+    });
+  } else {
+    return Promise.resolve(parseInt(localStorage.getItem('lks_data_version'), 10) || 0);
+  }
+}
+
+async function saveDataVersion(version) {
+  if (storageMethod === 'indexeddb') {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['metadata'], 'readwrite');
+      const store = transaction.objectStore('metadata');
+      const request = store.put(version, 'data_version');
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error('Failed to save data version'));
+    });
+  } else {
+    localStorage.setItem('lks_data_version', String(version));
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Run any migrations this device hasn't had yet
+ * A failed migration is logged and retried on the next start; the ones
+ * after it wait, since they may depend on it.
+ */
+async function runDataMigrations() {
+  let current = await getDataVersion();
+
+  for (const migration of DATA_MIGRATIONS) {
+    if (migration.version <= current) continue;
+    try {
+      const changed = await migration.run();
+      await saveDataVersion(migration.version);
+      current = migration.version;
+      console.log(`🔄 Data migration ${migration.version} (${migration.description}): ${changed} records updated`);
+    } catch (error) {
+      console.error(`Data migration ${migration.version} failed:`, error);
+      return;
+    }
   }
 }
 
@@ -85,6 +165,26 @@ function openIndexedDB() {
         database.createObjectStore('events');
         console.log('Created events store');
       }
+      // v3: Add training plans store (one calendar per event)
+      if (!database.objectStoreNames.contains('plans')) {
+        database.createObjectStore('plans');
+        console.log('Created plans store');
+      }
+      // v4: Add polish cache store (keyed by plan fingerprint)
+      if (!database.objectStoreNames.contains('polish_cache')) {
+        database.createObjectStore('polish_cache');
+        console.log('Created polish cache store');
+      }
+      // v5: Add coach chat store (one conversation per recommendation)
+      if (!database.objectStoreNames.contains('coach_chats')) {
+        database.createObjectStore('coach_chats');
+        console.log('Created coach chats store');
+      }
+      // v6: Add workout checklist store (ticked items per recommendation)
+      if (!database.objectStoreNames.contains('checklists')) {
+        database.createObjectStore('checklists');
+        console.log('Created checklists store');
+      }
     };
   });
 }
@@ -252,6 +352,8 @@ async function getEvents() {
 
 /**
  * Add a single event
+ * @param {Object} event - { id, name, date, distance, priority, goal, targetTime,
+ *                         startTime ("HH:MM"), laps, notes, isActive }
  */
 async function addEvent(event) {
   const events = await getEvents();
@@ -289,7 +391,9 @@ async function deleteEvent(id) {
 }
 
 /**
- * Get active event (closest upcoming event)
+ * Get active event: the key race the training plan builds toward
+ * An upcoming event set active by hand wins, then the closest A race
+ * (events without a priority count as A), then the closest event.
  */
 async function getActiveEvent() {
   const events = await getEvents();
@@ -301,7 +405,10 @@ async function getActiveEvent() {
     .filter(e => new Date(e.date) >= today)
     .sort((a, b) => new Date(a.date) - new Date(b.date));
 
-  return futureEvents.length > 0 ? futureEvents[0] : null;
+  return futureEvents.find(e => e.isActive)
+    || futureEvents.find(e => (e.priority || 'A') === 'A')
+    || futureEvents[0]
+    || null;
 }
 
 /**
@@ -315,6 +422,255 @@ async function setActiveEvent(eventId) {
   await saveEvents(events);
 }
 
+// ============================================
+// TRAINING PLANS
+// ============================================
+
+/**
+ * Save a multi-week training calendar (keyed by its event ID)
+ */
+async function saveTrainingPlan(plan) {
+  if (storageMethod === 'indexeddb') {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['plans'], 'readwrite');
+      const store = transaction.objectStore('plans');
+      const request = store.put(plan, plan.event_id);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error('Failed to save training plan'));
+    });
+  } else {
+    const plans = JSON.parse(localStorage.getItem('lks_plans') || '{}');
+    plans[plan.event_id] = plan;
+    localStorage.setItem('lks_plans', JSON.stringify(plans));
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Get the training calendar for an event
+ * Returns null if no plan has been generated yet
+ */
+async function getTrainingPlan(eventId) {
+  if (storageMethod === 'indexeddb') {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['plans'], 'readonly');
+      const store = transaction.objectStore('plans');
+      const request = store.get(eventId);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(new Error('Failed to load training plan'));
+    });
+  } else {
+    const plans = JSON.parse(localStorage.getItem('lks_plans') || '{}');
+    return Promise.resolve(plans[eventId] || null);
+  }
+}
+
+/**
+ * Delete the training calendar for an event
+ */
+async function deleteTrainingPlan(eventId) {
+  if (storageMethod === 'indexeddb') {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['plans'], 'readwrite');
+      const store = transaction.objectStore('plans');
+      const request = store.delete(eventId);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error('Failed to delete training plan'));
+    });
+  } else {
+    const plans = JSON.parse(localStorage.getItem('lks_plans') || '{}');
+    delete plans[eventId];
+    localStorage.setItem('lks_plans', JSON.stringify(plans));
+    return Promise.resolve();
+  }
+}
+
+// ============================================
+// POLISH CACHE
+// ============================================
+
+/**
+ * Get a cached polish entry by plan fingerprint
+ * Returns { polish, cached_at } or null
+ */
+async function getCachedPolish(key) {
+  if (storageMethod === 'indexeddb') {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['polish_cache'], 'readonly');
+      const store = transaction.objectStore('polish_cache');
+      const request = store.get(key);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(new Error('Failed to load cached polish'));
+    });
+  } else {
+    const cache = JSON.parse(localStorage.getItem('lks_polish_cache') || '{}');
+    return Promise.resolve(cache[key] || null);
+  }
+}
+
+/**
+ * Cache a polish response under its plan fingerprint
+ */
+async function saveCachedPolish(key, polish) {
+  const entry = { polish, cached_at: new Date().toISOString() };
+
+  if (storageMethod === 'indexeddb') {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['polish_cache'], 'readwrite');
+      const store = transaction.objectStore('polish_cache');
+      const request = store.put(entry, key);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error('Failed to cache polish'));
+    });
+  } else {
+    const cache = JSON.parse(localStorage.getItem('lks_polish_cache') || '{}');
+    cache[key] = entry;
+    localStorage.setItem('lks_polish_cache', JSON.stringify(cache));
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Remove a cached polish entry (e.g. once it has expired)
+ */
+async function deleteCachedPolish(key) {
+  if (storageMethod === 'indexeddb') {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['polish_cache'], 'readwrite');
+      const store = transaction.objectStore('polish_cache');
+      const request = store.delete(key);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error('Failed to delete cached polish'));
+    });
+  } else {
+    const cache = JSON.parse(localStorage.getItem('lks_polish_cache') || '{}');
+    delete cache[key];
+    localStorage.setItem('lks_polish_cache', JSON.stringify(cache));
+    return Promise.resolve();
+  }
+}
+
+// ============================================
+// COACH CHAT
+// ============================================
+
+/**
+ * Get the conversation for a recommendation
+ * Returns { messages: [{ role, content, action, at }], updated_at } or null
+ */
+async function getCoachChat(chatId) {
+  if (storageMethod === 'indexeddb') {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['coach_chats'], 'readonly');
+      const store = transaction.objectStore('coach_chats');
+      const request = store.get(chatId);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(new Error('Failed to load coach chat'));
+    });
+  } else {
+    const chats = JSON.parse(localStorage.getItem('lks_coach_chats') || '{}');
+    return Promise.resolve(chats[chatId] || null);
+  }
+}
+
+/**
+ * Save the conversation for a recommendation
+ */
+async function saveCoachChat(chatId, messages) {
+  const entry = { messages, updated_at: new Date().toISOString() };
+
+  if (storageMethod === 'indexeddb') {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['coach_chats'], 'readwrite');
+      const store = transaction.objectStore('coach_chats');
+      const request = store.put(entry, chatId);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error('Failed to save coach chat'));
+    });
+  } else {
+    const chats = JSON.parse(localStorage.getItem('lks_coach_chats') || '{}');
+    chats[chatId] = entry;
+    localStorage.setItem('lks_coach_chats', JSON.stringify(chats));
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Delete the conversation for a recommendation
+ */
+async function deleteCoachChat(chatId) {
+  if (storageMethod === 'indexeddb') {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['coach_chats'], 'readwrite');
+      const store = transaction.objectStore('coach_chats');
+      const request = store.delete(chatId);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error('Failed to delete coach chat'));
+    });
+  } else {
+    const chats = JSON.parse(localStorage.getItem('lks_coach_chats') || '{}');
+    delete chats[chatId];
+    localStorage.setItem('lks_coach_chats', JSON.stringify(chats));
+    return Promise.resolve();
+  }
+}
+
+// ============================================
+// WORKOUT CHECKLISTS
+// ============================================
+
+/**
+ * Get the ticked workout items for a recommendation
+ * Returns { completed: [{ block, item }], updated_at } or null
+ */
+async function getChecklist(checklistId) {
+  if (storageMethod === 'indexeddb') {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['checklists'], 'readonly');
+      const store = transaction.objectStore('checklists');
+      const request = store.get(checklistId);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(new Error('Failed to load checklist'));
+    });
+  } else {
+    const checklists = JSON.parse(localStorage.getItem('lks_checklists') || '{}');
+    return Promise.resolve(checklists[checklistId] || null);
+  }
+}
+
+/**
+ * Save the ticked workout items for a recommendation
+ */
+async function saveChecklist(checklistId, completed) {
+  const entry = { completed, updated_at: new Date().toISOString() };
+
+  if (storageMethod === 'indexeddb') {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['checklists'], 'readwrite');
+      const store = transaction.objectStore('checklists');
+      const request = store.put(entry, checklistId);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error('Failed to save checklist'));
+    });
+  } else {
+    const checklists = JSON.parse(localStorage.getItem('lks_checklists') || '{}');
+    checklists[checklistId] = entry;
+    localStorage.setItem('lks_checklists', JSON.stringify(checklists));
+    return Promise.resolve();
+  }
+}
+
 /**
  * Export all data as JSON
  * Returns an object ready to be downloaded as a file
@@ -347,6 +703,11 @@ async function importData(data, strategy = 'replace') {
     throw new Error('Invalid import file: missing required fields');
   }
 
+  // Files from before v3 may carry effort labels instead of numeric RPE
+  if (data.schemaVersion < 3) {
+    data.sessions = Effort.migrateSessions(data.sessions).sessions;
+  }
+
   // Allow importing v1 files (migrate event data from profile)
   if (data.schemaVersion === 1 && data.profile && data.profile.eventDate) {
     // Migrate old profile event to events array
@@ -466,11 +827,15 @@ async function getCoaching() {
  */
 async function clearAllData() {
   if (storageMethod === 'indexeddb') {
-    const transaction = db.transaction(['profile', 'sessions', 'metadata', 'events'], 'readwrite');
+    const transaction = db.transaction(['profile', 'sessions', 'metadata', 'events', 'plans', 'polish_cache', 'coach_chats', 'checklists'], 'readwrite');
     transaction.objectStore('profile').clear();
     transaction.objectStore('sessions').clear();
     transaction.objectStore('metadata').clear();
     transaction.objectStore('events').clear();
+    transaction.objectStore('plans').clear();
+    transaction.objectStore('polish_cache').clear();
+    transaction.objectStore('coach_chats').clear();
+    transaction.objectStore('checklists').clear();
     return new Promise(resolve => {
       transaction.oncomplete = resolve;
     });
@@ -480,6 +845,11 @@ async function clearAllData() {
     localStorage.removeItem('lks_metadata');
     localStorage.removeItem('lks_coaching');
     localStorage.removeItem('lks_events');
+    localStorage.removeItem('lks_plans');
+    localStorage.removeItem('lks_polish_cache');
+    localStorage.removeItem('lks_coach_chats');
+    localStorage.removeItem('lks_checklists');
+    localStorage.removeItem('lks_data_version');
     return Promise.resolve();
   }
 }
@@ -502,6 +872,17 @@ window.DB = {
   deleteEvent,
   getActiveEvent,
   setActiveEvent,
+  saveTrainingPlan,
+  getTrainingPlan,
+  deleteTrainingPlan,
+  getCachedPolish,
+  saveCachedPolish,
+  deleteCachedPolish,
+  getCoachChat,
+  saveCoachChat,
+  deleteCoachChat,
+  getChecklist,
+  saveChecklist,
   exportData,
   importData,
   getStorageInfo,
@@ -0,0 +1,131 @@
+/**
+ * Let's Keep Swimming - Effort Model
+ *
+ * Sessions record how hard they felt as `rpe`, a 1-10 Rate of Perceived
+ * Exertion. Easy / moderate / hard is a view over that scale, used for the
+ * quick-pick buttons, badges and summaries:
+ * - 1-3  easy
+ * - 4-6  moderate
+ * - 7-10 hard
+ *
+ * Older records carry an `effort` label instead (or as well); migrateSession
+ * folds those into `rpe` so every consumer reads the same field.
+ */
+
+// UMD: attaches to window.Effort in the browser, module.exports under Node
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Effort = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+const RPE_MIN = 1;
+const RPE_MAX = 10;
+const DEFAULT_RPE = 5; // Unrated sessions count as moderate
+
+const EFFORT_LEVELS = ['easy', 'moderate', 'hard'];
+
+// RPE recorded for an effort label (quick-pick buttons and old records)
+const EFFORT_RPE = { easy: 3, moderate: 5, hard: 8 };
+
+// Highest RPE in each band
+const EFFORT_BAND_MAX = { easy: 3, moderate: 6, hard: RPE_MAX };
+
+const EFFORT_LABELS = {
+  easy: { emoji: '😊', text: 'Easy' },
+  moderate: { emoji: '💪', text: 'Moderate' },
+  hard: { emoji: '🔥', text: 'Hard' }
+};
+
+/**
+ * Read an RPE from a number, numeric string or effort label
+ * @returns {number|null} Whole RPE 1-10, or null if the value isn't one
+ */
+function toRpe(value) {
+  if (typeof value === 'string' && EFFORT_RPE[value.trim().toLowerCase()]) {
+    return EFFORT_RPE[value.trim().toLowerCase()];
+  }
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const rpe = Number(value);
+  if (!Number.isFinite(rpe) || rpe < RPE_MIN || rpe > RPE_MAX) {
+    return null;
+  }
+  return Math.round(rpe);
+}
+
+/**
+ * Effort band for an RPE
+ * @returns {string} 'easy' | 'moderate' | 'hard'
+ */
+function effortFromRpe(rpe) {
+  const value = toRpe(rpe) || DEFAULT_RPE;
+  return EFFORT_LEVELS.find(level => value <= EFFORT_BAND_MAX[level]);
+}
+
+/**
+ * A session's RPE, from `rpe` or a legacy `effort` label
+ */
+function getSessionRpe(session) {
+  return toRpe(session.rpe) || toRpe(session.effort) || DEFAULT_RPE;
+}
+
+/**
+ * A session's effort band
+ */
+function getSessionEffort(session) {
+  return effortFromRpe(getSessionRpe(session));
+}
+
+/**
+ * Emoji and text for an effort band or RPE
+ */
+function getEffortLabel(effortOrRpe) {
+  return EFFORT_LABELS[effortOrRpe] || EFFORT_LABELS[effortFromRpe(effortOrRpe)];
+}
+
+/**
+ * Bring a session record onto the RPE model: numeric `rpe`, no `effort`
+ * Returns the same object when nothing needs changing.
+ */
+function migrateSession(session) {
+  if (!session || typeof session !== 'object') return session;
+  if (session.effort === undefined && toRpe(session.rpe) === session.rpe) return session;
+
+  const { effort, ...rest } = session;
+  return { ...rest, rpe: getSessionRpe(session) };
+}
+
+/**
+ * Migrate a list of sessions
+ * @returns {Object} { sessions, changed } - changed counts the records rewritten
+ */
+function migrateSessions(sessions) {
+  let changed = 0;
+  const migrated = (sessions || []).map(session => {
+    const next = migrateSession(session);
+    if (next !== session) changed++;
+    return next;
+  });
+  return { sessions: migrated, changed };
+}
+
+return {
+  RPE_MIN,
+  RPE_MAX,
+  DEFAULT_RPE,
+  EFFORT_LEVELS,
+  EFFORT_RPE,
+  toRpe,
+  effortFromRpe,
+  getSessionRpe,
+  getSessionEffort,
+  getEffortLabel,
+  migrateSession,
+  migrateSessions
+};
+});
@@ -6,11 +6,60 @@
  * generating workout structure. Structure comes from deterministic templates.
  */
 
+// UMD: attaches to window.Prompts in the browser, module.exports under Node
+// (the server builds its polish prompts from this same file)
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./effort.js'));
+  } else {
+    root.Prompts = factory(root.Effort);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Effort) {
+'use strict';
+
+// What race day asks of the swimmer, by CoachPlanner event class
+const EVENT_CLASS_FOCUS = {
+  short: 'a fast start, holding race pace and a strong finish',
+  mile: 'pacing, sighting and a strong finish',
+  middle: 'even pacing and efficient sighting over a long continuous effort',
+  long: 'pacing discipline, feeding and staying relaxed for several hours',
+  marathon: 'feeding, pacing discipline and managing cold and fatigue over many hours'
+};
+
+/**
+ * A race distance for prompts: 1609 -> "1.6km", 800 -> "800m"
+ */
+function formatEventDistance(distanceM) {
+  return distanceM >= 1000 ? `${Math.round(distanceM / 100) / 10}km` : `${distanceM}m`;
+}
+
+/**
+ * The event a plan works towards, e.g. "Midmar Mile (1.6km)"
+ * Plans without an event predate events having a distance: those were all
+ * for the Midmar Mile.
+ * @param {Object|null} event - sessionPlan.event from CoachPlanner
+ */
+function describeEvent(event) {
+  if (!event) return 'the Midmar Mile (1.6km)';
+  const distance = formatEventDistance(event.distance_m);
+  return event.name ? `${event.name} (${distance})` : `an open water swim of ${distance}`;
+}
+
+/**
+ * One line on what race day asks for at this distance
+ */
+function describeEventFocus(event) {
+  return EVENT_CLASS_FOCUS[(event && event.class) || 'mile'];
+}
+
 /**
  * System prompt for polish-only LLM calls
  * Strictly instructs the LLM to provide ONLY text polish, no structural changes
+ * @param {Object|null} event - sessionPlan.event from CoachPlanner
  */
-const POLISH_SYSTEM_PROMPT = `You are a supportive swim coach assistant for Midmar Mile preparation.
+function buildPolishSystemPrompt(event) {
+  return `You are a supportive swim coach assistant helping a swimmer prepare for ${describeEvent(event)}.
+On race day this distance calls for ${describeEventFocus(event)}.
 
 CRITICAL RULES:
 1. You are providing POLISH ONLY - explanatory text for a pre-determined workout
@@ -19,6 +68,7 @@ CRITICAL RULES:
 4. Your job is ONLY to explain WHY this session makes sense and provide technique cues
 5. Be encouraging but realistic - no medical advice
 6. Use cautious, non-medical language (say "consider rest" not "you may be injured")
+7. "@ 1:50" after a repeat is a send-off: each rep starts every 1:50, and the rest is whatever time is left
 
 OUTPUT FORMAT:
 Return ONLY valid JSON with these fields:
@@ -35,6 +85,7 @@ TONE GUIDELINES:
 - tough_love: direct, challenging, performance-focused
 
 DO NOT include any text outside the JSON object.`;
+}
 
 /**
  * Build a polish request to send to the server
@@ -59,7 +110,7 @@ function buildPolishRequest(sessionPlan, profile, recentSessions) {
   const userPrompt = buildUserPrompt(sessionPlan, profile, recentSessions, sessionDescription);
 
   return {
-    system_prompt: POLISH_SYSTEM_PROMPT,
+    system_prompt: buildPolishSystemPrompt(sessionPlan.event),
     user_prompt: userPrompt,
     session_plan: sessionPlan,
     profile: {
@@ -75,12 +126,79 @@ function buildPolishRequest(sessionPlan, profile, recentSessions) {
       type: s.type,
       distance_m: s.distance_m,
       time_min: s.time_min,
-      rpe: s.rpe,
+      planned_duration_min: s.planned_duration_min,
+      rpe: Effort.getSessionRpe(s),
       notes: s.notes
     }))
   };
 }
 
+/**
+ * Seconds per 100m as m:ss
+ */
+function formatPace(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+}
+
+/**
+ * Format the athlete's CSS-based pace zones for the prompt
+ */
+function formatPaceZonesForPrompt(paceZones) {
+  let text = `PACE ZONES (per 100m, from CSS test on ${paceZones.tested_on}):\n`;
+  text += `- CSS: ${formatPace(paceZones.css_per_100_sec)}\n`;
+  Object.entries(paceZones.zones).forEach(([zone, range]) => {
+    text += `- ${zone}: ${formatPace(range.min_sec)}-${formatPace(range.max_sec)}\n`;
+  });
+  return text;
+}
+
+/**
+ * One athlete-context line for the training load model, or nothing while
+ * there's too little history for it to mean anything
+ */
+function formatTrainingLoadForPrompt(load) {
+  if (!load || !load.established || load.acwr === null) {
+    return '';
+  }
+  let line = `- Training load (minutes x RPE): ${load.acute_load} this week vs ${load.chronic_load}/week over 4 weeks (ACWR ${load.acwr}, ${load.zone})`;
+  if (load.monotony !== null) {
+    line += `, monotony ${load.monotony}`;
+  }
+  return `${line}\n`;
+}
+
+/**
+ * One athlete-context line for a B or C race shaping today's session
+ */
+function formatSeasonEventForPrompt(seasonEvent) {
+  if (!seasonEvent) {
+    return '';
+  }
+  const roles = {
+    race: 'racing it today',
+    mini_taper: 'mini-taper before it, keep the legs fresh',
+    recovery: 'recovering from it, keep it easy'
+  };
+  return `- Season race: ${seasonEvent.name || 'a race'} (${seasonEvent.priority} race, ${seasonEvent.date}) - ${roles[seasonEvent.role]}\n`;
+}
+
+/**
+ * Format the assessment of the last logged main set for the prompt
+ */
+function formatMainSetForPrompt(mainSet) {
+  const verdicts = {
+    faded: 'faded in the second half',
+    even: 'held an even pace',
+    negative_split: 'got faster in the second half'
+  };
+
+  let text = `LAST MAIN SET (from logged splits on ${mainSet.date}):\n`;
+  text += `- ${mainSet.reps}x${mainSet.rep_distance_m}m at ${formatPace(mainSet.avg_pace_per_100_sec)}/100m average`;
+  text += mainSet.zone ? ` (${mainSet.zone} zone)\n` : '\n';
+  text += `- ${verdicts[mainSet.verdict]}: ${formatPace(mainSet.first_half_pace_sec)} -> ${formatPace(mainSet.second_half_pace_sec)} (${mainSet.drift_pct > 0 ? '+' : ''}${mainSet.drift_pct}%)\n`;
+  return text;
+}
+
 /**
  * Format session structure for the prompt
  * Creates a readable description of the workout
@@ -90,8 +208,18 @@ function formatSessionForPrompt(session) {
     return 'REST DAY - No swimming scheduled';
   }
 
+  // Per-block minutes from the planner's duration model, when available
+  const breakdown = session.duration_breakdown;
+  const blockMin = breakdown && breakdown.block_min.length === session.structure.length
+    ? breakdown.block_min
+    : null;
+
   let description = `${session.type.toUpperCase()} SESSION\n`;
-  description += `Duration: ${session.estimated_duration_min} minutes\n`;
+  description += `Duration: ${session.estimated_duration_min} minutes`;
+  if (breakdown) {
+    description += ` (~${breakdown.swim_min} min swimming, ~${breakdown.rest_min} min rest)`;
+  }
+  description += '\n';
 
   if (session.total_distance_m) {
     description += `Total Distance: ${session.total_distance_m}m\n`;
@@ -100,13 +228,16 @@ function formatSessionForPrompt(session) {
   description += `Intensity: ${session.intensity}\n\n`;
   description += `STRUCTURE (DO NOT MODIFY):\n`;
 
-  session.structure.forEach(block => {
-    description += `\n${block.label}:\n`;
+  session.structure.forEach((block, index) => {
+    description += `\n${block.label}${blockMin ? ` (~${blockMin[index]} min)` : ''}:\n`;
     block.items.forEach(item => {
       description += `  - ${item.text}`;
       if (item.distance_m) {
         description += ` (${item.distance_m}m)`;
       }
+      if (item.target_pace) {
+        description += ` [${item.target_pace.zone} pace ${formatPace(item.target_pace.min_sec)}-${formatPace(item.target_pace.max_sec)}/100m]`;
+      }
       description += '\n';
     });
   });
@@ -131,12 +262,13 @@ function buildUserPrompt(sessionPlan, profile, recentSessions, sessionDescriptio
   let prompt = `Please provide polish for this pre-determined workout session.
 
 ATHLETE CONTEXT:
+- Event: ${describeEvent(sessionPlan.event)}
 - Days to event: ${days_to_event}
 - Training phase: ${phase}
 - Goal: ${profile.goal}${profile.targetTime ? ` (target: ${profile.targetTime})` : ''}
 - Preferred tone: ${profile.tone || 'neutral'}
 - Training readiness: ${readiness.status}${readiness.reasons.length > 0 ? ` (${readiness.reasons.join('; ')})` : ''}
-
+${formatTrainingLoadForPrompt(sessionPlan.training_load)}${formatSeasonEventForPrompt(sessionPlan.season_event)}
 TEMPLATE SOURCE:
 - Based on: ${derived_from_template.source} program
 - Template: ${derived_from_template.template_name}
@@ -145,11 +277,11 @@ ${derived_from_template.scaling_notes ? `- Scaling: ${derived_from_template.scal
 RECENT TRAINING (last 5 sessions):
 `;
 
-  if (recentSessions.length === 0) {
+  if (!recentSessions || recentSessions.length === 0) {
     prompt += 'No recent sessions logged.\n';
   } else {
     recentSessions.slice(0, 5).forEach(s => {
-      prompt += `- ${s.date}: ${s.type}, ${s.distance_m}m, ${s.time_min}min, RPE ${s.rpe}`;
+      prompt += `- ${s.date}: ${s.type}, ${s.distance_m}m, ${s.time_min}min, RPE ${Effort.getSessionRpe(s)}/10`;
       if (s.notes) {
         prompt += ` - "${s.notes}"`;
       }
@@ -157,6 +289,14 @@ RECENT TRAINING (last 5 sessions):
     });
   }
 
+  if (sessionPlan.pace_zones) {
+    prompt += `\n${formatPaceZonesForPrompt(sessionPlan.pace_zones)}`;
+  }
+
+  if (sessionPlan.last_main_set) {
+    prompt += `\n${formatMainSetForPrompt(sessionPlan.last_main_set)}`;
+  }
+
   prompt += `
 THE SESSION (structure is FINAL - do not suggest changes):
 ${sessionDescription}
@@ -164,7 +304,7 @@ ${sessionDescription}
 Please provide:
 1. why_this: Brief explanation (max 60 words) of why this session fits the athlete's current training phase and recent history
 2. technique_focus: Up to 3 technique cues relevant to this specific workout
-3. event_prep_tip: One practical tip for Midmar Mile preparation (or null if ${days_to_event} > 21)
+3. event_prep_tip: One practical tip for ${describeEvent(sessionPlan.event)} preparation (or null if ${days_to_event} > 21)
 4. flags: Any cautionary notes (0-4 items) based on readiness status or session demands`;
 
   // Add open water safety reminder if applicable
@@ -181,6 +321,112 @@ Return ONLY the JSON object, no other text.`;
   return prompt;
 }
 
+/**
+ * Rules for follow-up chat about a recommendation
+ * The coach answers questions, but structural changes are only ever
+ * requested as an action - the planner applies them, never the LLM.
+ */
+function buildChatRules(event) {
+  return `You are a supportive swim coach answering follow-up questions about a workout you recommended to prepare for ${describeEvent(event)}.
+
+CRITICAL RULES:
+1. The workout structure was generated by a deterministic planner. You MUST NOT write out new sets, reps or distances yourself
+2. If the swimmer asks for a shorter/longer session, a time limit, or a different water type, request ONE action and the planner will rescale the workout:
+   - {"type": "scale_distance", "distance_m": <total metres>}
+   - {"type": "scale_time", "minutes": <minutes available>}
+   - {"type": "change_type", "session_type": "pool" | "open_water"}
+3. Otherwise action is null - explain, reassure, or give technique advice about the existing workout
+4. Keep replies short (max 120 words), encouraging and non-medical. Suggest rest or a professional for pain, illness or dizziness
+5. Never promise a change you didn't request as an action
+
+OUTPUT FORMAT:
+Return ONLY valid JSON:
+{
+  "reply": "string - your answer to the swimmer",
+  "action": null or one action object from rule 2
+}
+
+DO NOT include any text outside the JSON object.`;
+}
+
+/**
+ * Build the chat system prompt with the recommendation as context
+ *
+ * @param {Object} sessionPlan - The session plan being discussed
+ * @param {Object} profile - User's profile data
+ * @param {Array} recentSessions - Recent training sessions
+ * @returns {string} System prompt for /api/coach/chat
+ */
+function buildChatSystemPrompt(sessionPlan, profile, recentSessions) {
+  const { phase, days_to_event, readiness, derived_from_template } = sessionPlan;
+
+  let prompt = `${buildChatRules(sessionPlan.event)}
+
+ATHLETE CONTEXT:
+- Event: ${describeEvent(sessionPlan.event)}
+- Days to event: ${days_to_event}
+- Training phase: ${phase}
+- Goal: ${profile.goal || 'finish_comfortably'}${profile.targetTime ? ` (target: ${profile.targetTime})` : ''}
+- Preferred tone: ${profile.tone || 'neutral'}
+- Training readiness: ${readiness ? readiness.status : 'unknown'}
+${formatTrainingLoadForPrompt(sessionPlan.training_load)}${formatSeasonEventForPrompt(sessionPlan.season_event)}- Pool access: ${profile.access && profile.access.pool === false ? 'no' : 'yes'}, open water access: ${profile.access && profile.access.openWater ? 'yes' : 'no'}
+
+RECENT TRAINING:
+`;
+
+  if (!recentSessions || recentSessions.length === 0) {
+    prompt += 'No recent sessions logged.\n';
+  } else {
+    recentSessions.slice(0, 5).forEach(s => {
+      prompt += `- ${s.date}: ${s.type}, ${s.distance_m}m, ${s.time_min}min, RPE ${Effort.getSessionRpe(s)}/10\n`;
+    });
+  }
+
+  if (sessionPlan.pace_zones) {
+    prompt += `\n${formatPaceZonesForPrompt(sessionPlan.pace_zones)}`;
+  }
+
+  if (sessionPlan.last_main_set) {
+    prompt += `\n${formatMainSetForPrompt(sessionPlan.last_main_set)}`;
+  }
+
+  prompt += `
+THE RECOMMENDED WORKOUT (template: ${derived_from_template ? derived_from_template.template_name : 'unknown'}):
+${formatSessionForPrompt(sessionPlan.session)}`;
+
+  return prompt;
+}
+
+/**
+ * Hash a string to a short hex fingerprint (cyrb53)
+ * Synchronous so browser and server compute identical keys
+ */
+function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/**
+ * Build the polish cache key for a session plan
+ * The key hashes the rendered polish prompt, so two requests only share a
+ * polish when the model would be asked exactly the same thing - readiness
+ * reasons, notes, goal and load context included. The server cache is shared
+ * between swimmers, so a polish written from one swimmer's notes must never
+ * match another swimmer's request.
+ */
+function buildPolishCacheKey(sessionPlan, profile, recentSessions) {
+  const userPrompt = buildUserPrompt(sessionPlan, profile || {}, recentSessions || [], formatSessionForPrompt(sessionPlan.session));
+  return `polish-${hashString(`${buildPolishSystemPrompt(sessionPlan.event)}\n${userPrompt}`)}`;
+}
+
 /**
  * Calculate training summary statistics
  * Still useful for context, even with deterministic planning
@@ -209,7 +455,7 @@ function calculateTrainingSummary(sessions, today) {
 
   // Calculate average RPE (Rate of Perceived Exertion)
   const last7days_avg_rpe = last7Days.length > 0
-    ? last7Days.reduce((sum, s) => sum + s.rpe, 0) / last7Days.length
+    ? last7Days.reduce((sum, s) => sum + Effort.getSessionRpe(s), 0) / last7Days.length
     : 0;
 
   // Calculate consecutive training days (working backwards from today, INCLUDING today)
@@ -390,12 +636,16 @@ function formatCoachResponse(response) {
 }
 
 // Export functions for use in other files
-window.Prompts = {
+return {
   // New polish-only functions
-  POLISH_SYSTEM_PROMPT,
+  buildPolishSystemPrompt,
+  describeEvent,
   buildPolishRequest,
   validatePolishResponse,
   formatSessionForPrompt,
+  buildUserPrompt,
+  buildPolishCacheKey,
+  buildChatSystemPrompt,
 
   // Legacy functions for backwards compatibility
   buildCoachRequest,
@@ -403,3 +653,4 @@ window.Prompts = {
   formatCoachResponse,
   calculateTrainingSummary
 };
+});
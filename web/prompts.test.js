@@ -0,0 +1,47 @@
+/**
+ * Let's Keep Swimming - Prompt tests
+ * Run with `npm test` from server/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Prompts = require('./prompts.js');
+const CoachPlanner = require('./coach/planner.js');
+
+const PROFILE = { eventDate: '2027-03-20', goal: 'finish_comfortably', tone: 'neutral', weeklyVolumeEstimate_m: 6000 };
+const RECENT_SESSIONS = [{ date: '2026-10-15', type: 'pool', distance_m: 2000, time_min: 44, rpe: 5, notes: 'Left shoulder a bit tight' }];
+
+function poolPlan() {
+  return CoachPlanner.generateSessionPlan(PROFILE, RECENT_SESSIONS, 'pool');
+}
+
+// ============================================================================
+// POLISH CACHE KEY (user-006)
+// ============================================================================
+
+test('the same request gets the same polish cache key', () => {
+  assert.equal(
+    Prompts.buildPolishCacheKey(poolPlan(), PROFILE, RECENT_SESSIONS),
+    Prompts.buildPolishCacheKey(poolPlan(), { ...PROFILE }, RECENT_SESSIONS.map(s => ({ ...s })))
+  );
+});
+
+test('swimmers with different notes never share a polish', () => {
+  const plan = poolPlan();
+  const otherNotes = [{ ...RECENT_SESSIONS[0], notes: 'Felt great' }];
+
+  assert.notEqual(
+    Prompts.buildPolishCacheKey(plan, PROFILE, RECENT_SESSIONS),
+    Prompts.buildPolishCacheKey(plan, PROFILE, otherNotes)
+  );
+});
+
+test('everything personal in the prompt changes the key', () => {
+  const plan = poolPlan();
+  const key = Prompts.buildPolishCacheKey(plan, PROFILE, RECENT_SESSIONS);
+
+  const otherReadiness = { ...plan, readiness: { ...plan.readiness, reasons: ['Hard session yesterday'] } };
+  assert.notEqual(Prompts.buildPolishCacheKey(otherReadiness, PROFILE, RECENT_SESSIONS), key, 'readiness reasons');
+  assert.notEqual(Prompts.buildPolishCacheKey(plan, { ...PROFILE, goal: 'podium' }, RECENT_SESSIONS), key, 'goal');
+  assert.notEqual(Prompts.buildPolishCacheKey({ ...plan, days_to_event: plan.days_to_event + 1 }, PROFILE, RECENT_SESSIONS), key, 'days to event');
+});
@@ -4,7 +4,7 @@
  */
 
 // Version - update this when deploying new versions
-const SW_VERSION = '2.7.0';
+const SW_VERSION = '2.11.0';
 const CACHE_NAME = `lets-keep-swimming-v${SW_VERSION}`;
 const OFFLINE_URL = '/offline.html';
 
@@ -14,6 +14,10 @@ const STATIC_ASSETS = [
   '/index.html',
   '/styles.css',
   '/app.js',
+  '/effort.js',
+  '/coach/racePlanner.js',
+  '/coach/raceReview.js',
+  '/coach/finishPredictor.js',
   '/db.js',
   '/auth.js',
   '/sync.js',
@@ -98,7 +98,8 @@ async function syncOnLogin(user) {
 
       // Merge sessions (by ID, keep newest by date modified)
       if (cloudData.sessions && cloudData.sessions.length > 0) {
-        finalSessions = mergeSessions(localSessions, cloudData.sessions);
+        // Other devices may not have migrated to numeric RPE yet
+        finalSessions = mergeSessions(localSessions, Effort.migrateSessions(cloudData.sessions).sessions);
       }
 
       // Merge events (by ID, keep newest)
@@ -196,6 +197,9 @@ function mergeEvents(local, cloud) {
     const existing = eventMap.get(event.id);
     if (!existing) {
       eventMap.set(event.id, event);
+    } else if (event.result && !existing.result) {
+      // Result logged on another device
+      eventMap.set(event.id, event);
     }
     // For events, prefer the one with more data or most recent modification
   });
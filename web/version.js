@@ -8,10 +8,10 @@
  * - changelog: Brief description of changes (shown in update banner)
  */
 const APP_VERSION = {
-  version: '2.7.0',
-  build: 1,
+  version: '2.11.0',
+  build: 5,
   requiresLogout: false,
-  changelog: 'Friend request notifications and real-time updates'
+  changelog: 'Finish-time predictions for your key race'
 };
 
 // Make available globally